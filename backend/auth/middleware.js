@@ -0,0 +1,56 @@
+// Express middleware for routes that need an interviewer account. Requests
+// carry the access token as "Authorization: Bearer <token>".
+import { verifyAccessToken } from './tokens.js';
+import { getUserById } from './users.js';
+import { getDefaultOrganization } from '../organizations/organizations.js';
+
+export const requireAuth = async (req, res, next) => {
+  try {
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    const userId = scheme === 'Bearer' ? verifyAccessToken(token) : null;
+    const user = userId ? await getUserById(userId) : null;
+
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Sign in to continue', code: 'UNAUTHENTICATED' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Signed in with one of `roles`. Use as route middleware:
+// app.post('/api/questions', requireRole('admin', 'interviewer'), ...)
+export const requireRole = (...roles) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: `This needs the ${roles.join(' or ')} role`,
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  }
+];
+
+// An admin of the default organization, who sets up the other organizations
+export const requireHostAdmin = [
+  ...requireRole('admin'),
+  async (req, res, next) => {
+    try {
+      const host = await getDefaultOrganization();
+      if (!host || req.user.organizationId !== host._id.toString()) {
+        return res.status(403).json({
+          error: 'Only admins of the default organization can manage organizations',
+          code: 'FORBIDDEN'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+];
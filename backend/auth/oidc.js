@@ -0,0 +1,259 @@
+// OpenID Connect sign-in for interviewers: the authorization-code flow with
+// PKCE against any provider that publishes a discovery document. The server
+// is the OIDC client, so the browser never sees the provider's tokens.
+import { createHash, createPublicKey, randomBytes, timingSafeEqual, verify } from 'crypto';
+
+// How long a sign-in may take at the provider, and how long the browser has
+// to collect its access token afterwards
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+
+// Cookie tying a sign-in to the browser that started it. It holds a hash of
+// the state, so a callback URL sent to someone else is refused.
+export const STATE_COOKIE = 'oidc_state';
+export const STATE_COOKIE_MAX_AGE_MS = PENDING_LOGIN_TTL_MS;
+// Allowed difference between our clock and the provider's
+const CLOCK_SKEW_SECONDS = 60;
+
+// Signature algorithms accepted on ID tokens, as Node verify() arguments
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+export class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Read when used rather than at import, so .env has been loaded. Returns
+// null when OIDC_ISSUER or OIDC_CLIENT_ID isn't set.
+export const getOidcConfig = () => {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID) return null;
+  return {
+    issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    // Slug of the organization new SSO accounts join; the default one when unset
+    organization: process.env.OIDC_ORGANIZATION || null,
+    // IdP groups for each role, highest role first
+    roleGroups: {
+      admin: splitList(process.env.OIDC_ADMIN_GROUPS),
+      interviewer: splitList(process.env.OIDC_INTERVIEWER_GROUPS),
+      viewer: splitList(process.env.OIDC_VIEWER_GROUPS)
+    }
+  };
+};
+
+// The highest role any of `groups` grants, or null when none do. A role
+// listing "*" is given to everyone the provider signs in.
+export const mapGroupsToRole = (groups, roleGroups) => {
+  for (const [role, allowed] of Object.entries(roleGroups)) {
+    if (allowed.includes('*') || groups.some(group => allowed.includes(group))) return role;
+  }
+  return null;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error);
+    throw new OidcError(`${url} returned ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+// Discovery documents and signing keys, fetched once per issuer
+let discoveryCache = null;
+let keysCache = null;
+
+const discover = async (config) => {
+  if (discoveryCache && discoveryCache.issuer === config.issuer) return discoveryCache.document;
+
+  const document = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  if (document.issuer.replace(/\/+$/, '') !== config.issuer) {
+    throw new OidcError(`The provider reports issuer ${document.issuer}, not ${config.issuer}`);
+  }
+  discoveryCache = { issuer: config.issuer, document };
+  keysCache = null;
+  return document;
+};
+
+// The provider's public key for `kid`. Keys are fetched again once when an
+// unknown kid shows up, since providers rotate them.
+const getSigningKey = async (document, kid) => {
+  const find = () => keysCache.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  if (!keysCache || !find()) {
+    keysCache = await fetchJson(document.jwks_uri);
+  }
+  const jwk = find();
+  if (!jwk) throw new OidcError('The ID token was signed with an unknown key');
+  return createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+// Check an ID token's signature and claims, returning the claims
+const verifyIdToken = async (idToken, config, document, nonce) => {
+  const [header, payload, signature] = String(idToken || '').split('.');
+  if (!header || !payload || !signature) throw new OidcError('The provider returned a malformed ID token');
+
+  const { alg, kid } = decodePart(header);
+  const algorithm = SIGNATURE_ALGORITHMS[alg];
+  if (!algorithm) throw new OidcError(`ID tokens signed with ${alg} are not supported`);
+
+  const key = await getSigningKey(document, kid);
+  const valid = verify(algorithm.hash, Buffer.from(`${header}.${payload}`), {
+    key,
+    ...(algorithm.dsaEncoding ? { dsaEncoding: algorithm.dsaEncoding } : {})
+  }, Buffer.from(signature, 'base64url'));
+  if (!valid) throw new OidcError('The ID token signature is not valid');
+
+  const claims = decodePart(payload);
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== document.issuer) throw new OidcError('The ID token is from another issuer');
+  if (!audiences.includes(config.clientId)) throw new OidcError('The ID token is for another client');
+  if (audiences.length > 1 && claims.azp !== config.clientId) throw new OidcError('The ID token is for another client');
+  if (!(claims.exp + CLOCK_SKEW_SECONDS > now)) throw new OidcError('The ID token has expired');
+  if (claims.nonce !== nonce) throw new OidcError('The ID token does not belong to this sign-in');
+  if (typeof claims.sub !== 'string' || !claims.sub) throw new OidcError('The ID token has no subject');
+  return claims;
+};
+
+// Sign-ins waiting for the provider to redirect back, keyed by state, and
+// one-time codes the browser trades for an access token. Both live in memory,
+// so a sign-in must start and finish on the same server.
+const pendingLogins = new Map();
+const loginCodes = new Map();
+
+const dropExpired = (entries) => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt < now) entries.delete(key);
+  }
+};
+
+const randomToken = () => randomBytes(32).toString('base64url');
+
+const hashState = (state) => createHash('sha256').update(String(state)).digest('base64url');
+
+// The value of the state cookie in a Cookie header, or null
+export const readStateCookie = (cookieHeader) => {
+  for (const pair of String(cookieHeader || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name === STATE_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const matchesState = (stateCookie, state) => {
+  const given = Buffer.from(String(stateCookie || ''));
+  const expected = Buffer.from(hashState(state));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+// Start a sign-in. Resolves to { url, stateCookie }: the provider URL to send
+// the browser to, and the value to set as the STATE_COOKIE on that browser.
+export const startOidcLogin = async (config) => {
+  const document = await discover(config);
+  dropExpired(pendingLogins);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  pendingLogins.set(state, { nonce, codeVerifier, expiresAt: Date.now() + PENDING_LOGIN_TTL_MS });
+
+  const url = new URL(document.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+  return { url: url.toString(), stateCookie: hashState(state) };
+};
+
+// Handle the provider's redirect back: check it reached the browser that
+// started the sign-in, trade the code for tokens and check the ID token.
+// Resolves to { issuer, subject, email, emailVerified, name, groups }.
+export const completeOidcLogin = async (config, { code, state, stateCookie }) => {
+  const pending = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!pending || pending.expiresAt < Date.now()) {
+    throw new OidcError('The sign-in has expired or was already used, please try again');
+  }
+  if (!matchesState(stateCookie, state)) {
+    throw new OidcError('The sign-in was started in a different browser, please try again');
+  }
+  if (!code) throw new OidcError('The provider did not return an authorization code');
+
+  const document = await discover(config);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (config.clientSecret) {
+    headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(document.token_endpoint, { method: 'POST', headers, body: form });
+  const claims = await verifyIdToken(tokens.id_token, config, document, pending.nonce);
+
+  // Some providers only put groups and email in the userinfo response
+  let profile = claims;
+  if ((claims[config.groupsClaim] === undefined || !claims.email) && document.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(document.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    // Claims in the ID token take precedence
+    if (userinfo.sub === claims.sub) profile = { ...userinfo, ...claims };
+  }
+
+  const groups = profile[config.groupsClaim];
+  return {
+    issuer: claims.iss,
+    subject: claims.sub,
+    email: typeof profile.email === 'string' ? profile.email.toLowerCase() : null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || profile.preferred_username || profile.email || claims.sub,
+    groups: Array.isArray(groups) ? groups.map(String) : (typeof groups === 'string' ? [groups] : [])
+  };
+};
+
+// A single-use code the browser exchanges for `value` (the access token), so
+// the token itself never appears in a URL
+export const createLoginCode = (value) => {
+  dropExpired(loginCodes);
+  const code = randomToken();
+  loginCodes.set(code, { value, expiresAt: Date.now() + LOGIN_CODE_TTL_MS });
+  return code;
+};
+
+export const redeemLoginCode = (code) => {
+  const entry = loginCodes.get(code);
+  loginCodes.delete(code);
+  return entry && entry.expiresAt >= Date.now() ? entry.value : null;
+};
@@ -0,0 +1,42 @@
+// Password hashing with scrypt from Node's crypto module. Hashes are stored
+// as "scrypt$N$r$p$salt$hash" so the cost can be raised later without
+// breaking existing passwords.
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
+
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+const KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 10;
+
+const deriveKey = (password, salt, N, r, p) => new Promise((resolve, reject) => {
+  scrypt(password, salt, KEY_LENGTH, { N, r, p }, (error, key) => {
+    if (error) reject(error);
+    else resolve(key);
+  });
+});
+
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  const key = await deriveKey(password, salt, COST, BLOCK_SIZE, PARALLELISM);
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const key = await deriveKey(password, Buffer.from(salt, 'base64'), Number(N), Number(r), Number(p));
+  return key.length === expected.length && timingSafeEqual(key, expected);
+};
+
+// Checked when no account matches a login, so a wrong email takes as long
+// as a wrong password and doesn't reveal which accounts exist
+let dummyHash = null;
+export const verifyDummyPassword = async (password) => {
+  dummyHash = dummyHash || await hashPassword(randomBytes(16).toString('hex'));
+  await verifyPassword(password, dummyHash);
+  return false;
+};
@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, verifyDummyPassword } from './passwords.js';
+
+describe('passwords', () => {
+  test('verify against their hash, and only their own', async () => {
+    const stored = await hashPassword('correct-horse-battery');
+
+    assert.match(stored, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+    assert.equal(await verifyPassword('correct-horse-battery', stored), true);
+    assert.equal(await verifyPassword('correct-horse-battery ', stored), false);
+    assert.equal(await verifyPassword('Correct-horse-battery', stored), false);
+  });
+
+  test('hash with a fresh salt each time', async () => {
+    const first = await hashPassword('correct-horse-battery');
+    const second = await hashPassword('correct-horse-battery');
+
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('correct-horse-battery', second), true);
+  });
+
+  test('never match a missing or unknown hash', async () => {
+    for (const stored of [undefined, null, '', 'plain-text', 'bcrypt$10$abc']) {
+      assert.equal(await verifyPassword('plain-text', stored), false);
+    }
+    assert.equal(await verifyDummyPassword('anything'), false);
+  });
+});
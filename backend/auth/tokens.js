@@ -0,0 +1,51 @@
+// Signed access tokens for interviewer accounts, in JWT format (HS256). They
+// only carry the user id: the role and whether the account is still active
+// are looked up on every request, so changes apply immediately.
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+let generatedSecret = null;
+
+// Read when used rather than at import, so .env has been loaded. Without
+// AUTH_JWT_SECRET everyone is signed out when the server restarts.
+const getSecret = () => {
+  if (process.env.AUTH_JWT_SECRET) return process.env.AUTH_JWT_SECRET;
+  if (!generatedSecret) {
+    console.warn('AUTH_JWT_SECRET not set, using a random secret until the server restarts');
+    generatedSecret = randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+};
+
+export const getTokenTtlSeconds = () => (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 8) * 60 * 60;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (data) => createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+// A token for `user`, with the time it expires
+export const createAccessToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expires = issuedAt + getTokenTtlSeconds();
+  const data = `${HEADER}.${encode({ sub: String(user._id), iat: issuedAt, exp: expires })}`;
+  return { token: `${data}.${sign(data)}`, expiresAt: new Date(expires * 1000) };
+};
+
+// The user id a token was issued to, or null when it's malformed, tampered
+// with or expired
+export const verifyAccessToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (header !== HEADER || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (typeof sub !== 'string' || !(exp * 1000 > Date.now())) return null;
+    return sub;
+  } catch {
+    return null;
+  }
+};
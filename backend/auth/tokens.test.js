@@ -0,0 +1,54 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTokenTtlSeconds, createAccessToken, verifyAccessToken } from './tokens.js';
+
+const USER = { _id: 'user-1' };
+
+// Swap one part of a token for another
+const withPart = (token, index, part) => token.split('.').map((existing, at) => (at === index ? part : existing)).join('.');
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+before(() => {
+  process.env.AUTH_JWT_SECRET = 'test-secret';
+  delete process.env.AUTH_TOKEN_TTL_HOURS;
+});
+
+describe('access tokens', () => {
+  test('carry the user id until they expire', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T09:00:00Z') });
+    const { token, expiresAt } = createAccessToken(USER);
+
+    assert.equal(getTokenTtlSeconds(), 8 * 60 * 60);
+    assert.equal(expiresAt.toISOString(), '2026-01-01T17:00:00.000Z');
+    assert.equal(verifyAccessToken(token), 'user-1');
+
+    t.mock.timers.tick(8 * 60 * 60 * 1000);
+    assert.equal(verifyAccessToken(token), null);
+  });
+
+  test('are refused when the payload is changed', () => {
+    const { token } = createAccessToken(USER);
+    const [, payload] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    assert.equal(verifyAccessToken(withPart(token, 1, encode({ ...claims, sub: 'admin' }))), null);
+    assert.equal(verifyAccessToken(withPart(token, 1, encode({ ...claims, exp: claims.exp + 3600 }))), null);
+  });
+
+  test('are refused when signed with another secret or another algorithm', (t) => {
+    const { token } = createAccessToken(USER);
+
+    assert.equal(verifyAccessToken(withPart(token, 0, encode({ alg: 'none', typ: 'JWT' }))), null);
+    assert.equal(verifyAccessToken(withPart(token, 2, '')), null);
+
+    t.after(() => { process.env.AUTH_JWT_SECRET = 'test-secret'; });
+    process.env.AUTH_JWT_SECRET = 'another-secret';
+    assert.equal(verifyAccessToken(token), null);
+  });
+
+  test('are refused when malformed', () => {
+    for (const token of [undefined, '', 'abc', 'a.b.c', 'a.b.c.d']) {
+      assert.equal(verifyAccessToken(token), null);
+    }
+  });
+});
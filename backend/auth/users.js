@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+import { hashPassword, MIN_PASSWORD_LENGTH } from './passwords.js';
+
+// admin: everything, including accounts and templates.
+// interviewer: review and rescore candidates, edit the question bank.
+// viewer: read-only access to candidates and questions.
+export const ROLES = ['admin', 'interviewer', 'viewer'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Interviewer account schema. Emails are unique across organizations, since
+// signing in with one is what decides the organization.
+const userSchema = new mongoose.Schema({
+  organizationId: { type: String, index: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  role: { type: String, enum: ROLES, required: true },
+  // Accounts created through single sign-on have no password
+  passwordHash: String,
+  // The OIDC provider and subject an account signs in as, if any
+  oidcIssuer: String,
+  oidcSubject: String,
+  active: { type: Boolean, default: true },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+const User = mongoose.model('User', userSchema);
+
+// In-memory storage fallback
+let inMemoryUsers = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Validate account fields. With `partial`, only the fields present are checked
+// (used for updates). Returns a list of error messages, empty when valid.
+export const validateUserInput = (input, { partial = false } = {}) => {
+  if (!isPlainObject(input)) {
+    return ['User data must be an object'];
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('email')) {
+    if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+      errors.push('email must be a valid email address');
+    }
+  }
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || has('role')) {
+    if (!ROLES.includes(input.role)) {
+      errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  if (!partial || has('password')) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return errors;
+};
+
+// Pick the editable fields out of a request body, hashing the password
+const normalizeUserInput = async (input) => {
+  const data = {};
+  if (input.email !== undefined) data.email = input.email.trim().toLowerCase();
+  if (input.name !== undefined) data.name = input.name.trim();
+  if (input.role !== undefined) data.role = input.role;
+  if (input.password !== undefined) data.passwordHash = await hashPassword(input.password);
+  if (input.active !== undefined) data.active = input.active;
+  return data;
+};
+
+// What the API returns for an account: everything but the password hash
+export const toPublicUser = (user) => ({
+  _id: user._id.toString(),
+  organizationId: user.organizationId,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  active: user.active,
+  sso: Boolean(user.oidcSubject),
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt
+});
+
+export const listUsers = async (organizationId) => {
+  if (isMongoConnected()) {
+    return await User.find({ organizationId }).sort({ email: 1 });
+  }
+  return inMemoryUsers
+    .filter(user => user.organizationId === organizationId)
+    .sort((a, b) => a.email.localeCompare(b.email));
+};
+
+export const getUserById = async (userId) => {
+  if (isMongoConnected()) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+    return await User.findById(userId);
+  }
+  return inMemoryUsers.find(user => user._id === userId) || null;
+};
+
+export const getUserByEmail = async (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (isMongoConnected()) {
+    return await User.findOne({ email: normalized });
+  }
+  return inMemoryUsers.find(user => user.email === normalized) || null;
+};
+
+export const getUserByOidcSubject = async (issuer, subject) => {
+  if (isMongoConnected()) {
+    return await User.findOne({ oidcIssuer: issuer, oidcSubject: subject });
+  }
+  return inMemoryUsers.find(user => user.oidcIssuer === issuer && user.oidcSubject === subject) || null;
+};
+
+// How many active admins an organization has, so the last one can't be removed
+export const countActiveAdmins = async (organizationId) => {
+  if (isMongoConnected()) {
+    return await User.countDocuments({ organizationId, role: 'admin', active: true });
+  }
+  return inMemoryUsers.filter(user =>
+    user.organizationId === organizationId && user.role === 'admin' && user.active).length;
+};
+
+// Create an account in an organization from validated input. Returns null if
+// the email is taken.
+export const createUser = async (organizationId, input) => {
+  const data = { organizationId, active: true, ...await normalizeUserInput(input) };
+
+  if (await getUserByEmail(data.email)) return null;
+
+  if (isMongoConnected()) {
+    const user = new User(data);
+    await user.save();
+    return user;
+  }
+
+  const now = new Date();
+  const user = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+  inMemoryUsers.push(user);
+  return user;
+};
+
+// Apply validated (partial) input to an account. Returns null if it doesn't
+// exist, or false if the new email belongs to another account.
+export const updateUser = async (userId, input) => {
+  const user = await getUserById(userId);
+  if (!user) return null;
+
+  const data = await normalizeUserInput(input);
+  if (data.email && data.email !== user.email) {
+    const existing = await getUserByEmail(data.email);
+    if (existing) return false;
+  }
+
+  Object.assign(user, data);
+  if (typeof user.save === 'function') {
+    await user.save();
+  } else {
+    user.updatedAt = new Date();
+  }
+  return user;
+};
+
+// The account for someone the OIDC provider signed in, created on first
+// sign-in in `organizationId`. An existing account with the same verified
+// email is linked to the provider and stays in its organization. The role
+// follows the provider's groups on every sign-in, except that the
+// organization's last active admin stays an admin. Returns null when there's
+// no verified email, or it belongs to an account that can't be linked.
+export const upsertOidcUser = async ({ issuer, subject, email, emailVerified, name, role, organizationId }) => {
+  let user = await getUserByOidcSubject(issuer, subject);
+  if (!user) {
+    // Accounts are matched by email, so an address the provider hasn't
+    // verified can't create or claim one
+    if (!email || !emailVerified) return null;
+    user = await getUserByEmail(email);
+    if (user && user.oidcSubject) return null;
+  }
+
+  if (!user) {
+    const data = { organizationId, email, name, role, oidcIssuer: issuer, oidcSubject: subject, active: true };
+    if (isMongoConnected()) {
+      user = new User(data);
+      await user.save();
+      return user;
+    }
+    const now = new Date();
+    user = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+    inMemoryUsers.push(user);
+    return user;
+  }
+
+  const losesAdmin = user.role === 'admin' && user.active && role !== 'admin';
+  if (losesAdmin && await countActiveAdmins(user.organizationId) <= 1) {
+    console.warn(`Kept ${user.email} as admin: the provider's groups give ${role}, but there must be at least one active admin`);
+    role = 'admin';
+  }
+
+  Object.assign(user, { role, oidcIssuer: issuer, oidcSubject: subject });
+  if (typeof user.save === 'function') {
+    await user.save();
+  } else {
+    user.updatedAt = new Date();
+  }
+  return user;
+};
+
+export const recordLogin = async (user) => {
+  user.lastLoginAt = new Date();
+  if (typeof user.save === 'function') await user.save();
+};
+
+// Create the first admin of `organizationId` from ADMIN_EMAIL and
+// ADMIN_PASSWORD when there are no accounts yet
+export const seedAdminUser = async (organizationId) => {
+  const existing = isMongoConnected()
+    ? await User.countDocuments()
+    : inMemoryUsers.length;
+
+  if (existing > 0) return;
+
+  const input = {
+    email: process.env.ADMIN_EMAIL,
+    name: process.env.ADMIN_NAME || 'Administrator',
+    role: 'admin',
+    password: process.env.ADMIN_PASSWORD
+  };
+  if (!input.email || !input.password) {
+    console.warn('No interviewer accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin, or sign in through OIDC.');
+    return;
+  }
+
+  const errors = validateUserInput(input);
+  if (errors.length > 0) {
+    console.warn(`Admin account not created: ${errors.join('; ')}`);
+    return;
+  }
+
+  await createUser(organizationId, input);
+  console.log(`Created admin account ${input.email.trim().toLowerCase()}`);
+};
@@ -2,16 +2,129 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import dotenv from 'dotenv';
-import pdfParse from 'pdf-parse';
-import mammoth from 'mammoth';
 import mongoose from 'mongoose';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { randomUUID } from 'crypto';
+import { createLLMProvider } from './llm/index.js';
+import { createVirusScanner } from './scanning/index.js';
+import { requestScoring } from './llm/scoringResponse.js';
+import { isRedactionEnabled, createRedactor } from './llm/redaction.js';
+import { scoreWithRubric, deriveConcepts } from './scoring/rubric.js';
+import {
+  DEFAULT_TIME_LIMITS,
+  listQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  retireQuestion,
+  seedQuestionBank,
+  validateQuestionInput
+} from './questions/questionBank.js';
+import {
+  CONTENT_TYPES,
+  ImportFormatError,
+  detectFormat,
+  parseQuestionFile,
+  exportQuestions,
+  importQuestions
+} from './questions/questionTransfer.js';
+import {
+  listTemplates,
+  getTemplate,
+  getDefaultTemplate,
+  createTemplate,
+  updateTemplate,
+  seedInterviewTemplates,
+  validateTemplateInput,
+  toTemplateSnapshot
+} from './templates/interviewTemplates.js';
+import {
+  SELECTION_ALGORITHM,
+  QuestionPoolError,
+  createSeed,
+  selectQuestions,
+  pickAdaptiveQuestion
+} from './questions/questionSelection.js';
+import { detectSkills, mapSkillQuestions, buildResumeQuestion } from './resume/skills.js';
+import { extractResumeProfile } from './resume/profile.js';
+import { RESUME_EXTENSIONS, ResumeFormatError, extractResumeText, getResumeLimits } from './resume/formats.js';
+import { parsePhone, findPhones } from './resume/phone.js';
+import { collapseWhitespace, findFieldSpans } from './resume/extractionSpans.js';
+import { saveResume, getResume, claimResume, purgeUnclaimedResumes, purgeExpiredResumeFiles, resumeProfileSchema } from './resume/resumeStore.js';
+import { RESUME_CONTENT_TYPES, PREVIEWABLE_FORMATS, openResumeFile } from './resume/resumeFiles.js';
+import { createResumeLink, verifyResumeLink } from './resume/resumeLinks.js';
+import {
+  InvitationError,
+  listInvitations,
+  createInvitation,
+  openInvitation,
+  checkInvitation,
+  claimInvitation,
+  releaseInvitation,
+  recordInvitationSession,
+  completeInvitation,
+  expireInvitation,
+  validateInvitationInput,
+  toPublicInvitation
+} from './invitations/invitations.js';
+import { verifyPassword, verifyDummyPassword } from './auth/passwords.js';
+import { createAccessToken } from './auth/tokens.js';
+import { requireAuth, requireRole, requireHostAdmin } from './auth/middleware.js';
+import {
+  OidcError,
+  STATE_COOKIE,
+  STATE_COOKIE_MAX_AGE_MS,
+  getOidcConfig,
+  readStateCookie,
+  mapGroupsToRole,
+  startOidcLogin,
+  completeOidcLogin,
+  createLoginCode,
+  redeemLoginCode
+} from './auth/oidc.js';
+import {
+  listUsers,
+  getUserById,
+  getUserByEmail,
+  countActiveAdmins,
+  createUser,
+  updateUser,
+  recordLogin,
+  upsertOidcUser,
+  seedAdminUser,
+  validateUserInput,
+  toPublicUser
+} from './auth/users.js';
+import {
+  listOrganizations,
+  getOrganizationById,
+  getOrganizationBySlug,
+  getDefaultOrganization,
+  createOrganization,
+  updateOrganization,
+  seedDefaultOrganization,
+  validateOrganizationInput,
+  toPublicOrganization
+} from './organizations/organizations.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Records saved before organizations existed belong to the default one. Every
+// model with an organizationId field is checked, so new ones are covered too.
+const adoptUnscopedRecords = async (organizationId) => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  for (const model of Object.values(mongoose.models)) {
+    if (!model.schema.path('organizationId')) continue;
+    const result = await model.updateMany({ organizationId: { $exists: false } }, { organizationId });
+    if (result.modifiedCount > 0) {
+      console.log(`Moved ${result.modifiedCount} ${model.modelName} record(s) into the default organization`);
+    }
+  }
+};
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -25,13 +138,49 @@ const connectDB = async () => {
     console.error('MongoDB connection error:', error);
     console.log('Falling back to in-memory storage');
   }
+
+  let organizationId;
+  try {
+    const organization = await seedDefaultOrganization();
+    organizationId = organization._id.toString();
+    await adoptUnscopedRecords(organizationId);
+  } catch (error) {
+    console.error('Organization setup error:', error);
+    return;
+  }
+
+  try {
+    await seedQuestionBank(organizationId);
+  } catch (error) {
+    console.error('Question bank seeding error:', error);
+  }
+
+  try {
+    await seedInterviewTemplates(organizationId);
+  } catch (error) {
+    console.error('Interview template seeding error:', error);
+  }
+
+  try {
+    await seedAdminUser(organizationId);
+  } catch (error) {
+    console.error('Admin account seeding error:', error);
+  }
 };
 
 // Connect to MongoDB
 connectDB();
 
+// Reference to the original resume file an interview was started with
+const resumeFileSchema = new mongoose.Schema({
+  resumeId: String,
+  filename: String,
+  format: String
+}, { _id: false });
+
 // Candidate Schema
 const candidateSchema = new mongoose.Schema({
+  organizationId: { type: String, index: true },
   name: { type: String, required: true },
   email: { type: String, required: true },
   phone: { type: String, required: true },
@@ -41,93 +190,257 @@ const candidateSchema = new mongoose.Schema({
   scores: [{ type: Number }],
   questions: [{
     id: String,
+    bankId: String,
     question: String,
     category: String,
     difficulty: String,
-    timeLimit: Number
+    timeLimit: Number,
+    selectionReason: String,
+    personalization: {
+      reason: String,
+      skills: [String]
+    }
   }],
+  totalQuestions: Number,
+  // Skills detected on the resume the interview was personalized with
+  resumeSkills: [mongoose.Schema.Types.Mixed],
+  resumeProfile: resumeProfileSchema,
+  // The uploaded resume file, served by /api/candidates/:id/resume
+  resumeFile: resumeFileSchema,
+  // The invitation the interview was started with
+  invitationId: String,
+  answerFeedbacks: [mongoose.Schema.Types.Mixed],
+  scoreSources: [{ type: String }],
+  // Per answer, what was redacted from the scoring prompt (null when redaction was off)
+  redactions: [mongoose.Schema.Types.Mixed],
+  needsRescore: { type: Boolean, default: false },
+  rescoredAt: Date,
+  sessionId: String,
+  template: {
+    id: String,
+    slug: String,
+    name: String,
+    roleLabel: String,
+    mode: String
+  },
   completedAt: { type: Date, default: Date.now },
   startedAt: { type: Date, required: true }
 });
 
 const Candidate = mongoose.model('Candidate', candidateSchema);
 
+// Interview Session Schema - the server's record of what was issued and answered
+const interviewSessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  // The organization of the invitation the interview was started with
+  organizationId: String,
+  candidateInfo: {
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    phone: { type: String, required: true }
+  },
+  template: {
+    id: String,
+    slug: String,
+    name: String,
+    roleLabel: String,
+    mode: String
+  },
+  // Seed and candidate pools of the question draw, for regenerating it
+  selection: {
+    seed: String,
+    algorithm: String,
+    mode: String,
+    plan: [mongoose.Schema.Types.Mixed],
+    pools: mongoose.Schema.Types.Mixed,
+    timeLimits: mongoose.Schema.Types.Mixed,
+    overlaps: [String],
+    skills: [String]
+  },
+  resumeSkills: [mongoose.Schema.Types.Mixed],
+  resumeProfile: resumeProfileSchema,
+  resumeFile: resumeFileSchema,
+  invitationId: String,
+  totalQuestions: Number,
+  questions: [{
+    id: String,
+    bankId: String,
+    question: String,
+    category: String,
+    difficulty: String,
+    timeLimit: Number,
+    sampleAnswer: String,
+    concepts: [mongoose.Schema.Types.Mixed],
+    selectionReason: String,
+    personalization: {
+      reason: String,
+      skills: [String]
+    },
+    servedAt: Date,
+    deadline: Date
+  }],
+  responses: [{
+    questionId: String,
+    answer: String,
+    score: Number,
+    feedback: mongoose.Schema.Types.Mixed,
+    timedOut: { type: Boolean, default: false },
+    scoreSource: String,
+    scoringError: mongoose.Schema.Types.Mixed,
+    rubric: mongoose.Schema.Types.Mixed,
+    // What was redacted from the scoring prompt, when LLM_REDACT_PII is on
+    redaction: mongoose.Schema.Types.Mixed,
+    submittedAt: { type: Date, default: Date.now },
+    // When scoring finished and the next question was served
+    scoredAt: Date
+  }],
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  candidateId: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+const InterviewSession = mongoose.model('InterviewSession', interviewSessionSchema);
+
 // In-memory storage fallback
 let inMemoryCandidates = [];
+let inMemorySessions = [];
+
+// Extra time allowed after a deadline to absorb network latency
+const DEADLINE_GRACE_MS = (Number(process.env.DEADLINE_GRACE_SECONDS) || 2) * 1000;
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-pro" });
+// Initialize the configured LLM provider (Gemini, OpenAI-compatible or mock)
+const llm = createLLMProvider();
+const virusScanner = createVirusScanner();
+
+// How many times a malformed scoring response is retried with a repair prompt.
+// 0 turns retries off; anything that isn't a whole number >= 0 means the default.
+const parsedScoringRetries = Number.parseInt(process.env.LLM_SCORING_RETRIES, 10);
+const LLM_SCORING_RETRIES = parsedScoringRetries >= 0 ? parsedScoringRetries : 2;
+
+// Where the browser goes back to after signing in through OIDC
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Role used for interviews recorded before templates existed
+const DEFAULT_ROLE_LABEL = 'full-stack developer';
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Configure multer for file uploads (PDF and DOCX support)
+// Configure multer for file uploads. Resume formats are detected from the
+// file content after upload, since browsers report unreliable mimetypes.
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || 
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF and DOCX files are allowed'), false);
-    }
-  }
+  limits: { fileSize: getResumeLimits().maxFileBytes, files: 1, fields: 10 }
 });
 
-// Enhanced resume parsing function with better formatting
-const parseResumeContent = async (filename, fileBuffer, mimetype) => {
-  let textContent = '';
-  
-  try {
-    if (mimetype === 'application/pdf') {
-      const pdfData = await pdfParse(fileBuffer);
-      textContent = pdfData.text;
-    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      const docxData = await mammoth.extractRawText({ buffer: fileBuffer });
-      textContent = docxData.value;
-    }
-  } catch (error) {
-    console.error('Error parsing file:', error);
-    // Fallback to filename-based extraction
-    return parseResumeFromFilename(filename);
-  }
+// HTTP status for each way a resume upload can be rejected
+const RESUME_ERROR_STATUS = {
+  NO_FILE: 400,
+  EMPTY_FILE: 400,
+  UNEXPECTED_FILE: 400,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_FORMAT: 415,
+  CORRUPT_FILE: 422,
+  SUSPICIOUS_ARCHIVE: 422,
+  TOO_MANY_PAGES: 422,
+  PARSE_TIMEOUT: 422,
+  PARSE_MEMORY_LIMIT: 422,
+  INFECTED: 422,
+  SCAN_FAILED: 503
+};
 
-  // Clean and normalize the text content
-  textContent = textContent.replace(/\s+/g, ' ').trim();
+// HTTP status for each reason an invitation can't be used
+const INVITATION_ERROR_STATUS = {
+  INVITATION_REQUIRED: 401,
+  INVITATION_NOT_FOUND: 404,
+  INVITATION_USED: 409,
+  INVITATION_EXPIRED: 410
+};
+
+// Accept one resume file, answering multer's limit errors with the same
+// structured codes as every other rejection
+const acceptResumeUpload = (req, res, next) => {
+  upload.single('resume')(req, res, (error) => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    const code = error.code === 'LIMIT_FILE_SIZE' ? 'FILE_TOO_LARGE' : 'UNEXPECTED_FILE';
+    res.status(RESUME_ERROR_STATUS[code]).json({
+      error: code === 'FILE_TOO_LARGE'
+        ? `The file is larger than ${getResumeLimits().maxFileBytes / 1024 / 1024} MB`
+        : 'Upload a single resume file in the "resume" field',
+      code: code
+    });
+  });
+};
+
+// Question set imports (JSON, CSV or YAML); the format is checked when parsing
+const questionFileUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Extracted fields carry a confidence (high, medium, low or none) and a source
+// (resume, filename or none). Low-confidence values are guesses: they are
+// offered for confirmation but never count as present. Values read from the
+// resume also carry the `span` of the resume text they came from.
+const CONTACT_FIELDS = ['name', 'email', 'phone'];
+
+const extractedField = (value, confidence, source, details = {}) => ({ value, confidence, source, ...details });
+const missingField = () => extractedField(null, 'none', 'none');
+
+// Candidate details that can be trusted as they are: guesses are left out
+const toCandidateInfo = (fields) => Object.fromEntries(CONTACT_FIELDS.map(field => [
+  field,
+  ['high', 'medium'].includes(fields[field].confidence) ? fields[field].value : null
+]));
+
+// Enhanced resume parsing function with better formatting. Returns
+// { name, email, phone } where each is { value, confidence, source, span? }.
+const parseResumeContent = (filename, resumeText) => {
+  // Clean and normalize the text content, remembering where each character
+  // was so spans point into the original text
+  const { text: textContent, toOriginal } = collapseWhitespace(resumeText);
   
   console.log('Parsed text content:', textContent.substring(0, 200) + '...');
 
   // Extract information using improved regex patterns
   const extractedData = {
-    name: null,
-    email: null,
-    phone: null
+    name: missingField(),
+    email: missingField(),
+    phone: missingField()
   };
 
-  // Extract name with more strict patterns to ensure chatbot testing
+  // Extract name with more strict patterns to ensure chatbot testing. A
+  // labelled name is trusted most; a name picked out of a contact section is a guess.
   const namePatterns = [
     // Look for "Name:" or similar labels
-    /(?:name|full\s*name|applicant|contact\s*name)[\s:]*([a-zA-Z\s\.]{2,50})/i,
+    { pattern: /(?:name|full\s*name|applicant|contact\s*name)[\s:]*([a-zA-Z\s\.]{2,50})/i, confidence: 'high' },
     // Look for capitalized words at the beginning
-    /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/m,
+    { pattern: /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/m, confidence: 'medium' },
     // Look for name patterns with titles
-    /(?:Mr\.|Ms\.|Mrs\.|Dr\.)\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,2})/i,
+    { pattern: /(?:Mr\.|Ms\.|Mrs\.|Dr\.)\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,2})/i, confidence: 'medium' },
     // Look for names in contact sections
-    /(?:contact|about|profile)[\s\S]*?([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/i
+    { pattern: /(?:contact|about|profile)[\s\S]*?([A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3})/i, confidence: 'low' }
   ];
   
-  for (const pattern of namePatterns) {
+  for (const { pattern, confidence } of namePatterns) {
     const match = textContent.match(pattern);
     if (match && match[1]) {
-      const name = match[1].trim();
+      // The collapsed text joins lines, so keep only the part of the name on
+      // its first line ("Jane Doe\nEmail" is "Jane Doe")
+      const matchStart = match.index + match[0].indexOf(match[1].trim());
+      const { start: lineStart } = toOriginal(matchStart, matchStart + 1);
+      const firstLine = resumeText.slice(lineStart).split('\n')[0].replace(/\s+/g, ' ');
+      const name = match[1].trim().slice(0, firstLine.length).trim();
       // More strict validation - only accept names that look very realistic
       if (name.split(/\s+/).length >= 2 && name.split(/\s+/).length <= 4 && 
           /^[A-Z][a-z]+(\s+[A-Z][a-z]+)+$/.test(name)) {
-        extractedData.name = name;
+        extractedData.name = extractedField(name, confidence, 'resume', { span: toOriginal(matchStart, matchStart + name.length) });
         console.log('Found name:', name);
         break;
       }
@@ -149,70 +462,59 @@ const parseResumeContent = async (filename, fileBuffer, mimetype) => {
       for (const match of matches) {
         const email = match.trim();
         if (email.includes('@') && email.includes('.') && !email.includes(' ')) {
-          extractedData.email = email;
+          const start = textContent.indexOf(email);
+          extractedData.email = extractedField(email, 'high', 'resume', { span: toOriginal(start, start + email.length) });
           console.log('Found email:', email);
           break;
         }
       }
-      if (extractedData.email) break;
+      if (extractedData.email.value) break;
     }
   }
 
-  // Extract phone number with better patterns
-  const phonePatterns = [
-    // US format with parentheses
-    /(\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4})/g,
-    // International format
-    /(\+?[0-9]{1,3}[-.\s]?[0-9]{3,4}[-.\s]?[0-9]{3,4}[-.\s]?[0-9]{3,4})/g,
-    // Phone with labels
-    /(?:phone|tel|mobile|cell)[\s:]*([+\-\s\(\)0-9]{10,})/gi
-  ];
-  
-  for (const pattern of phonePatterns) {
-    const matches = textContent.match(pattern);
-    if (matches) {
-      // Take the first valid phone number
-      for (const match of matches) {
-        const phone = match.replace(/[^\d\+\-\(\)\s]/g, '').trim();
-        if (phone.length >= 10 && phone.length <= 15) {
-          extractedData.phone = phone;
-          console.log('Found phone:', phone);
-          break;
-        }
-      }
-      if (extractedData.phone) break;
-    }
+  // Extract phone numbers with libphonenumber, reading numbers without a
+  // country code as the default region's. A number next to a "Phone" label is
+  // trusted more than one found elsewhere. Stored in E.164.
+  const phones = findPhones(textContent);
+  const labelledPhone = phones.find(phone =>
+    /(?:phone|tel|mobile|cell)[\s.:]*$/i.test(textContent.slice(Math.max(0, phone.startsAt - 20), phone.startsAt)));
+  const phone = labelledPhone || phones[0];
+  if (phone) {
+    extractedData.phone = extractedField(phone.e164, labelledPhone ? 'high' : 'medium', 'resume', {
+      display: phone.display,
+      span: toOriginal(phone.startsAt, phone.endsAt)
+    });
+    console.log('Found phone:', phone.e164);
   }
 
-  // If no data extracted, fallback to filename-based extraction
-  if (!extractedData.name && !extractedData.email && !extractedData.phone) {
-    console.log('No data extracted, using fallback');
-    return parseResumeFromFilename(filename);
+  // Fields the text doesn't have fall back to what the filename suggests
+  const fromFilename = parseResumeFromFilename(filename);
+  for (const field of CONTACT_FIELDS) {
+    if (!extractedData[field].value) extractedData[field] = fromFilename[field];
   }
 
   console.log('Final extracted data:', extractedData);
   return extractedData;
 };
 
-// Enhanced fallback function with better formatting
+// Guess what a file name can tell: at most a name, and only as a low-confidence
+// suggestion. Email and phone are never made up.
 const parseResumeFromFilename = (filename) => {
   const extractedData = {
-    name: null,
-    email: null,
-    phone: null
+    name: missingField(),
+    email: missingField(),
+    phone: missingField()
   };
 
   console.log('Using fallback parsing for filename:', filename);
 
   // Remove file extension and clean filename
-  const cleanFilename = filename.replace(/\.(pdf|docx)$/i, '').trim();
+  const cleanFilename = filename.replace(new RegExp(`\\.(${RESUME_EXTENSIONS.join('|')})$`, 'i'), '').trim();
   
   // Try to extract name from filename (common patterns)
   const namePatterns = [
     // FirstName_LastName format
     /^([A-Z][a-z]+)[_\-\s]+([A-Z][a-z]+)$/,
-    // LastName_FirstName format
-    /^([A-Z][a-z]+)[_\-\s]+([A-Z][a-z]+)$/,
     // FirstNameLastName format
     /^([A-Z][a-z]+)([A-Z][a-z]+)$/
   ];
@@ -220,149 +522,268 @@ const parseResumeFromFilename = (filename) => {
   for (const pattern of namePatterns) {
     const match = cleanFilename.match(pattern);
     if (match) {
-      if (match.length === 3) {
-        extractedData.name = `${match[1]} ${match[2]}`;
-      }
+      extractedData.name = extractedField(`${match[1]} ${match[2]}`, 'low', 'filename');
       break;
     }
   }
 
-  // If still no name, use the clean filename as name
-  if (!extractedData.name && cleanFilename.length > 0) {
-    extractedData.name = cleanFilename.replace(/[_\-\s]+/g, ' ');
+  console.log('Fallback extracted data:', extractedData);
+  return extractedData;
+};
+
+// Public fields of a question, safe to send to the candidate
+const toClientQuestion = (question) => ({
+  id: question.id,
+  question: question.question,
+  category: question.category,
+  difficulty: question.difficulty,
+  timeLimit: question.timeLimit
+});
+
+// Snapshot a bank question into a session so later edits to the bank don't change this interview
+const snapshotQuestion = (questionData, { id, difficulty, timeLimits, selectionReason, personalization }) => ({
+  id: id,
+  // Resume questions are written for the candidate and have no bank entry
+  bankId: questionData._id ? questionData._id.toString() : undefined,
+  question: questionData.question,
+  category: questionData.category,
+  difficulty: difficulty,
+  timeLimit: timeLimits?.[difficulty] || questionData.timeLimit || DEFAULT_TIME_LIMITS[difficulty],
+  sampleAnswer: questionData.sampleAnswer || '',
+  concepts: (questionData.concepts || []).map(concept => ({
+    name: concept.name,
+    synonyms: [...(concept.synonyms || [])],
+    weight: concept.weight
+  })),
+  selectionReason: selectionReason,
+  personalization: personalization
+});
+
+// Session question ids count up per difficulty: easy_1, easy_2, medium_1, ...
+// Resume questions are numbered separately (resume_1, ...)
+const nextQuestionId = (questions, difficulty) =>
+  `${difficulty}_${questions.filter(question => question.id.startsWith(`${difficulty}_`)).length + 1}`;
+
+// Why a bank question was preferred for this candidate, or undefined if it wasn't
+const describePersonalization = (question, preferred, skills) => {
+  const matched = preferred.get(question._id.toString());
+  if (!matched) return undefined;
+
+  const source = skills.find(skill => skill.name === matched[0]);
+  return {
+    reason: `Matches ${matched.join(', ')} from the resume${source?.context ? ` ("${source.context}")` : ''}`,
+    skills: matched
+  };
+};
+
+// Questions about the candidate's own experience with their most mentioned
+// skills, favouring ones tied to an employer and one skill per resume line
+const generateResumeQuestions = (skills, count, timeLimits) => {
+  const chosen = [];
+  const ranked = [...skills].sort((a, b) => Boolean(b.employer) - Boolean(a.employer));
+  for (const skill of ranked) {
+    if (chosen.length === count) break;
+    if (chosen.some(other => other.context === skill.context)) continue;
+    chosen.push(skill);
   }
 
-  // Generate realistic email based on name
-  if (extractedData.name) {
-    const nameParts = extractedData.name.toLowerCase().split(/\s+/);
-    if (nameParts.length >= 2) {
-      extractedData.email = `${nameParts[0]}.${nameParts[nameParts.length - 1]}@email.com`;
+  return chosen.map((skill, index) => snapshotQuestion(buildResumeQuestion(skill), {
+    id: `resume_${index + 1}`,
+    difficulty: 'medium',
+    timeLimits,
+    selectionReason: 'Asked about the candidate\'s resume',
+    personalization: {
+      reason: `${skill.name} is listed on the resume${skill.context ? `: "${skill.context}"` : ''}`,
+      skills: [skill.name]
     }
+  }));
+};
+
+// Generate random questions from the active questions in the bank. Fixed
+// templates get every question up front; adaptive ones only the opening
+// question, the rest are drawn by drawAdaptiveQuestion as answers come in.
+// Skills detected on the candidate's resume bias the draw toward matching
+// questions and, when the template asks for them, add resume questions first.
+const generateQuestions = async (template, seed = createSeed(), { skills = [] } = {}) => {
+  const adaptive = template.mode === 'adaptive';
+  const plan = ['easy', 'medium', 'hard'].map(difficulty => ({
+    difficulty,
+    count: template.questionCounts?.[difficulty] || 0
+  }));
+  const bankQuestions = plan.reduce((sum, { count }) => sum + count, 0);
+  const timeLimits = Object.fromEntries(plan
+    .filter(({ difficulty }) => template.timeLimits?.[difficulty])
+    .map(({ difficulty }) => [difficulty, template.timeLimits[difficulty]]));
+  // Template categories match case-insensitively; none means every category
+  const categories = (template.categories || []).map(category => category.toLowerCase());
+
+  const pools = {};
+  for (const { difficulty, count } of plan) {
+    // Adaptive interviews may move to any difficulty
+    if (count === 0 && !adaptive) continue;
+    pools[difficulty] = (await listQuestions(template.organizationId, { difficulty, active: true }))
+      .filter(question => categories.length === 0 || categories.includes(question.category.toLowerCase()));
   }
 
-  // Generate a placeholder phone number
-  extractedData.phone = '+1-555-0000';
+  const personalize = template.personalize !== false && skills.length > 0;
+  const skillNames = personalize ? skills.map(skill => skill.name) : [];
+  const preferred = mapSkillQuestions(pools, skillNames);
 
-  console.log('Fallback extracted data:', extractedData);
-  return extractedData;
-};
+  const resumeQuestions = personalize
+    ? generateResumeQuestions(skills, template.resumeQuestions || 0, timeLimits)
+    : [];
 
-// Question pools with more variety
-const questionPools = {
-  easy: [
-    { question: "What is React and what are its main features?", category: "React Basics" },
-    { question: "Explain the difference between let, const, and var in JavaScript.", category: "JavaScript Fundamentals" },
-    { question: "What is the purpose of useEffect in React?", category: "React Hooks" },
-    { question: "How do you handle events in React?", category: "React Events" },
-    { question: "What is the difference between == and === in JavaScript?", category: "JavaScript Operators" },
-    { question: "What is JSX in React?", category: "React Basics" },
-    { question: "How do you create a component in React?", category: "React Components" },
-    { question: "What is the virtual DOM in React?", category: "React Architecture" },
-    { question: "How do you pass data between components in React?", category: "React Props" },
-    { question: "What is state in React?", category: "React State" }
-  ],
-  medium: [
-    { question: "Explain the React component lifecycle methods.", category: "React Lifecycle" },
-    { question: "How do you manage state in React applications?", category: "State Management" },
-    { question: "What is the difference between props and state?", category: "React Concepts" },
-    { question: "How do you handle forms in React?", category: "React Forms" },
-    { question: "Explain the concept of virtual DOM in React.", category: "React Architecture" },
-    { question: "What are React Hooks and why are they useful?", category: "React Hooks" },
-    { question: "How do you handle API calls in React?", category: "React API Integration" },
-    { question: "What is the difference between functional and class components?", category: "React Components" },
-    { question: "How do you implement conditional rendering in React?", category: "React Rendering" },
-    { question: "What is the purpose of keys in React lists?", category: "React Lists" }
-  ],
-  hard: [
-    { question: "How do you optimize React application performance?", category: "Performance Optimization" },
-    { question: "Explain the difference between controlled and uncontrolled components.", category: "Advanced React" },
-    { question: "How do you implement error boundaries in React?", category: "Error Handling" },
-    { question: "What is the difference between useCallback and useMemo?", category: "React Optimization" },
-    { question: "How do you handle authentication in React applications?", category: "Authentication" },
-    { question: "Explain React Context and when to use it.", category: "State Management" },
-    { question: "How do you implement code splitting in React?", category: "Performance Optimization" },
-    { question: "What is the difference between useReducer and useState?", category: "React Hooks" },
-    { question: "How do you implement custom hooks in React?", category: "Custom Hooks" },
-    { question: "Explain React Suspense and concurrent features.", category: "Advanced React" }
-  ]
-};
-
-// Generate random questions
-const generateQuestions = () => {
-  const questions = [];
-  
-  // 2 Easy questions
-  for (let i = 0; i < 2; i++) {
-    const randomIndex = Math.floor(Math.random() * questionPools.easy.length);
-    const questionData = questionPools.easy[randomIndex];
-    questions.push({
-      id: `easy_${i + 1}`,
-      question: questionData.question,
-      category: questionData.category,
-      difficulty: 'easy',
-      timeLimit: 20
-    });
+  let questions = [];
+  let overlaps = [];
+
+  if (adaptive) {
+    const available = Object.values(pools).reduce((sum, pool) => sum + pool.length, 0);
+    if (available < bankQuestions) {
+      throw new QuestionPoolError(`The interview needs ${bankQuestions} questions but only ${available} active ones match`);
+    }
+
+    const first = pickAdaptiveQuestion({ pools, seed, history: [], preferred });
+    questions = [snapshotQuestion(first.question, {
+      id: nextQuestionId([], first.difficulty),
+      difficulty: first.difficulty,
+      timeLimits,
+      selectionReason: first.reason,
+      personalization: describePersonalization(first.question, preferred, skills)
+    })];
+  } else {
+    // Seeded draw without duplicates or repeated topics
+    const result = selectQuestions({ pools, plan, seed, preferred });
+    overlaps = result.overlaps;
+    questions = result.questions.reduce((snapshots, { difficulty, question }) => [
+      ...snapshots,
+      snapshotQuestion(question, {
+        id: nextQuestionId(snapshots, difficulty),
+        difficulty,
+        timeLimits,
+        personalization: describePersonalization(question, preferred, skills)
+      })
+    ], []);
   }
-  
-  // 2 Medium questions
-  for (let i = 0; i < 2; i++) {
-    const randomIndex = Math.floor(Math.random() * questionPools.medium.length);
-    const questionData = questionPools.medium[randomIndex];
-    questions.push({
-      id: `medium_${i + 1}`,
-      question: questionData.question,
-      category: questionData.category,
-      difficulty: 'medium',
-      timeLimit: 60
-    });
+
+  if (overlaps.length > 0) {
+    console.warn(`Template "${template.slug}" reused topics for questions:`, overlaps.join(', '));
   }
-  
-  // 2 Hard questions
-  for (let i = 0; i < 2; i++) {
-    const randomIndex = Math.floor(Math.random() * questionPools.hard.length);
-    const questionData = questionPools.hard[randomIndex];
-    questions.push({
-      id: `hard_${i + 1}`,
-      question: questionData.question,
-      category: questionData.category,
-      difficulty: 'hard',
-      timeLimit: 120
-    });
+
+  // Everything needed to replay the draw later
+  const selection = {
+    seed: seed,
+    algorithm: SELECTION_ALGORITHM,
+    mode: adaptive ? 'adaptive' : 'fixed',
+    plan: plan,
+    pools: Object.fromEntries(Object.entries(pools).map(([difficulty, pool]) =>
+      [difficulty, pool.map(question => question._id.toString())]
+    )),
+    timeLimits: timeLimits,
+    overlaps: overlaps,
+    skills: skillNames
+  };
+
+  return {
+    questions: [...resumeQuestions, ...questions],
+    selection,
+    totalQuestions: resumeQuestions.length + bankQuestions,
+    resumeSkills: personalize ? skills : []
+  };
+};
+
+// Load the questions a session's draw could pick from, by the ids stored at start.
+// Returns { pools, missing } where missing lists ids no longer in the bank.
+const loadSelectionPools = async (session) => {
+  const pools = {};
+  const missing = [];
+
+  for (const [difficulty, ids] of Object.entries(session.selection.pools || {})) {
+    pools[difficulty] = [];
+    for (const id of ids) {
+      const question = await getQuestion(session.organizationId, id);
+      if (question) {
+        pools[difficulty].push(question);
+      } else {
+        missing.push(id);
+      }
+    }
   }
-  
-  return questions;
+
+  return { pools, missing };
 };
 
-// Generate sample answers for each question
-const generateSampleAnswer = (question, difficulty) => {
-  const sampleAnswers = {
-    // Easy questions
-    "What is React and what are its main features?": "React is a JavaScript library for building user interfaces, particularly web applications. Its main features include: 1) Component-based architecture - allows building reusable UI components, 2) Virtual DOM - improves performance by minimizing direct DOM manipulation, 3) JSX - syntax extension that allows writing HTML-like code in JavaScript, 4) Unidirectional data flow - makes the application more predictable and easier to debug, 5) Rich ecosystem - with tools like React Router, Redux, and many third-party libraries.",
-    
-    "Explain the difference between let, const, and var in JavaScript.": "The main differences are: 1) **Scope**: var is function-scoped, while let and const are block-scoped. 2) **Hoisting**: var declarations are hoisted and initialized with undefined, let and const are hoisted but not initialized (temporal dead zone). 3) **Reassignment**: var and let can be reassigned, const cannot be reassigned after declaration. 4) **Redeclaration**: var can be redeclared in the same scope, let and const cannot. 5) **Best Practice**: Use const by default, let when you need to reassign, avoid var.",
-    
-    "What is the purpose of useEffect in React?": "useEffect is a React Hook that allows you to perform side effects in functional components. Its purposes include: 1) **Data fetching** - making API calls when component mounts or data changes, 2) **Setting up subscriptions** - connecting to external data sources, 3) **Manual DOM manipulation** - updating document title, adding event listeners, 4) **Cleanup** - removing event listeners, canceling API requests when component unmounts. The hook takes a function and an optional dependency array to control when the effect runs.",
-    
-    // Medium questions
-    "Explain the React component lifecycle methods.": "React class components have several lifecycle methods: 1) **Mounting**: componentDidMount() - called after component is rendered to DOM, 2) **Updating**: componentDidUpdate() - called after component updates, componentWillReceiveProps() - called when new props are received, 3) **Unmounting**: componentWillUnmount() - called before component is removed from DOM, 4) **Error Handling**: componentDidCatch() - catches errors in child components. In functional components, useEffect replaces these methods with dependency arrays controlling when effects run.",
-    
-    "How do you manage state in React applications?": "State management approaches include: 1) **Local State**: useState hook for component-specific state, 2) **Context API**: for sharing state across multiple components without prop drilling, 3) **External Libraries**: Redux for complex applications with predictable state updates, 4) **Custom Hooks**: for reusable stateful logic, 5) **Server State**: libraries like React Query for API data. Choose based on application complexity - start with local state and useState, move to Context for moderate complexity, consider Redux for large applications.",
-    
-    "What is the difference between props and state?": "Props and state are both ways to store data in React: 1) **Props**: immutable data passed from parent to child components, cannot be modified by child, used for configuration and communication, 2) **State**: mutable data owned by the component, can be updated using setState or useState, triggers re-renders when changed, 3) **Key Difference**: Props flow down, state stays local. Props are like function parameters, state is like component's internal memory. Use props for data that doesn't change, state for data that can change and affects rendering.",
-    
-    // Hard questions
-    "How do you optimize React application performance?": "Performance optimization strategies include: 1) **Code Splitting**: Use React.lazy() and Suspense for route-based splitting, 2) **Memoization**: React.memo() for component memoization, useMemo() for expensive calculations, useCallback() for function memoization, 3) **Virtualization**: For large lists using react-window or react-virtualized, 4) **Bundle Optimization**: Tree shaking, minification, compression, 5) **State Management**: Keep state as local as possible, avoid unnecessary re-renders, 6) **Profiling**: Use React DevTools Profiler to identify bottlenecks, 7) **Server-Side Rendering**: Use Next.js for better initial load performance.",
-    
-    "Explain the difference between controlled and uncontrolled components.": "Controlled vs Uncontrolled components: 1) **Controlled**: Form data is handled by React state, input value is controlled by component state, onChange handlers update state, React controls the form behavior, better for validation and complex interactions, 2) **Uncontrolled**: Form data is handled by DOM, use refs to access input values, defaultValue sets initial value, DOM controls the form behavior, simpler for basic forms, 3) **When to use**: Controlled for dynamic validation, complex state management, uncontrolled for simple forms or when integrating with non-React code.",
-    
-    "How do you implement error boundaries in React?": "Error boundaries catch JavaScript errors in child components: 1) **Class Component**: Create a class component that implements componentDidCatch(error, errorInfo) and render() methods, 2) **Usage**: Wrap components that might throw errors, 3) **Limitations**: Only catch errors in render methods, lifecycle methods, and constructors, not in event handlers, async code, or during server-side rendering, 4) **Implementation**: class ErrorBoundary extends React.Component { componentDidCatch(error, errorInfo) { logError(error, errorInfo); } render() { return this.state.hasError ? <h1>Something went wrong</h1> : this.props.children; } }",
-    
-    "What is the difference between useCallback and useMemo?": "useCallback and useMemo are optimization hooks: 1) **useCallback**: Returns a memoized callback function, prevents child re-renders when passing functions as props, use when passing functions to child components, 2) **useMemo**: Returns a memoized value, prevents expensive calculations on every render, use for expensive computations, 3) **Syntax**: useCallback(fn, deps) vs useMemo(() => fn(), deps), 4) **When to use**: useCallback for function references, useMemo for computed values, 5) **Dependencies**: Both take dependency arrays - only re-run when dependencies change, 6) **Performance**: Use sparingly, only when you have performance issues, as they add overhead."
+// The bank questions asked so far with their recorded scores, as adaptive
+// picks see them. Resume questions don't steer the draw.
+const getAdaptiveHistory = (session, questions = session.questions) => questions
+  .filter(question => question.bankId)
+  .map(question => {
+    const response = findResponse(session, question.id);
+    return { question, score: response ? response.score : 0 };
+  });
+
+// Draw the next question of an adaptive session from its scores so far.
+// Returns the new session question, or null when no question is left.
+const drawAdaptiveQuestion = async (session) => {
+  const { pools } = await loadSelectionPools(session);
+  const preferred = mapSkillQuestions(pools, session.selection.skills || []);
+  const pick = pickAdaptiveQuestion({
+    pools,
+    seed: session.selection.seed,
+    history: getAdaptiveHistory(session),
+    preferred
+  });
+
+  if (!pick) return null;
+
+  return {
+    question: snapshotQuestion(pick.question, {
+      id: nextQuestionId(session.questions, pick.difficulty),
+      difficulty: pick.difficulty,
+      timeLimits: session.selection.timeLimits,
+      selectionReason: pick.reason,
+      personalization: describePersonalization(pick.question, preferred, session.resumeSkills || [])
+    }),
+    // Set when the question was also asked in the candidate's earlier attempts
+    overlap: pick.overlap ? pick.question._id.toString() : null
+  };
+};
+
+// Replay a session's question draw from its stored seed and pools. Adaptive
+// draws are replayed step by step with the scores the candidate got. Returns
+// the bank ids the draw picks today, plus any pool questions that no longer exist.
+const regenerateSelection = async (session) => {
+  const { selection } = session;
+  const { pools, missing } = await loadSelectionPools(session);
+  const preferred = mapSkillQuestions(pools, selection.skills || []);
+
+  if (selection.mode === 'adaptive') {
+    const asked = session.questions.filter(question => question.bankId);
+    const bankIds = [];
+    for (let index = 0; index < asked.length; index++) {
+      const pick = pickAdaptiveQuestion({
+        pools,
+        seed: selection.seed,
+        history: getAdaptiveHistory(session, asked.slice(0, index)),
+        preferred
+      });
+      if (!pick) break;
+      bankIds.push(pick.question._id.toString());
+    }
+    return { bankIds, missing };
+  }
+
+  const { questions } = selectQuestions({ pools, plan: selection.plan, seed: selection.seed, preferred });
+  return {
+    bankIds: questions.map(({ question }) => question._id.toString()),
+    missing
   };
+};
 
-  // Return specific sample answer if available, otherwise generate a generic one
-  if (sampleAnswers[question.question]) {
-    return sampleAnswers[question.question];
+// Generate sample answers for each question
+const generateSampleAnswer = (question, difficulty) => {
+  // Use the question bank's sample answer if it has one, otherwise generate a generic one
+  if (question.sampleAnswer) {
+    return question.sampleAnswer;
   }
 
   // Generate generic sample answer based on difficulty and category
@@ -377,12 +798,24 @@ const generateSampleAnswer = (question, difficulty) => {
   return genericAnswers[difficulty] || genericAnswers.medium;
 };
 
+// Improvement suggestions for a given score band
+const generateSuggestions = (score) => {
+  if (score >= 80) {
+    return ["Continue building on this knowledge", "Share your expertise with others", "Explore advanced topics"];
+  } else if (score >= 60) {
+    return ["Review related concepts", "Practice explaining concepts in detail", "Study real-world examples"];
+  } else if (score >= 40) {
+    return ["Review basic concepts", "Practice with examples", "Seek additional learning resources"];
+  }
+  return ["Study fundamental concepts", "Practice basic examples", "Consider additional training"];
+};
+
 // Generate AI feedback for individual answers
 const generateAnswerFeedback = (question, answer, score, difficulty, aiFeedback = null, sampleAnswer = null) => {
   if (aiFeedback && sampleAnswer) {
     return {
       feedback: aiFeedback,
-      suggestions: generateSuggestions(score, difficulty),
+      suggestions: generateSuggestions(score),
       sampleAnswer: sampleAnswer
     };
   }
@@ -397,7 +830,7 @@ const generateAnswerFeedback = (question, answer, score, difficulty, aiFeedback
 
   const answerLength = answer.trim().length;
   let feedback = "";
-  let suggestions = [];
+  const suggestions = generateSuggestions(score);
 
   // Generate feedback based on score and content
   if (score >= 80) {
@@ -407,7 +840,6 @@ const generateAnswerFeedback = (question, answer, score, difficulty, aiFeedback
     } else {
       feedback += "Your answer was concise yet covered the key points effectively.";
     }
-    suggestions = ["Continue building on this knowledge", "Share your expertise with others", "Explore advanced topics"];
   } else if (score >= 60) {
     feedback = `Good response! You showed solid understanding of ${question.category.toLowerCase()}. `;
     if (answerLength > 50) {
@@ -415,15 +847,12 @@ const generateAnswerFeedback = (question, answer, score, difficulty, aiFeedback
     } else {
       feedback += "Consider expanding your answer with more details and examples.";
     }
-    suggestions = ["Review related concepts", "Practice explaining concepts in detail", "Study real-world examples"];
   } else if (score >= 40) {
     feedback = `Your answer shows some understanding but needs improvement in ${question.category.toLowerCase()}. `;
     feedback += "Consider studying the fundamental concepts more thoroughly.";
-    suggestions = ["Review basic concepts", "Practice with examples", "Seek additional learning resources"];
   } else {
     feedback = `This area needs significant improvement. Focus on learning the basic concepts of ${question.category.toLowerCase()}. `;
     feedback += "Consider starting with foundational materials.";
-    suggestions = ["Study fundamental concepts", "Practice basic examples", "Consider additional training"];
   }
 
   // Add difficulty-specific feedback
@@ -442,18 +871,66 @@ const generateAnswerFeedback = (question, answer, score, difficulty, aiFeedback
   };
 };
 
-// Enhanced AI scoring function with feedback generation
-const scoreAnswer = async (question, answer, difficulty) => {
-  if (!answer || answer.trim().length === 0) {
-    return {
-      score: 0,
-      feedback: generateAnswerFeedback(question, answer, 0, difficulty)
-    };
+// Where a score came from. Anything other than AI is degraded and can be re-scored.
+const SCORE_SOURCES = {
+  AI: 'ai',
+  RUBRIC: 'rubric',
+  FALLBACK: 'fallback'
+};
+
+// Hand-written rubric concepts for a question, or null if it has none
+const getQuestionConcepts = (question) =>
+  question.concepts && question.concepts.length > 0 ? question.concepts : null;
+
+// Deterministic offline scoring used when the LLM can't score an answer.
+// Questions without a rubric are scored on keywords from their own wording.
+const scoreAnswerWithRubric = (question, answer, difficulty) => {
+  const concepts = getQuestionConcepts(question);
+  const rubric = scoreWithRubric(answer, concepts || deriveConcepts(question.question), difficulty);
+  const feedback = generateAnswerFeedback(question, answer, rubric.score, difficulty);
+
+  if (rubric.matchedConcepts.length > 0) {
+    feedback.feedback += ` Concepts covered: ${rubric.matchedConcepts.join(', ')}.`;
+  }
+  if (rubric.missedConcepts.length > 0) {
+    feedback.feedback += ` Concepts to review: ${rubric.missedConcepts.join(', ')}.`;
   }
 
-  try {
-    const prompt = `
-    You are an expert technical interviewer evaluating a candidate's answer for a ${difficulty} level ${question.category} question.
+  return {
+    score: rubric.score,
+    feedback: feedback,
+    rubric: rubric,
+    scoreSource: concepts ? SCORE_SOURCES.RUBRIC : SCORE_SOURCES.FALLBACK
+  };
+};
+
+// Whose personal details to redact from prompts: the candidate's name and the
+// employers on their resume. `source` is a session or a candidate record.
+const getRedactionSubject = (source) => ({
+  candidateName: source.candidateInfo ? source.candidateInfo.name : source.name,
+  employers: ((source.resumeProfile && source.resumeProfile.employment) || []).map(job => job.company)
+});
+
+// Redact a prompt when LLM_REDACT_PII is on. Returns the prompt to send, the
+// redactor to restore the reply with, and the record of what was replaced.
+const preparePrompt = (prompt, subject = {}) => {
+  if (!isRedactionEnabled()) return { prompt, redactor: null, redaction: null };
+
+  const redactor = createRedactor(subject);
+  const redacted = redactor.redact(prompt);
+  const redaction = redactor.record();
+  if (redaction.items.length > 0) {
+    console.log(`Redacted before ${llm.name} request:`, redaction.items.map(item => `${item.placeholder} x${item.occurrences}`).join(', '));
+  }
+  return { prompt: redacted, redactor, redaction };
+};
+
+// Ask the LLM to score an answer. Resolves to { ok: true, score, feedback, scoreSource, redaction }
+// or { ok: false, error, redaction } without falling back to anything.
+const scoreAnswerWithLLM = async (question, answer, difficulty, template, subject) => {
+  const roleLabel = template?.roleLabel || DEFAULT_ROLE_LABEL;
+  const prompt = `
+    You are an expert technical interviewer hiring for a ${roleLabel} role, evaluating a candidate's answer for a ${difficulty} level ${question.category} question.
     
     Question: ${question.question}
     Candidate's Answer: ${answer}
@@ -469,52 +946,99 @@ const scoreAnswer = async (question, answer, difficulty) => {
       "feedback": "<detailed feedback>",
       "sampleAnswer": "<sample answer>"
     }
-    `;
+  `;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    // Parse the JSON response
-    const aiResponse = JSON.parse(text);
-    
+  // Parse and validate the JSON response, retrying with a repair prompt if needed
+  const { prompt: outgoingPrompt, redactor, redaction } = preparePrompt(prompt, subject);
+  const result = await requestScoring(llm, outgoingPrompt, { maxRetries: LLM_SCORING_RETRIES });
+
+  if (!result.ok) {
     return {
-      score: aiResponse.score,
-      feedback: generateAnswerFeedback(question, answer, aiResponse.score, difficulty, aiResponse.feedback, aiResponse.sampleAnswer)
+      ok: false,
+      error: {
+        code: result.code,
+        message: result.message,
+        attempts: result.attempts
+      },
+      redaction: redaction
     };
-  } catch (error) {
-    console.error('Gemini API error:', error);
-    // Fallback to original scoring
+  }
+
+  // Feedback may refer to placeholders such as [CANDIDATE_NAME]
+  const aiResponse = result.value;
+  const restore = (text) => (redactor ? redactor.restore(text) : text);
+  return {
+    ok: true,
+    score: aiResponse.score,
+    feedback: generateAnswerFeedback(question, answer, aiResponse.score, difficulty, restore(aiResponse.feedback), restore(aiResponse.sampleAnswer)),
+    scoreSource: SCORE_SOURCES.AI,
+    redaction: redaction
+  };
+};
+
+// Enhanced AI scoring function with feedback generation
+const scoreAnswer = async (question, answer, difficulty, template, subject) => {
+  // Blank answers always score 0, so there is nothing to re-score later
+  if (!answer || answer.trim().length === 0) {
+    return {
+      score: 0,
+      feedback: generateAnswerFeedback(question, answer, 0, difficulty),
+      scoreSource: SCORE_SOURCES.RUBRIC
+    };
+  }
+
+  const aiResult = await scoreAnswerWithLLM(question, answer, difficulty, template, subject);
+
+  if (aiResult.ok) {
     return {
-      score: Math.floor(Math.random() * 40) + 30,
-      feedback: generateAnswerFeedback(question, answer, 50, difficulty)
+      score: aiResult.score,
+      feedback: aiResult.feedback,
+      scoreSource: aiResult.scoreSource,
+      redaction: aiResult.redaction
     };
   }
+
+  console.error(`LLM scoring error (${llm.name}):`, aiResult.error.message);
+  // Fall back to the offline rubric instead of inventing a score
+  return {
+    ...scoreAnswerWithRubric(question, answer, difficulty),
+    error: aiResult.error,
+    redaction: aiResult.redaction
+  };
 };
 
+// True when a non-blank answer was scored without the AI and should be re-scored.
+// Records from before score sources were tracked have no source and are left alone.
+const isDegradedScore = (answer, scoreSource) =>
+  Boolean(scoreSource && scoreSource !== SCORE_SOURCES.AI && answer && answer.trim().length > 0);
+
 // Generate AI summary
-const generateAISummary = (candidateInfo, answers, scores, questions) => {
+const generateAISummary = (candidateInfo, answers, scores, questions, template) => {
   const avgScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  const roleLabel = template?.roleLabel || DEFAULT_ROLE_LABEL;
   
   const strengths = [];
   const improvements = [];
   
-  // Analyze performance by difficulty
-  const easyScores = scores.slice(0, 2);
-  const mediumScores = scores.slice(2, 4);
-  const hardScores = scores.slice(4, 6);
+  // Analyze performance by difficulty; templates may skip a difficulty entirely
+  const averageFor = (difficulty) => {
+    const difficultyScores = scores.filter((score, index) => questions[index]?.difficulty === difficulty);
+    return difficultyScores.length > 0
+      ? difficultyScores.reduce((sum, score) => sum + score, 0) / difficultyScores.length
+      : null;
+  };
   
-  const easyAvg = easyScores.reduce((sum, score) => sum + score, 0) / easyScores.length;
-  const mediumAvg = mediumScores.reduce((sum, score) => sum + score, 0) / mediumScores.length;
-  const hardAvg = hardScores.reduce((sum, score) => sum + score, 0) / hardScores.length;
+  const easyAvg = averageFor('easy');
+  const mediumAvg = averageFor('medium');
+  const hardAvg = averageFor('hard');
   
-  if (easyAvg >= 80) strengths.push("strong fundamental knowledge");
-  if (mediumAvg >= 75) strengths.push("good intermediate-level understanding");
-  if (hardAvg >= 70) strengths.push("solid advanced concepts grasp");
+  if (easyAvg !== null && easyAvg >= 80) strengths.push("strong fundamental knowledge");
+  if (mediumAvg !== null && mediumAvg >= 75) strengths.push("good intermediate-level understanding");
+  if (hardAvg !== null && hardAvg >= 70) strengths.push("solid advanced concepts grasp");
   
-  if (easyAvg < 60) improvements.push("basic concepts need reinforcement");
-  if (mediumAvg < 60) improvements.push("intermediate topics require more study");
-  if (hardAvg < 50) improvements.push("advanced concepts need significant improvement");
+  if (easyAvg !== null && easyAvg < 60) improvements.push("basic concepts need reinforcement");
+  if (mediumAvg !== null && mediumAvg < 60) improvements.push("intermediate topics require more study");
+  if (hardAvg !== null && hardAvg < 50) improvements.push("advanced concepts need significant improvement");
   
   const performanceLevel = avgScore >= 80 ? "Excellent" : avgScore >= 60 ? "Good" : "Needs Improvement";
   
@@ -522,20 +1046,20 @@ const generateAISummary = (candidateInfo, answers, scores, questions) => {
     strengths.length > 0 ? `Strengths include ${strengths.join(', ')}.` : ''
   } ${
     improvements.length > 0 ? `Areas for improvement: ${improvements.join(', ')}.` : ''
-  } The candidate shows ${avgScore >= 70 ? 'strong potential' : 'room for growth'} for a full-stack developer role.`;
+  } The candidate shows ${avgScore >= 70 ? 'strong potential' : 'room for growth'} for a ${roleLabel} role.`;
 };
 
-// Save candidate to database or memory
-const saveCandidate = async (candidateData) => {
+// Save an organization's candidate to database or memory
+const saveCandidate = async (organizationId, candidateData) => {
   try {
     if (mongoose.connection.readyState === 1) {
       // MongoDB is connected
-      const candidate = new Candidate(candidateData);
+      const candidate = new Candidate({ ...candidateData, organizationId });
       await candidate.save();
       return candidate;
     } else {
       // Fallback to in-memory storage
-      const candidate = { ...candidateData, _id: Date.now().toString() };
+      const candidate = { ...candidateData, organizationId, _id: Date.now().toString() };
       inMemoryCandidates.push(candidate);
       return candidate;
     }
@@ -545,103 +1069,622 @@ const saveCandidate = async (candidateData) => {
   }
 };
 
-// Get all candidates from database or memory
-const getCandidates = async () => {
+const getInMemoryCandidates = (organizationId) => inMemoryCandidates
+  .filter(candidate => candidate.organizationId === organizationId)
+  .sort((a, b) => b.finalScore - a.finalScore);
+
+// Get an organization's candidates from database or memory
+const getCandidates = async (organizationId) => {
   try {
     if (mongoose.connection.readyState === 1) {
       // MongoDB is connected
-      return await Candidate.find().sort({ finalScore: -1 });
+      return await Candidate.find({ organizationId }).sort({ finalScore: -1 });
     } else {
       // Fallback to in-memory storage
-      return inMemoryCandidates.sort((a, b) => b.finalScore - a.finalScore);
+      return getInMemoryCandidates(organizationId);
     }
   } catch (error) {
     console.error('Error fetching candidates:', error);
-    return inMemoryCandidates.sort((a, b) => b.finalScore - a.finalScore);
+    return getInMemoryCandidates(organizationId);
   }
 };
 
-// Routes
-app.post('/api/upload-resume', upload.single('resume'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// Look up a candidate by id in any organization. Only for requests already
+// tied to the candidate, like signed resume links.
+const findCandidateById = async (candidateId) => {
+  if (mongoose.connection.readyState === 1) {
+    if (!mongoose.Types.ObjectId.isValid(candidateId)) return null;
+    return await Candidate.findById(candidateId);
+  }
+  return inMemoryCandidates.find(candidate => candidate._id === candidateId) || null;
+};
 
-    console.log('Resume file received:', req.file.originalname);
-    
-    // Parse resume content with actual file parsing
-    const extractedData = await parseResumeContent(
-      req.file.originalname, 
-      req.file.buffer, 
-      req.file.mimetype
-    );
-    
-    res.json({
-      success: true,
-      candidateInfo: extractedData,
-      message: 'Resume processed successfully. Please verify and complete any missing information.'
-    });
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to process resume' });
+// Look up one of an organization's candidates by id
+const getCandidateById = async (organizationId, candidateId) => {
+  const candidate = await findCandidateById(candidateId);
+  return candidate && candidate.organizationId === organizationId ? candidate : null;
+};
+
+// Candidates with answers that were scored without the AI, in one
+// organization or, without `organizationId`, in all of them
+const getCandidatesNeedingRescore = async (organizationId) => {
+  if (mongoose.connection.readyState === 1) {
+    return await Candidate.find(organizationId ? { organizationId, needsRescore: true } : { needsRescore: true });
   }
-});
+  return inMemoryCandidates.filter(candidate =>
+    candidate.needsRescore && (!organizationId || candidate.organizationId === organizationId));
+};
 
-app.post('/api/start-interview', async (req, res) => {
-  try {
-    console.log('Start interview request received:', req.body);
-    
-    const { candidateInfo } = req.body;
-    
-    if (!candidateInfo || !candidateInfo.name || !candidateInfo.email || !candidateInfo.phone) {
-      console.log('Missing candidate information:', candidateInfo);
-      return res.status(400).json({ error: 'Missing required candidate information' });
+// Persist changes made to a candidate returned by getCandidateById
+const updateCandidate = async (candidate) => {
+  if (typeof candidate.save === 'function') {
+    await candidate.save();
+  }
+  return candidate;
+};
+
+// Re-score a candidate's degraded answers with the LLM, then recompute the
+// final score and summary. Stops at the first LLM failure so an outage
+// doesn't burn through retries for every answer.
+const rescoreCandidate = async (candidate) => {
+  const answers = candidate.answers;
+  const questions = candidate.questions;
+  const scores = [...candidate.scores];
+  const scoreSources = [...(candidate.scoreSources || [])];
+  const answerFeedbacks = [...(candidate.answerFeedbacks || [])];
+  const redactions = [...(candidate.redactions || [])];
+  let rescored = 0;
+  let error = null;
+
+  for (let index = 0; index < answers.length; index++) {
+    if (!isDegradedScore(answers[index], scoreSources[index])) continue;
+
+    const question = questions[index];
+    const result = await scoreAnswerWithLLM(question, answers[index], question.difficulty, candidate.template, getRedactionSubject(candidate));
+
+    if (!result.ok) {
+      error = result.error;
+      break;
     }
 
-    console.log('Generating questions...');
-    // Generate random questions
-    const questions = generateQuestions();
-    console.log('Generated questions:', questions.length);
-    
-    const response = {
-      success: true,
-      questions: questions,
-      candidateInfo: candidateInfo
-    };
-    
-    console.log('Sending response:', response);
-    res.json(response);
-  } catch (error) {
-    console.error('Start interview error:', error);
-    res.status(500).json({ error: 'Failed to start interview' });
+    scores[index] = result.score;
+    scoreSources[index] = result.scoreSource;
+    answerFeedbacks[index] = result.feedback;
+    redactions[index] = result.redaction;
+    rescored++;
   }
-});
 
-app.post('/api/submit-answer', async (req, res) => {
-  try {
-    console.log('Submit answer request received:', req.body);
-    
-    const { question, answer, candidateInfo } = req.body;
-    
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+  if (rescored > 0) {
+    candidate.scores = scores;
+    candidate.scoreSources = scoreSources;
+    candidate.answerFeedbacks = answerFeedbacks;
+    candidate.redactions = redactions;
+    candidate.finalScore = calculateFinalScore(scores, candidate.totalQuestions);
+    candidate.summary = generateAISummary(candidate, answers, scores, questions, candidate.template);
+    candidate.rescoredAt = new Date();
+  }
+
+  const remaining = answers.filter((answer, index) => isDegradedScore(answer, scoreSources[index])).length;
+  candidate.needsRescore = remaining > 0;
+  await updateCandidate(candidate);
+
+  return { rescored, remaining, error };
+};
+
+// Re-score every flagged candidate of an organization, or of all of them,
+// giving up as soon as the LLM is still unreachable
+const rescoreFlaggedCandidates = async (organizationId) => {
+  const candidates = await getCandidatesNeedingRescore(organizationId);
+  const summary = { candidates: candidates.length, rescoredAnswers: 0, completed: 0, error: null };
+
+  for (const candidate of candidates) {
+    const result = await rescoreCandidate(candidate);
+    summary.rescoredAnswers += result.rescored;
+    if (result.remaining === 0) summary.completed++;
+    if (result.error) {
+      summary.error = result.error;
+      break;
     }
-    
-    if (!candidateInfo) {
-      return res.status(400).json({ error: 'Candidate info is required' });
+  }
+
+  return summary;
+};
+
+// Create a new interview session in database or memory
+const createSession = async (candidateInfo, template, { questions, selection, totalQuestions, resumeSkills }, resume, invitation) => {
+  const sessionData = {
+    sessionId: randomUUID(),
+    organizationId: template.organizationId,
+    candidateInfo: {
+      name: candidateInfo.name,
+      email: candidateInfo.email,
+      phone: candidateInfo.phone
+    },
+    template: toTemplateSnapshot(template),
+    selection: selection,
+    resumeSkills: resumeSkills,
+    resumeProfile: resume ? resume.profile : undefined,
+    resumeFile: resume ? { resumeId: resume.resumeId, filename: resume.filename, format: resume.format } : undefined,
+    invitationId: invitation ? invitation._id.toString() : undefined,
+    totalQuestions: totalQuestions,
+    questions: questions,
+    responses: [],
+    status: 'in_progress',
+    startedAt: new Date()
+  };
+
+  if (mongoose.connection.readyState === 1) {
+    const session = new InterviewSession(sessionData);
+    await session.save();
+    return session;
+  }
+
+  inMemorySessions.push(sessionData);
+  return sessionData;
+};
+
+// Look up an interview session by its id
+const getSession = async (sessionId) => {
+  if (mongoose.connection.readyState === 1) {
+    return await InterviewSession.findOne({ sessionId });
+  }
+  return inMemorySessions.find(session => session.sessionId === sessionId) || null;
+};
+
+// Persist changes made to a session returned by getSession
+const saveSession = async (session) => {
+  if (typeof session.save === 'function') {
+    await session.save();
+  }
+  return session;
+};
+
+const findResponse = (session, questionId) =>
+  session.responses.find(r => r.questionId === questionId) || null;
+
+// Record an answer unless the question already has one. With MongoDB every
+// request loads its own copy of the session, so the check and the write are
+// one conditional update. Returns false when the question was already
+// answered or the session completed. The response isn't added to `session`;
+// load the session again to see it.
+const recordResponse = async (session, response) => {
+  if (typeof session.save === 'function') {
+    const result = await InterviewSession.updateOne(
+      { sessionId: session.sessionId, status: { $ne: 'completed' }, 'responses.questionId': { $ne: response.questionId } },
+      { $push: { responses: response } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (session.status === 'completed' || findResponse(session, response.questionId)) return false;
+  session.responses.push(response);
+  return true;
+};
+
+// Add a drawn adaptive question as question number `position` (counting from
+// 0) unless another request already added one there, in one conditional
+// update like recordResponse. Returns false if it was added elsewhere; with
+// MongoDB load the session again either way to see it.
+const appendQuestion = async (session, position, { question, overlap }) => {
+  if (typeof session.save === 'function') {
+    const result = await InterviewSession.updateOne(
+      { sessionId: session.sessionId, status: { $ne: 'completed' }, [`questions.${position}`]: { $exists: false } },
+      { $push: overlap ? { questions: question, 'selection.overlaps': overlap } : { questions: question } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (session.status === 'completed' || session.questions.length !== position) return false;
+  session.questions.push(question);
+  if (overlap) session.selection.overlaps.push(overlap);
+  return true;
+};
+
+// Mark a session completed unless another request already did, in one
+// conditional update like recordResponse. Returns false if it was completed.
+const claimSessionCompletion = async (session, completedAt) => {
+  if (typeof session.save === 'function') {
+    const result = await InterviewSession.updateOne(
+      { sessionId: session.sessionId, status: { $ne: 'completed' } },
+      { status: 'completed', completedAt }
+    );
+    if (result.modifiedCount === 0) return false;
+  } else if (session.status === 'completed') {
+    return false;
+  }
+
+  session.status = 'completed';
+  session.completedAt = completedAt;
+  return true;
+};
+
+// Undo claimSessionCompletion when the interview couldn't be saved after all
+const reopenSession = async (session) => {
+  if (typeof session.save === 'function') {
+    await InterviewSession.updateOne({ sessionId: session.sessionId }, { status: 'in_progress', $unset: { completedAt: 1 } });
+  }
+  session.status = 'in_progress';
+  session.completedAt = undefined;
+};
+
+// Walk the session's questions in order using the server clock. Each question
+// is served as soon as the previous one is answered or expires, questions whose
+// deadline (plus grace) has passed are recorded as zero-score timeouts, and the
+// question currently being answered is returned (null once all are done).
+// Timeouts go through recordResponse, so a timer sync and a submit running
+// together can't both record one. With MongoDB the session is loaded again
+// after each, so use the session this resolves to: { session, currentQuestion }.
+const syncSessionClock = async (session, now = new Date()) => {
+  if (session.status === 'completed') return { session, currentQuestion: null };
+
+  let servedFrom = new Date(session.startedAt);
+
+  for (const question of session.questions) {
+    const response = findResponse(session, question.id);
+    if (response) {
+      // Time spent scoring an answer doesn't count against the next question
+      servedFrom = new Date(response.scoredAt || response.submittedAt);
+      continue;
+    }
+
+    if (!question.servedAt) {
+      question.servedAt = servedFrom;
+      question.deadline = new Date(servedFrom.getTime() + question.timeLimit * 1000);
+    }
+
+    const deadline = new Date(question.deadline);
+    if (now.getTime() <= deadline.getTime() + DEADLINE_GRACE_MS) {
+      return { session, currentQuestion: question };
+    }
+
+    // Not recorded when another request recorded a response first
+    await recordResponse(session, {
+      questionId: question.id,
+      answer: '',
+      score: 0,
+      feedback: generateAnswerFeedback(question, '', 0, question.difficulty),
+      scoreSource: SCORE_SOURCES.RUBRIC,
+      timedOut: true,
+      submittedAt: deadline
+    });
+    if (typeof session.save === 'function') {
+      return syncSessionClock(await getSession(session.sessionId), now);
+    }
+    servedFrom = deadline;
+  }
+
+  return { session, currentQuestion: null };
+};
+
+// Sync the session clock and, for adaptive sessions, draw the next question
+// whenever every question so far has been answered or timed out. Resolves to
+// { session, currentQuestion } like syncSessionClock.
+const advanceSession = async (session, now = new Date()) => {
+  let currentQuestion;
+  ({ session, currentQuestion } = await syncSessionClock(session, now));
+
+  while (!currentQuestion && session.status !== 'completed' && session.selection?.mode === 'adaptive' &&
+    session.questions.length < session.totalQuestions) {
+    // Two requests can draw at once; only one of them adds the question
+    const position = session.questions.length;
+    const draw = await drawAdaptiveQuestion(session);
+    if (!draw) break;
+    await appendQuestion(session, position, draw);
+    if (typeof session.save === 'function') {
+      session = await getSession(session.sessionId);
+    }
+    ({ session, currentQuestion } = await syncSessionClock(session, now));
+  }
+
+  return { session, currentQuestion };
+};
+
+// Final score over every question the interview asks, answered or not
+const calculateFinalScore = (scores, totalQuestions) =>
+  Math.round(scores.reduce((sum, score) => sum + score, 0) / Math.max(scores.length, totalQuestions || 0, 1));
+
+// Timing details the client uses to sync its countdown with the server
+const getQuestionTiming = (question, now = new Date()) => ({
+  questionId: question.id,
+  servedAt: question.servedAt,
+  deadline: question.deadline,
+  remainingTime: Math.max(0, Math.ceil((new Date(question.deadline).getTime() - now.getTime()) / 1000)),
+  serverTime: now
+});
+
+// Routes
+app.post('/api/upload-resume', acceptResumeUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(RESUME_ERROR_STATUS.NO_FILE).json({ error: 'No file uploaded', code: 'NO_FILE' });
+    }
+
+    // Only candidates with an invitation can upload, and the file is kept for
+    // the interview started with that invitation
+    const { invitationToken } = req.body;
+    const invitation = await checkInvitation(invitationToken ? String(invitationToken) : null);
+
+    console.log('Resume file received:', req.file.originalname);
+
+    // Scan before any parser touches the file. A scanner that can't be
+    // reached rejects the upload rather than letting it through unscanned.
+    let scan;
+    try {
+      scan = await virusScanner.scan(req.file.buffer);
+    } catch (error) {
+      console.error(`Virus scan (${virusScanner.name}) failed:`, error.message);
+      return res.status(RESUME_ERROR_STATUS.SCAN_FAILED).json({
+        error: 'The file could not be checked for viruses, please try again later',
+        code: 'SCAN_FAILED'
+      });
+    }
+    if (!scan.clean) {
+      console.warn(`Rejected resume ${req.file.originalname}: ${scan.signature}`);
+      return res.status(RESUME_ERROR_STATUS.INFECTED).json({
+        error: 'The file was rejected by the virus scanner',
+        code: 'INFECTED'
+      });
+    }
+    
+    // Read the text in whatever format the file turns out to be. A file with
+    // no text (e.g. a scanned PDF) still goes through, with the details left
+    // for the candidate to fill in.
+    let resumeText = '';
+    let format = null;
+    let warning = null;
+    try {
+      ({ format, text: resumeText } = await extractResumeText(req.file.buffer, req.file.originalname));
+      console.log(`Resume format: ${format}`);
+    } catch (error) {
+      if (!(error instanceof ResumeFormatError)) throw error;
+      console.error('Error parsing file:', error.message);
+      if (error.code !== 'NO_TEXT') {
+        return res.status(RESUME_ERROR_STATUS[error.code] || 422).json({
+          error: error.message,
+          code: error.code,
+          format: error.format
+        });
+      }
+      format = error.format;
+      warning = error.message;
+    }
+
+    const fields = resumeText
+      ? parseResumeContent(req.file.originalname, resumeText)
+      : parseResumeFromFilename(req.file.originalname);
+
+    // Keep the detected skills so the interview can be personalized, and the
+    // structured profile for the candidate record
+    const skills = detectSkills(resumeText);
+    const profile = extractResumeProfile(resumeText, skills);
+    const resume = await saveResume({
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      format,
+      skills,
+      profile,
+      buffer: req.file.buffer,
+      invitationId: invitation._id.toString()
+    });
+    console.log('Detected resume skills:', skills.map(skill => skill.name).join(', ') || 'none');
+
+    res.json({
+      success: true,
+      // Only trusted values; `fields` has every value with its confidence and source
+      candidateInfo: toCandidateInfo(fields),
+      fields: fields,
+      // The text the fields were read from, and every value in it that could
+      // fill a field, for the candidate to pick a different one
+      text: resumeText,
+      spans: findFieldSpans(resumeText, fields),
+      resumeId: resume.resumeId,
+      skills: skills,
+      profile: profile,
+      format: format,
+      warning: warning,
+      message: 'Resume processed successfully. Please verify and complete any missing information.'
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return res.status(INVITATION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to process resume' });
+  }
+});
+
+// Check a phone number as the candidate types it. Numbers without a country
+// code are read as DEFAULT_PHONE_REGION's.
+app.post('/api/validate-phone', (req, res) => {
+  const { phone } = req.body;
+  if (typeof phone !== 'string' || !phone.trim()) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+  res.json(parsePhone(phone));
+});
+
+app.post('/api/start-interview', async (req, res) => {
+  try {
+    const { candidateInfo, resumeId, invitationToken } = req.body;
+    console.log('Start interview request received:', { candidateInfo, resumeId });
+    
+    if (!candidateInfo || !candidateInfo.name || !candidateInfo.email || !candidateInfo.phone) {
+      console.log('Missing candidate information:', candidateInfo);
+      return res.status(400).json({ error: 'Missing required candidate information' });
+    }
+
+    // Phone numbers are stored in E.164 whatever format they were typed in
+    const phone = parsePhone(candidateInfo.phone);
+    if (!phone.valid) {
+      return res.status(400).json({ error: phone.error.message, code: phone.error.code, field: 'phone' });
+    }
+
+    // Interviews are only started from an invitation, which sets the email
+    // and the template. This uses up one of its attempts.
+    const invitation = await claimInvitation(invitationToken ? String(invitationToken) : null);
+    const candidate = { ...candidateInfo, email: invitation.email, phone: phone.e164 };
+
+    let session;
+    try {
+      const template = await getTemplate(invitation.organizationId, invitation.template.id);
+      if (!template || !template.active) {
+        await releaseInvitation(invitation._id);
+        return res.status(409).json({ error: 'The position this invitation is for is no longer open' });
+      }
+
+      // Skills from the uploaded resume personalize the questions; without one
+      // the interview is drawn from the template alone. Only a resume uploaded
+      // with this invitation counts, and taking it keeps it from being deleted.
+      const resume = resumeId ? await claimResume(String(resumeId), invitation._id.toString()) : null;
+      if (resumeId && !resume) {
+        console.warn(`Resume ${resumeId} not found, starting without personalization`);
+      }
+
+      console.log(`Generating questions for template "${template.slug}"...`);
+      // Draw the questions with a fresh seed
+      const generated = await generateQuestions(template, createSeed(), {
+        skills: resume ? resume.skills.map(({ name, mentions, context, employer }) => ({ name, mentions, context, employer })) : []
+      });
+      console.log(`Generated questions: ${generated.questions.length} of ${generated.totalQuestions} (seed ${generated.selection.seed})`);
+
+      // Persist the issued questions and seed so answers, scores and the draw can be checked later
+      session = await createSession(candidate, template, generated, resume, invitation);
+    } catch (error) {
+      await releaseInvitation(invitation._id);
+      throw error;
+    }
+    await recordInvitationSession(invitation._id, session.sessionId);
+
+    // Serve the first question and start its countdown on the server clock
+    let currentQuestion;
+    ({ session, currentQuestion } = await advanceSession(session));
+    await saveSession(session);
+
+    const response = {
+      success: true,
+      sessionId: session.sessionId,
+      template: session.template,
+      mode: session.selection.mode,
+      totalQuestions: session.totalQuestions,
+      // Adaptive sessions only list the questions served so far
+      questions: session.questions.map(toClientQuestion),
+      candidateInfo: candidate,
+      startedAt: session.startedAt,
+      currentQuestion: currentQuestion ? getQuestionTiming(currentQuestion) : null
+    };
+    
+    console.log('Sending response:', response);
+    res.json(response);
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return res.status(INVITATION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof QuestionPoolError) {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Start interview error:', error);
+    res.status(500).json({ error: 'Failed to start interview' });
+  }
+});
+
+app.post('/api/submit-answer', async (req, res) => {
+  try {
+    console.log('Submit answer request received:', req.body);
+    
+    const { sessionId, questionId, answer } = req.body;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+    
+    if (!questionId) {
+      return res.status(400).json({ error: 'Question ID is required' });
+    }
+
+    const loadedSession = await getSession(sessionId);
+
+    if (!loadedSession) {
+      return res.status(404).json({ error: 'Interview session not found' });
+    }
+
+    if (loadedSession.status === 'completed') {
+      return res.status(409).json({ error: 'Interview session already completed' });
+    }
+
+    // Only questions issued for this session can be answered
+    const question = loadedSession.questions.find(q => q.id === questionId);
+
+    if (!question) {
+      return res.status(400).json({ error: 'Question does not belong to this interview session' });
+    }
+
+    // Deadlines are checked against the time the request arrived, not after scoring
+    const receivedAt = new Date();
+    const { session, currentQuestion } = await advanceSession(loadedSession, receivedAt);
+    const existingResponse = findResponse(session, questionId);
+
+    if (existingResponse && existingResponse.timedOut) {
+      await saveSession(session);
+      return res.json({
+        success: true,
+        late: true,
+        score: 0,
+        feedback: existingResponse.feedback,
+        nextQuestion: currentQuestion ? getQuestionTiming(currentQuestion, receivedAt) : null,
+        questions: session.questions.map(toClientQuestion),
+        message: 'Time limit exceeded. Answer recorded with a score of 0/100'
+      });
+    }
+
+    if (existingResponse) {
+      return res.status(409).json({ error: 'Question already answered' });
+    }
+
+    if (!currentQuestion || currentQuestion.id !== questionId) {
+      return res.status(409).json({ error: 'Question has not been served yet' });
     }
     
-    // Use Gemini AI for scoring
-    const result = await scoreAnswer(question, answer, question.difficulty);
+    // Use the configured LLM provider for scoring
+    const result = await scoreAnswer(question, answer, question.difficulty, session.template, getRedactionSubject(session));
     
     console.log('Scoring result:', result);
+    const scoredAt = new Date();
+
+    // Another request may have answered the question while scoring was in flight
+    const recorded = await recordResponse(session, {
+      questionId: questionId,
+      answer: answer || '',
+      score: result.score,
+      feedback: result.feedback,
+      scoreSource: result.scoreSource,
+      scoringError: result.error || null,
+      rubric: result.rubric || null,
+      redaction: result.redaction || null,
+      submittedAt: receivedAt,
+      scoredAt: scoredAt
+    });
+
+    if (!recorded) {
+      return res.status(409).json({ error: 'Question already answered' });
+    }
+
+    // Serve the next question now that this one is answered and scored
+    const { session: answeredSession, currentQuestion: nextQuestion } = await advanceSession(await getSession(sessionId), scoredAt);
+    await saveSession(answeredSession);
     
     res.json({
       success: true,
+      late: false,
       score: result.score,
       feedback: result.feedback,
-      message: `Answer evaluated. Score: ${result.score}/100`
+      scoreSource: result.scoreSource,
+      scoringError: result.error || null,
+      rubric: result.rubric || null,
+      nextQuestion: nextQuestion ? getQuestionTiming(nextQuestion) : null,
+      questions: answeredSession.questions.map(toClientQuestion),
+      message: result.error
+        ? `Answer evaluated with the offline rubric. Score: ${result.score}/100`
+        : `Answer evaluated. Score: ${result.score}/100`
     });
   } catch (error) {
     console.error('Submit answer error:', error);
@@ -652,23 +1695,48 @@ app.post('/api/submit-answer', async (req, res) => {
   }
 });
 
-// Update the complete interview route to include sample answers
+// Complete the interview using only the answers and scores stored in the session
 app.post('/api/complete-interview', async (req, res) => {
   try {
-    const { candidateInfo, answers, scores, questions } = req.body;
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+
+    const loadedSession = await getSession(sessionId);
+
+    if (!loadedSession) {
+      return res.status(404).json({ error: 'Interview session not found' });
+    }
+
+    if (loadedSession.status === 'completed') {
+      return res.status(409).json({ error: 'Interview session already completed' });
+    }
+
+    // Record any questions whose deadline passed before completion
+    const { session } = await syncSessionClock(loadedSession);
+
+    const { candidateInfo, questions } = session;
+
+    // Unanswered questions count as empty answers with a zero score
+    const responses = questions.map(question => findResponse(session, question.id));
+    const answers = responses.map(response => response ? response.answer : '');
+    const scores = responses.map(response => response ? response.score : 0);
+    const scoreSources = responses.map(response => response ? response.scoreSource : SCORE_SOURCES.RUBRIC);
     
-    const finalScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    const finalScore = calculateFinalScore(scores, session.totalQuestions);
     
-    // Generate feedback for each answer (including sample answers)
-    const answerFeedbacks = answers.map((answer, index) => {
-      const question = questions[index];
-      const score = scores[index];
-      return generateAnswerFeedback(question, answer, score, question.difficulty);
-    });
+    // Keep the feedback the candidate saw after each answer (AI feedback with
+    // its sample answer, or the rubric's concepts); only questions never
+    // answered get generated feedback
+    const answerFeedbacks = questions.map((question, index) =>
+      responses[index]?.feedback || generateAnswerFeedback(question, answers[index], scores[index], question.difficulty));
     
-    const summary = generateAISummary(candidateInfo, answers, scores, questions);
+    const summary = generateAISummary(candidateInfo, answers, scores, questions, session.template);
     
     // Save candidate to database with feedback and sample answers
+    const completedAt = new Date();
     const candidateData = {
       name: candidateInfo.name,
       email: candidateInfo.email,
@@ -677,18 +1745,54 @@ app.post('/api/complete-interview', async (req, res) => {
       summary: summary,
       answers: answers,
       scores: scores,
-      questions: questions,
+      questions: questions.map(question => ({
+        ...toClientQuestion(question),
+        bankId: question.bankId,
+        selectionReason: question.selectionReason,
+        personalization: question.personalization
+      })),
+      totalQuestions: session.totalQuestions,
+      resumeSkills: session.resumeSkills || [],
+      resumeProfile: session.resumeProfile,
+      resumeFile: session.resumeFile,
+      invitationId: session.invitationId,
       answerFeedbacks: answerFeedbacks,
-      startedAt: new Date(),
-      completedAt: new Date()
+      scoreSources: scoreSources,
+      redactions: responses.map(response => (response && response.redaction) || null),
+      needsRescore: answers.some((answer, index) => isDegradedScore(answer, scoreSources[index])),
+      sessionId: session.sessionId,
+      template: session.template,
+      startedAt: session.startedAt,
+      completedAt: completedAt
     };
     
-    const savedCandidate = await saveCandidate(candidateData);
+    // Only one request may turn the session into a candidate
+    if (!await claimSessionCompletion(session, completedAt)) {
+      return res.status(409).json({ error: 'Interview session already completed' });
+    }
+
+    let savedCandidate;
+    try {
+      savedCandidate = await saveCandidate(session.organizationId, candidateData);
+    } catch (error) {
+      await reopenSession(session);
+      throw error;
+    }
+
+    session.candidateId = savedCandidate._id.toString();
+    await saveSession(session);
+
+    if (session.invitationId) {
+      await completeInvitation(session.invitationId, session.candidateId);
+    }
     
     res.json({
       success: true,
       finalScore: finalScore,
       summary: summary,
+      answers: answers,
+      scores: scores,
+      scoreSources: scoreSources,
       answerFeedbacks: answerFeedbacks,
       candidateId: savedCandidate._id
     });
@@ -698,61 +1802,989 @@ app.post('/api/complete-interview', async (req, res) => {
   }
 });
 
-// New route to get all candidates
-app.get('/api/candidates', async (req, res) => {
+// The candidate opened their invitation link. Tells the interviewee tab who
+// the invitation is for, or why it can't be used.
+app.post('/api/invitations/open', async (req, res) => {
   try {
-    const candidates = await getCandidates();
+    const invitation = await openInvitation(String((req.body && req.body.token) || ''));
     res.json({
       success: true,
-      candidates: candidates
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        template: invitation.template,
+        expiresAt: invitation.expiresAt,
+        attemptsLeft: invitation.maxAttempts - invitation.attempts,
+        // For the app title the candidate sees
+        organization: await getPublicOrganization(invitation.organizationId)
+      }
     });
   } catch (error) {
-    console.error('Get candidates error:', error);
-    res.status(500).json({ error: 'Failed to fetch candidates' });
+    if (error instanceof InvitationError) {
+      return res.status(INVITATION_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error('Open invitation error:', error);
+    res.status(500).json({ error: 'Failed to open invitation' });
   }
 });
 
-// Generate LLM answer for a question
-app.post('/api/generate-llm-answer', async (req, res) => {
+app.get('/api/invitations', requireAuth, async (req, res) => {
   try {
-    const { question } = req.body;
-    
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+    const invitations = await listInvitations(req.user.organizationId);
+    res.json({ success: true, invitations: invitations.map(toPublicInvitation) });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite a candidate. The response has the only copy of the link.
+app.post('/api/invitations', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const errors = validateInvitationInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid invitation', details: errors });
     }
-    
-    const prompt = `
-    You are an expert technical interviewer. Please provide a comprehensive, well-structured answer to this ${question.difficulty} level ${question.category} question.
-    
-    Question: ${question.question}
-    
-    Please provide a detailed answer that includes:
-    1. Clear explanation of the concept
-    2. Practical examples or use cases
-    3. Best practices or important considerations
-    4. Code examples if applicable
-    
-    Make the answer educational and comprehensive, suitable for someone learning or reviewing this topic.
-    `;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const llmAnswer = response.text();
-    
+    const template = req.body.templateId
+      ? await getTemplate(req.user.organizationId, req.body.templateId)
+      : await getDefaultTemplate(req.user.organizationId);
+    if (!template || !template.active) {
+      return res.status(req.body.templateId ? 404 : 500).json({
+        error: req.body.templateId ? 'Interview template not found' : 'No active interview template configured'
+      });
+    }
+
+    const { invitation, token } = await createInvitation(req.body, template, req.user.email);
+    console.log(`Invitation for ${invitation.email} (${template.slug}) created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      invitation: toPublicInvitation(invitation),
+      url: `${FRONTEND_URL}/?invite=${token}`
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// Withdraw an invitation by expiring it now
+app.delete('/api/invitations/:id', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const invitation = await expireInvitation(req.user.organizationId, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ success: true, invitation: toPublicInvitation(invitation) });
+  } catch (error) {
+    console.error('Expire invitation error:', error);
+    res.status(500).json({ error: 'Failed to expire invitation' });
+  }
+});
+
+// The branding of an organization, as sign-in responses and candidates get it
+const getPublicOrganization = async (organizationId) => {
+  const organization = await getOrganizationById(organizationId);
+  return organization ? toPublicOrganization(organization) : null;
+};
+
+// Sign in to an interviewer account
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await getUserByEmail(email);
+    const valid = user && user.passwordHash
+      ? await verifyPassword(password, user.passwordHash)
+      : await verifyDummyPassword(password);
+
+    if (!valid || !user.active) {
+      return res.status(401).json({ error: 'Incorrect email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    await recordLogin(user);
+    const { token, expiresAt } = createAccessToken(user);
+    console.log(`Signed in: ${user.email} (${user.role})`);
     res.json({
       success: true,
-      llmAnswer: llmAnswer,
-      message: 'Correct answer generated successfully'
+      token: token,
+      expiresAt: expiresAt,
+      user: toPublicUser(user),
+      organization: await getPublicOrganization(user.organizationId)
     });
   } catch (error) {
-    console.error('Generate LLM answer error:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate LLM answer',
-      details: error.message 
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// The account the request's token belongs to
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: toPublicUser(req.user),
+      organization: await getPublicOrganization(req.user.organizationId)
     });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+// Which ways of signing in the login screen should offer
+app.get('/api/auth/providers', (req, res) => {
+  const oidc = getOidcConfig();
+  res.json({ success: true, password: true, oidc: oidc ? { name: oidc.providerName } : null });
+});
+
+// Send the browser back to the dashboard with a one-time code for its access
+// token, or with the reason signing in failed
+const redirectToDashboard = (res, params) => {
+  res.redirect(`${FRONTEND_URL}/?${new URLSearchParams(params)}`);
+};
+
+// Lax, so the cookie comes back on the provider's top-level redirect to the
+// callback. Only sent to the sign-in routes.
+const getStateCookieOptions = (config) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: config.redirectUri.startsWith('https:'),
+  path: '/api/auth/oidc'
+});
+
+// Start signing in through the OIDC provider
+app.get('/api/auth/oidc/login', async (req, res) => {
+  const config = getOidcConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, stateCookie } = await startOidcLogin(config);
+    res.cookie(STATE_COOKIE, stateCookie, { ...getStateCookieOptions(config), maxAge: STATE_COOKIE_MAX_AGE_MS });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectToDashboard(res, { ssoError: 'The sign-in provider could not be reached' });
   }
 });
 
+// The provider redirects here after the interviewer signs in
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  const config = getOidcConfig();
+  if (!config) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+
+  // The state cookie is only needed once, whatever happens next
+  const stateCookie = readStateCookie(req.headers.cookie);
+  res.clearCookie(STATE_COOKIE, getStateCookieOptions(config));
+
+  if (req.query.error) {
+    console.log(`OIDC sign-in refused by provider: ${req.query.error}`);
+    return redirectToDashboard(res, { ssoError: req.query.error_description || 'The sign-in was cancelled or refused' });
+  }
+
+  try {
+    const identity = await completeOidcLogin(config, { code: req.query.code, state: req.query.state, stateCookie });
+
+    const role = mapGroupsToRole(identity.groups, config.roleGroups);
+    if (!role) {
+      console.log(`OIDC sign-in rejected for ${identity.email || identity.subject}: no mapped group in [${identity.groups.join(', ')}]`);
+      return redirectToDashboard(res, { ssoError: 'Your account is not in a group that may use the dashboard' });
+    }
+
+    // New accounts join the organization SSO is set up for
+    const organization = config.organization
+      ? await getOrganizationBySlug(config.organization)
+      : await getDefaultOrganization();
+    if (!organization) {
+      console.error(`OIDC_ORGANIZATION "${config.organization}" does not match any organization`);
+      return redirectToDashboard(res, { ssoError: 'Single sign-on is not set up correctly, please contact an administrator' });
+    }
+
+    const user = await upsertOidcUser({ ...identity, role, organizationId: organization._id.toString() });
+    if (!user) {
+      return redirectToDashboard(res, { ssoError: 'The provider did not share a verified email address, or it belongs to another account' });
+    }
+    if (!user.active) {
+      return redirectToDashboard(res, { ssoError: 'This account has been deactivated' });
+    }
+
+    await recordLogin(user);
+    const { token, expiresAt } = createAccessToken(user);
+    console.log(`Signed in through OIDC: ${user.email} (${user.role})`);
+    redirectToDashboard(res, {
+      ssoCode: createLoginCode({
+        token,
+        expiresAt,
+        user: toPublicUser(user),
+        organization: await getPublicOrganization(user.organizationId)
+      })
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToDashboard(res, { ssoError: error instanceof OidcError ? error.message : 'Signing in failed, please try again' });
+  }
+});
+
+// Trade the one-time code from the OIDC redirect for the access token
+app.post('/api/auth/oidc/exchange', (req, res) => {
+  const login = redeemLoginCode(String((req.body && req.body.code) || ''));
+  if (!login) {
+    return res.status(400).json({ error: 'The sign-in code is invalid or has expired', code: 'INVALID_LOGIN_CODE' });
+  }
+  res.json({ success: true, ...login });
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await listUsers(req.user.organizationId);
+    res.json({ success: true, users: users.map(toPublicUser) });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateUserInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+
+    const user = await createUser(req.user.organizationId, req.body);
+    if (!user) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    console.log(`User ${user.email} (${user.role}) created by ${req.user.email}`);
+    res.status(201).json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change an account's details, role or password, or deactivate it with
+// { active: false }. Accounts are never deleted, so past actions stay attributable.
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateUserInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+
+    const existing = await getUserById(req.params.id);
+    if (!existing || existing.organizationId !== req.user.organizationId) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const losesAdmin = existing.role === 'admin' && existing.active &&
+      ((req.body.role && req.body.role !== 'admin') || req.body.active === false);
+    if (losesAdmin && await countActiveAdmins(existing.organizationId) <= 1) {
+      return res.status(409).json({ error: 'There must be at least one active admin' });
+    }
+
+    const user = await updateUser(req.params.id, req.body);
+    if (user === false) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    console.log(`User ${user.email} updated by ${req.user.email}`);
+    res.json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// The signed-in interviewer's organization
+app.get('/api/organization', requireAuth, async (req, res) => {
+  try {
+    const organization = await getPublicOrganization(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.json({ success: true, organization: organization });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+// Rename the organization or change the app title its users and candidates see
+app.put('/api/organization', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateOrganizationInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid organization', details: errors });
+    }
+
+    const organization = await updateOrganization(req.user.organizationId, req.body);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    console.log(`Organization ${organization.slug} updated by ${req.user.email}`);
+    res.json({ success: true, organization: toPublicOrganization(organization) });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+app.get('/api/organizations', requireHostAdmin, async (req, res) => {
+  try {
+    const organizations = await listOrganizations();
+    res.json({ success: true, organizations: organizations.map(toPublicOrganization) });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Create an organization with its first admin, given as `admin`. It starts
+// with the built-in question bank and templates.
+app.post('/api/organizations', requireHostAdmin, async (req, res) => {
+  try {
+    const admin = req.body && req.body.admin;
+    const errors = [
+      ...validateOrganizationInput(req.body),
+      ...validateUserInput(admin && typeof admin === 'object' ? { ...admin, role: 'admin' } : admin)
+        .map(error => `admin ${error}`)
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid organization', details: errors });
+    }
+
+    if (await getUserByEmail(admin.email)) {
+      return res.status(409).json({ error: 'A user with the admin\'s email already exists' });
+    }
+
+    const organization = await createOrganization(req.body);
+    if (!organization) {
+      return res.status(409).json({ error: 'An organization with this slug already exists' });
+    }
+
+    const organizationId = organization._id.toString();
+    await seedQuestionBank(organizationId);
+    await seedInterviewTemplates(organizationId);
+    const user = await createUser(organizationId, { ...admin, role: 'admin' });
+
+    console.log(`Organization ${organization.slug} created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      organization: toPublicOrganization(organization),
+      admin: user ? toPublicUser(user) : null
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// Re-score one candidate's degraded answers once the LLM is reachable again
+app.post('/api/candidates/:id/rescore', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const candidate = await getCandidateById(req.user.organizationId, req.params.id);
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const result = await rescoreCandidate(candidate);
+
+    if (result.error && result.rescored === 0) {
+      return res.status(503).json({
+        error: 'LLM is still unavailable, scores were not changed',
+        details: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      rescored: result.rescored,
+      remaining: result.remaining,
+      candidate: candidate
+    });
+  } catch (error) {
+    console.error('Rescore candidate error:', error);
+    res.status(500).json({ error: 'Failed to re-score candidate' });
+  }
+});
+
+// Re-score all flagged candidates
+app.post('/api/rescore-flagged', requireRole('admin'), async (req, res) => {
+  try {
+    const summary = await rescoreFlaggedCandidates(req.user.organizationId);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Rescore flagged candidates error:', error);
+    res.status(500).json({ error: 'Failed to re-score candidates' });
+  }
+});
+
+// Short-lived link to a candidate's original resume. `disposition: 'inline'`
+// previews it in the browser when the format allows, otherwise it downloads.
+app.post('/api/candidates/:id/resume-link', requireAuth, async (req, res) => {
+  try {
+    const candidate = await getCandidateById(req.user.organizationId, req.params.id);
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const { resumeFile } = candidate;
+    if (!resumeFile || !resumeFile.resumeId) {
+      return res.status(404).json({ error: 'No resume file was kept for this candidate' });
+    }
+
+    const disposition = req.body.disposition === 'inline' && PREVIEWABLE_FORMATS.includes(resumeFile.format)
+      ? 'inline'
+      : 'attachment';
+    const { params, expiresAt } = createResumeLink(req.params.id, disposition);
+
+    res.json({
+      success: true,
+      url: `/api/candidates/${encodeURIComponent(req.params.id)}/resume?${new URLSearchParams(params)}`,
+      disposition: disposition,
+      expiresAt: expiresAt,
+      filename: resumeFile.filename,
+      format: resumeFile.format
+    });
+  } catch (error) {
+    console.error('Create resume link error:', error);
+    res.status(500).json({ error: 'Failed to create resume link' });
+  }
+});
+
+// Serve a candidate's original resume through a link from /resume-link
+app.get('/api/candidates/:id/resume', async (req, res) => {
+  try {
+    const linkError = verifyResumeLink(req.params.id, req.query);
+    if (linkError) {
+      return res.status(403).json({ error: linkError });
+    }
+
+    const candidate = await findCandidateById(req.params.id);
+    const resume = candidate && candidate.resumeFile ? await getResume(candidate.resumeFile.resumeId) : null;
+
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    if (resume.fileDeletedAt) {
+      return res.status(410).json({
+        error: `The resume file was deleted after the ${RESUME_RETENTION_DAYS}-day retention period`,
+        deletedAt: resume.fileDeletedAt
+      });
+    }
+
+    const file = await openResumeFile(resume.resumeId, resume.storage);
+    if (!file) {
+      return res.status(404).json({ error: 'Resume file not found' });
+    }
+
+    // Keep the browser from second-guessing the type and from caching the file
+    const filename = resume.filename || `resume.${resume.format}`;
+    res.set({
+      'Content-Type': RESUME_CONTENT_TYPES[resume.format] || 'application/octet-stream',
+      'Content-Length': file.length,
+      'Content-Disposition': `${req.query.disposition}; filename="${filename.replace(/[^\w.\- ]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store',
+      'Referrer-Policy': 'no-referrer'
+    });
+
+    file.stream.on('error', (error) => {
+      console.error('Resume file stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Get resume file error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume file' });
+  }
+});
+
+// Delete original resume files past the retention period now, rather than
+// waiting for the background job
+app.post('/api/purge-expired-resumes', requireRole('admin'), async (req, res) => {
+  try {
+    if (!(RESUME_RETENTION_DAYS > 0)) {
+      return res.status(409).json({ error: 'Resume retention is disabled (RESUME_RETENTION_DAYS=0)' });
+    }
+    const deleted = await purgeExpiredResumeFiles(RESUME_RETENTION_DAYS);
+    res.json({ success: true, deleted: deleted, retentionDays: RESUME_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Purge expired resumes error:', error);
+    res.status(500).json({ error: 'Failed to delete expired resume files' });
+  }
+});
+
+// Current state of an interview session, including the server-side countdown
+app.get('/api/interview-session/:sessionId', async (req, res) => {
+  try {
+    const loadedSession = await getSession(req.params.sessionId);
+
+    if (!loadedSession) {
+      return res.status(404).json({ error: 'Interview session not found' });
+    }
+
+    const { session, currentQuestion } = await advanceSession(loadedSession);
+    await saveSession(session);
+
+    res.json({
+      success: true,
+      sessionId: session.sessionId,
+      status: session.status,
+      answeredCount: session.responses.length,
+      totalQuestions: session.totalQuestions || session.questions.length,
+      questions: session.questions.map(toClientQuestion),
+      currentQuestion: currentQuestion ? getQuestionTiming(currentQuestion) : null
+    });
+  } catch (error) {
+    console.error('Get interview session error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview session' });
+  }
+});
+
+// Replay a session's question draw from its seed to audit the issued set
+app.get('/api/interview-session/:sessionId/selection', requireAuth, async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+
+    if (!session || session.organizationId !== req.user.organizationId) {
+      return res.status(404).json({ error: 'Interview session not found' });
+    }
+
+    if (!session.selection || !session.selection.seed) {
+      return res.status(404).json({ error: 'This session was created before question seeds were recorded' });
+    }
+
+    // Resume questions aren't drawn from the bank
+    const issued = session.questions.filter(question => question.bankId).map(question => question.bankId);
+    const regenerated = await regenerateSelection(session);
+
+    res.json({
+      success: true,
+      sessionId: session.sessionId,
+      seed: session.selection.seed,
+      algorithm: session.selection.algorithm,
+      plan: session.selection.plan,
+      overlaps: session.selection.overlaps,
+      issued: issued,
+      regenerated: regenerated.bankIds,
+      missingPoolQuestions: regenerated.missing,
+      matches: issued.length === regenerated.bankIds.length &&
+        issued.every((bankId, index) => bankId === regenerated.bankIds[index])
+    });
+  } catch (error) {
+    if (error instanceof QuestionPoolError) {
+      return res.status(409).json({ error: `Selection can no longer be replayed: ${error.message}` });
+    }
+    console.error('Regenerate selection error:', error);
+    res.status(500).json({ error: 'Failed to regenerate question selection' });
+  }
+});
+
+// New route to get all candidates
+app.get('/api/candidates', requireAuth, async (req, res) => {
+  try {
+    const candidates = await getCandidates(req.user.organizationId);
+    res.json({
+      success: true,
+      candidates: candidates
+    });
+  } catch (error) {
+    console.error('Get candidates error:', error);
+    res.status(500).json({ error: 'Failed to fetch candidates' });
+  }
+});
+
+// Question bank routes
+app.get('/api/questions', requireAuth, async (req, res) => {
+  try {
+    const { difficulty, category, tag, active } = req.query;
+    const questions = await listQuestions(req.user.organizationId, {
+      difficulty,
+      category,
+      tag,
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json({
+      success: true,
+      questions: questions
+    });
+  } catch (error) {
+    console.error('List questions error:', error);
+    res.status(500).json({ error: 'Failed to fetch questions' });
+  }
+});
+
+// Export the bank as a downloadable JSON, CSV or YAML file
+app.get('/api/questions/export', requireAuth, async (req, res) => {
+  try {
+    const format = detectFormat(req.query.format || 'json');
+    if (!format) {
+      return res.status(400).json({ error: 'format must be one of: json, csv, yaml' });
+    }
+
+    const { difficulty, category, tag, active } = req.query;
+    const content = await exportQuestions(req.user.organizationId, format, {
+      difficulty,
+      category,
+      tag,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="questions.${format}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Export questions error:', error);
+    res.status(500).json({ error: 'Failed to export questions' });
+  }
+});
+
+// Import a question set, either uploaded as `file` or sent as { format, content }.
+// With dryRun=true nothing is saved and only the report is returned.
+app.post('/api/questions/import', requireRole('admin', 'interviewer'), questionFileUpload.single('file'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const content = req.file ? req.file.buffer.toString('utf8') : body.content;
+    const format = detectFormat(body.format || req.query.format, req.file?.originalname);
+    const dryRun = String(req.query.dryRun ?? body.dryRun ?? 'false') === 'true';
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Upload a file or send its content' });
+    }
+
+    if (!format) {
+      return res.status(400).json({ error: 'format must be one of: json, csv, yaml' });
+    }
+
+    const records = parseQuestionFile(content, format);
+    const report = await importQuestions(req.user.organizationId, records, { dryRun });
+
+    console.log(`Question import (${format}${dryRun ? ', dry run' : ''}):`, report.summary);
+
+    res.json({
+      success: true,
+      format: format,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import questions error:', error);
+    res.status(500).json({ error: 'Failed to import questions' });
+  }
+});
+
+app.get('/api/questions/:id', requireAuth, async (req, res) => {
+  try {
+    const question = await getQuestion(req.user.organizationId, req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true, question: question });
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Failed to fetch question' });
+  }
+});
+
+app.post('/api/questions', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const errors = validateQuestionInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: errors });
+    }
+
+    const question = await createQuestion(req.user.organizationId, req.body);
+    res.status(201).json({ success: true, question: question });
+  } catch (error) {
+    console.error('Create question error:', error);
+    res.status(500).json({ error: 'Failed to create question' });
+  }
+});
+
+app.put('/api/questions/:id', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const errors = validateQuestionInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid question', details: errors });
+    }
+
+    const question = await updateQuestion(req.user.organizationId, req.params.id, req.body);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true, question: question });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({ error: 'Failed to update question' });
+  }
+});
+
+// Activate or retire several questions at once
+app.post('/api/questions/bulk-status', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const { ids, active } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    const questions = [];
+    const notFound = [];
+    for (const id of ids) {
+      const question = await updateQuestion(req.user.organizationId, id, { active });
+      if (question) {
+        questions.push(question);
+      } else {
+        notFound.push(id);
+      }
+    }
+
+    res.json({
+      success: true,
+      updated: questions.length,
+      notFound: notFound,
+      questions: questions
+    });
+  } catch (error) {
+    console.error('Bulk question status error:', error);
+    res.status(500).json({ error: 'Failed to update questions' });
+  }
+});
+
+// Retire rather than delete, so past interviews keep pointing at a real question
+app.delete('/api/questions/:id', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const question = await retireQuestion(req.user.organizationId, req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true, question: question });
+  } catch (error) {
+    console.error('Retire question error:', error);
+    res.status(500).json({ error: 'Failed to retire question' });
+  }
+});
+
+// Interview template routes
+app.get('/api/interview-templates', requireAuth, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const templates = await listTemplates(req.user.organizationId, {
+      active: active === undefined ? undefined : active === 'true'
+    });
+    res.json({
+      success: true,
+      templates: templates
+    });
+  } catch (error) {
+    console.error('List interview templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview templates' });
+  }
+});
+
+app.get('/api/interview-templates/:id', requireAuth, async (req, res) => {
+  try {
+    const template = await getTemplate(req.user.organizationId, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Interview template not found' });
+    }
+    res.json({ success: true, template: template });
+  } catch (error) {
+    console.error('Get interview template error:', error);
+    res.status(500).json({ error: 'Failed to fetch interview template' });
+  }
+});
+
+app.post('/api/interview-templates', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateTemplateInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid interview template', details: errors });
+    }
+
+    const template = await createTemplate(req.user.organizationId, req.body);
+    if (!template) {
+      return res.status(409).json({ error: 'An interview template with this slug already exists' });
+    }
+    res.status(201).json({ success: true, template: template });
+  } catch (error) {
+    console.error('Create interview template error:', error);
+    res.status(500).json({ error: 'Failed to create interview template' });
+  }
+});
+
+app.put('/api/interview-templates/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateTemplateInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid interview template', details: errors });
+    }
+
+    const existing = await getTemplate(req.user.organizationId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Interview template not found' });
+    }
+
+    if (req.body.slug && req.body.slug !== existing.slug && await getTemplate(req.user.organizationId, req.body.slug)) {
+      return res.status(409).json({ error: 'An interview template with this slug already exists' });
+    }
+
+    // The same rule as retiring through DELETE, also for a template made the
+    // default in this request
+    const staysDefault = req.body.isDefault ?? existing.isDefault;
+    if (staysDefault && req.body.active === false) {
+      return res.status(409).json({ error: 'Make another template the default before retiring this one' });
+    }
+
+    const template = await updateTemplate(req.user.organizationId, req.params.id, req.body);
+    res.json({ success: true, template: template });
+  } catch (error) {
+    console.error('Update interview template error:', error);
+    res.status(500).json({ error: 'Failed to update interview template' });
+  }
+});
+
+// Retire rather than delete, so past interviews keep their template details
+app.delete('/api/interview-templates/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await getTemplate(req.user.organizationId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Interview template not found' });
+    }
+
+    if (existing.isDefault) {
+      return res.status(409).json({ error: 'Make another template the default before retiring this one' });
+    }
+
+    const template = await updateTemplate(req.user.organizationId, req.params.id, { active: false });
+    res.json({ success: true, template: template });
+  } catch (error) {
+    console.error('Retire interview template error:', error);
+    res.status(500).json({ error: 'Failed to retire interview template' });
+  }
+});
+
+// Generate LLM answer for a question
+app.post('/api/generate-llm-answer', requireRole('admin', 'interviewer'), async (req, res) => {
+  try {
+    const { question, candidateId } = req.body;
+    
+    if (!question) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+
+    // The candidate the question was asked of, whose details to redact
+    const candidate = candidateId ? await getCandidateById(req.user.organizationId, String(candidateId)) : null;
+    
+    const prompt = `
+    You are an expert technical interviewer. Please provide a comprehensive, well-structured answer to this ${question.difficulty} level ${question.category} question.
+    
+    Question: ${question.question}
+    
+    Please provide a detailed answer that includes:
+    1. Clear explanation of the concept
+    2. Practical examples or use cases
+    3. Best practices or important considerations
+    4. Code examples if applicable
+    
+    Make the answer educational and comprehensive, suitable for someone learning or reviewing this topic.
+    `;
+
+    // Resume questions can quote the candidate's resume
+    const { prompt: outgoingPrompt, redactor, redaction } = preparePrompt(prompt, candidate ? getRedactionSubject(candidate) : {});
+    const reply = await llm.generateText(outgoingPrompt);
+    const llmAnswer = redactor ? redactor.restore(reply) : reply;
+    
+    res.json({
+      success: true,
+      llmAnswer: llmAnswer,
+      redaction: redaction,
+      message: 'Correct answer generated successfully'
+    });
+  } catch (error) {
+    console.error('Generate LLM answer error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate LLM answer',
+      details: error.message 
+    });
+  }
+});
+
+// Periodically retry flagged answers so scores heal once the LLM is back
+const RESCORE_INTERVAL_MINUTES = Number(process.env.RESCORE_INTERVAL_MINUTES ?? 15);
+let rescoreInProgress = false;
+
+const startRescoreJob = () => {
+  if (!(RESCORE_INTERVAL_MINUTES > 0)) {
+    console.log('Background re-scoring disabled');
+    return;
+  }
+
+  setInterval(async () => {
+    if (rescoreInProgress) return;
+    rescoreInProgress = true;
+    try {
+      const summary = await rescoreFlaggedCandidates();
+      if (summary.candidates > 0) {
+        console.log('Background re-scoring run:', summary);
+      }
+    } catch (error) {
+      console.error('Background re-scoring error:', error);
+    } finally {
+      rescoreInProgress = false;
+    }
+  }, RESCORE_INTERVAL_MINUTES * 60 * 1000);
+};
+
+// Original resume files are deleted once they're older than the retention
+// period; the extracted profile stays with the candidate. Uploads that no
+// interview was started with are deleted, record and all, much sooner.
+const RESUME_RETENTION_DAYS = Number(process.env.RESUME_RETENTION_DAYS ?? 90);
+const UNCLAIMED_RESUME_HOURS = Number.parseInt(process.env.UNCLAIMED_RESUME_HOURS, 10) || 24;
+const RESUME_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const startResumeCleanupJob = () => {
+  if (!(RESUME_RETENTION_DAYS > 0)) {
+    console.log('Resume file retention disabled, files of started interviews are kept indefinitely');
+  }
+
+  setInterval(async () => {
+    try {
+      const unclaimed = await purgeUnclaimedResumes(UNCLAIMED_RESUME_HOURS);
+      if (unclaimed > 0) {
+        console.log(`Deleted ${unclaimed} resume(s) not used to start an interview within ${UNCLAIMED_RESUME_HOURS} hours`);
+      }
+
+      if (!(RESUME_RETENTION_DAYS > 0)) return;
+      const deleted = await purgeExpiredResumeFiles(RESUME_RETENTION_DAYS);
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} resume file(s) older than ${RESUME_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Resume cleanup error:', error);
+    }
+  }, RESUME_CLEANUP_INTERVAL_MS);
+};
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startRescoreJob();
+  startResumeCleanupJob();
 });
@@ -0,0 +1,198 @@
+// End-to-end checks of the interview flow against a server running on
+// in-memory storage with the mock LLM provider
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+
+const ADMIN = { email: 'admin@example.com', password: 'correct-horse-battery' };
+
+// The shortest time limit a template allows, with almost no grace after it
+const TIME_LIMIT_SECONDS = 5;
+const GRACE_SECONDS = 0.1;
+
+let server;
+let baseUrl;
+let adminToken;
+
+const findFreePort = () => new Promise((resolve, reject) => {
+  const probe = createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const request = async (method, path, body, token) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = () => request('POST', '/api/auth/login', ADMIN);
+
+// The server seeds the admin account after it starts listening
+const waitForServer = async () => {
+  const giveUpAt = Date.now() + 20000;
+  while (Date.now() < giveUpAt) {
+    try {
+      const { status, body } = await login();
+      if (status === 200) return body.token;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('The server did not start');
+};
+
+// Invite a candidate and start their interview. Resolves to the start response.
+const startInterview = async (invitation = {}) => {
+  const invited = await request('POST', '/api/invitations', { email: 'candidate@example.com', ...invitation }, adminToken);
+  assert.equal(invited.status, 201, JSON.stringify(invited.body));
+  const invitationToken = new URL(invited.body.url).searchParams.get('invite');
+
+  const started = await request('POST', '/api/start-interview', {
+    candidateInfo: { name: 'Casey Candidate', email: 'candidate@example.com', phone: '+14155552671' },
+    invitationToken
+  });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+  return started.body;
+};
+
+// A template whose questions all expire after TIME_LIMIT_SECONDS
+const createQuickTemplate = async (mode = 'fixed') => {
+  const limit = TIME_LIMIT_SECONDS;
+  const created = await request('POST', '/api/interview-templates', {
+    slug: `quick-${mode}`,
+    name: `Quick (${mode})`,
+    mode,
+    roleLabel: 'Developer',
+    questionCounts: { easy: 3 },
+    timeLimits: { easy: limit, medium: limit, hard: limit }
+  }, adminToken);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.template._id;
+};
+
+const waitPastDeadline = () => new Promise(resolve => setTimeout(resolve, (TIME_LIMIT_SECONDS + GRACE_SECONDS) * 1000 + 300));
+
+const submitAnswer = (sessionId, questionId, answer = 'State lives in components, and hooks such as useState update it.') =>
+  request('POST', '/api/submit-answer', { sessionId, questionId, answer });
+
+before(async () => {
+  const port = await findFreePort();
+  baseUrl = `http://localhost:${port}`;
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    LLM_PROVIDER: 'mock',
+    ADMIN_EMAIL: ADMIN.email,
+    ADMIN_PASSWORD: ADMIN.password,
+    DEADLINE_GRACE_SECONDS: String(GRACE_SECONDS)
+  };
+  delete env.MONGODB_URI;
+  server = spawn(process.execPath, ['index.js'], { cwd: import.meta.dirname, env, stdio: 'ignore' });
+  adminToken = await waitForServer();
+});
+
+after(() => {
+  server.kill();
+});
+
+test('an invitation started from two tabs at once starts one interview', async () => {
+  const invited = await request('POST', '/api/invitations', { email: 'candidate@example.com' }, adminToken);
+  const invitationToken = new URL(invited.body.url).searchParams.get('invite');
+  const start = () => request('POST', '/api/start-interview', {
+    candidateInfo: { name: 'Casey Candidate', email: 'candidate@example.com', phone: '+14155552671' },
+    invitationToken
+  });
+
+  const results = await Promise.all([start(), start()]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+  const retry = await start();
+  assert.equal(retry.status, 409);
+  assert.equal(retry.body.code, 'INVITATION_USED');
+});
+
+test('an answer submitted twice at once is recorded once', async () => {
+  const { sessionId, currentQuestion } = await startInterview();
+
+  const results = await Promise.all([1, 2, 3].map(() => submitAnswer(sessionId, currentQuestion.questionId)));
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409, 409]);
+  const session = await request('GET', `/api/interview-session/${sessionId}`);
+  assert.equal(session.body.answeredCount, 1);
+});
+
+test('an answer to a question not yet served is refused', async () => {
+  const { sessionId, questions, currentQuestion } = await startInterview();
+  const later = questions.find(question => question.id !== currentQuestion.questionId);
+
+  const result = await submitAnswer(sessionId, later.id);
+
+  assert.equal(result.status, 409);
+});
+
+test('an interview completed twice at once is saved once', async () => {
+  const { sessionId, currentQuestion } = await startInterview();
+  await submitAnswer(sessionId, currentQuestion.questionId);
+
+  const results = await Promise.all([1, 2, 3].map(() => request('POST', '/api/complete-interview', { sessionId })));
+
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 409, 409]);
+  const candidates = await request('GET', '/api/candidates', undefined, adminToken);
+  const saved = candidates.body.candidates.filter(candidate => candidate.sessionId === sessionId);
+  assert.equal(saved.length, 1);
+});
+
+test('completing keeps the feedback each answer got', async () => {
+  const { sessionId, currentQuestion } = await startInterview();
+  const submitted = await submitAnswer(sessionId, currentQuestion.questionId);
+
+  const completed = await request('POST', '/api/complete-interview', { sessionId });
+
+  assert.equal(completed.status, 200);
+  assert.deepEqual(completed.body.answerFeedbacks[0], submitted.body.feedback);
+});
+
+test('an answer after the deadline scores 0 and a timer sync racing it records one timeout', async () => {
+  const { sessionId, currentQuestion } = await startInterview({ templateId: await createQuickTemplate() });
+  await waitPastDeadline();
+
+  const [late] = await Promise.all([
+    submitAnswer(sessionId, currentQuestion.questionId),
+    request('GET', `/api/interview-session/${sessionId}`),
+    request('GET', `/api/interview-session/${sessionId}`)
+  ]);
+
+  assert.equal(late.status, 200);
+  assert.equal(late.body.late, true);
+  assert.equal(late.body.score, 0);
+  const session = await request('GET', `/api/interview-session/${sessionId}`);
+  assert.equal(session.body.answeredCount, 1);
+  // The next question was served when the first one expired
+  assert.equal(session.body.currentQuestion.servedAt, currentQuestion.deadline);
+});
+
+test('an expired adaptive question is timed out and the next one drawn once', async () => {
+  const { sessionId, totalQuestions } = await startInterview({ templateId: await createQuickTemplate('adaptive') });
+  await waitPastDeadline();
+
+  await Promise.all([1, 2, 3].map(() => request('GET', `/api/interview-session/${sessionId}`)));
+
+  const session = await request('GET', `/api/interview-session/${sessionId}`);
+  const ids = session.body.questions.map(question => question.id);
+  assert.equal(ids.length, 2);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(ids.length <= totalQuestions);
+  assert.equal(session.body.answeredCount, 1);
+});
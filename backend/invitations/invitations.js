@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+
+// sent: created, the link hasn't been opened yet
+// opened: the candidate opened the link
+// started: an interview was started with it and not finished
+// completed: an interview started with it was completed
+// expired: past its expiry date before being completed
+export const INVITATION_STATUSES = ['sent', 'opened', 'started', 'completed', 'expired'];
+
+export const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_ATTEMPTS = 10;
+// How many times a claim is retried while other tabs take and give back attempts
+const MAX_CLAIM_TRIES = 3;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Why an invitation token can't be used. `code` is one of
+// INVITATION_REQUIRED, INVITATION_NOT_FOUND, INVITATION_EXPIRED or INVITATION_USED.
+export class InvitationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'InvitationError';
+    this.code = code;
+  }
+}
+
+// Invitation Schema. Only a hash of the token is stored, so the link can't be
+// rebuilt from the database.
+const invitationSchema = new mongoose.Schema({
+  // The organization of the template, which the interview will belong to
+  organizationId: { type: String, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  template: {
+    id: String,
+    name: String
+  },
+  expiresAt: { type: Date, required: true },
+  maxAttempts: { type: Number, default: 1 },
+  // Interviews started with the invitation
+  attempts: { type: Number, default: 0 },
+  sessionIds: [String],
+  candidateId: String,
+  createdBy: String,
+  openedAt: Date,
+  lastStartedAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+// In-memory storage fallback
+let inMemoryInvitations = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Validate the fields of a new invitation. Returns a list of error messages,
+// empty when valid.
+export const validateInvitationInput = (input) => {
+  if (!isPlainObject(input)) {
+    return ['Invitation data must be an object'];
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+    errors.push('email must be a valid email address');
+  }
+
+  if (has('name') && typeof input.name !== 'string') {
+    errors.push('name must be a string');
+  }
+
+  if (has('templateId') && typeof input.templateId !== 'string') {
+    errors.push('templateId must be a string');
+  }
+
+  if (has('expiresInDays') && !(Number.isInteger(input.expiresInDays) && input.expiresInDays >= 1 && input.expiresInDays <= MAX_EXPIRY_DAYS)) {
+    errors.push(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  if (has('maxAttempts') && !(Number.isInteger(input.maxAttempts) && input.maxAttempts >= 1 && input.maxAttempts <= MAX_ATTEMPTS)) {
+    errors.push(`maxAttempts must be a whole number between 1 and ${MAX_ATTEMPTS}`);
+  }
+
+  return errors;
+};
+
+export const getInvitationStatus = (invitation, now = new Date()) => {
+  if (invitation.completedAt) return 'completed';
+  if (invitation.expiresAt <= now) return 'expired';
+  if (invitation.attempts > 0) return 'started';
+  if (invitation.openedAt) return 'opened';
+  return 'sent';
+};
+
+// What the API returns for an invitation: everything but the token hash
+export const toPublicInvitation = (invitation) => ({
+  _id: invitation._id.toString(),
+  email: invitation.email,
+  name: invitation.name,
+  template: invitation.template,
+  status: getInvitationStatus(invitation),
+  expiresAt: invitation.expiresAt,
+  maxAttempts: invitation.maxAttempts,
+  attempts: invitation.attempts,
+  sessionIds: invitation.sessionIds,
+  candidateId: invitation.candidateId || null,
+  createdBy: invitation.createdBy,
+  openedAt: invitation.openedAt || null,
+  lastStartedAt: invitation.lastStartedAt || null,
+  completedAt: invitation.completedAt || null,
+  createdAt: invitation.createdAt
+});
+
+// The invitation a candidate can still start an interview with, or throw
+// why they can't
+const assertUsable = (invitation, now = new Date()) => {
+  if (!invitation) {
+    throw new InvitationError('INVITATION_NOT_FOUND', 'This invitation link is not valid');
+  }
+  if (invitation.completedAt) {
+    throw new InvitationError('INVITATION_USED', 'This invitation has already been used to complete an interview');
+  }
+  if (invitation.expiresAt <= now) {
+    throw new InvitationError('INVITATION_EXPIRED', 'This invitation has expired, please ask for a new one');
+  }
+  if (invitation.attempts >= invitation.maxAttempts) {
+    throw new InvitationError('INVITATION_USED', 'This invitation has no interview attempts left');
+  }
+  return invitation;
+};
+
+const saveInvitation = async (invitation) => {
+  if (typeof invitation.save === 'function') {
+    await invitation.save();
+  } else {
+    invitation.updatedAt = new Date();
+  }
+};
+
+export const listInvitations = async (organizationId) => {
+  if (isMongoConnected()) {
+    return await Invitation.find({ organizationId }).sort({ createdAt: -1 });
+  }
+  return inMemoryInvitations
+    .filter(invitation => invitation.organizationId === organizationId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getInvitationById = async (invitationId) => {
+  if (isMongoConnected()) {
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) return null;
+    return await Invitation.findById(invitationId);
+  }
+  return inMemoryInvitations.find(invitation => invitation._id === invitationId) || null;
+};
+
+const getInvitationByToken = async (token) => {
+  const tokenHash = hashToken(token);
+  if (isMongoConnected()) {
+    return await Invitation.findOne({ tokenHash });
+  }
+  return inMemoryInvitations.find(invitation => invitation.tokenHash === tokenHash) || null;
+};
+
+// Create an invitation from validated input for `template`, in the template's
+// organization. Resolves to { invitation, token }; the token is only ever returned here.
+export const createInvitation = async (input, template, createdBy) => {
+  const token = randomBytes(32).toString('base64url');
+  const expiresInDays = input.expiresInDays || DEFAULT_EXPIRY_DAYS;
+  const data = {
+    organizationId: template.organizationId,
+    tokenHash: hashToken(token),
+    email: input.email.trim().toLowerCase(),
+    name: (input.name || '').trim(),
+    template: { id: template._id.toString(), name: template.name },
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    maxAttempts: input.maxAttempts || 1,
+    attempts: 0,
+    sessionIds: [],
+    createdBy: createdBy
+  };
+
+  if (isMongoConnected()) {
+    const invitation = new Invitation(data);
+    await invitation.save();
+    return { invitation, token };
+  }
+
+  const now = new Date();
+  const invitation = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+  inMemoryInvitations.push(invitation);
+  return { invitation, token };
+};
+
+// The candidate opened their link. Records the first time and returns the
+// invitation, or throws an InvitationError when it can't be used.
+export const openInvitation = async (token) => {
+  const invitation = assertUsable(await getInvitationByToken(token));
+  if (!invitation.openedAt) {
+    invitation.openedAt = new Date();
+    await saveInvitation(invitation);
+  }
+  return invitation;
+};
+
+const requireToken = (token) => {
+  if (!token) {
+    throw new InvitationError('INVITATION_REQUIRED', 'Interviews can only be started from an invitation link');
+  }
+};
+
+// The invitation for `token` if an interview can still be started with it,
+// without using up an attempt. Throws an InvitationError otherwise.
+export const checkInvitation = async (token) => {
+  requireToken(token);
+  return assertUsable(await getInvitationByToken(token));
+};
+
+// Use up one attempt to start an interview. Throws an InvitationError when
+// the token is missing or can't be used. The check and the count happen in
+// one update, so two tabs can't both use the last attempt.
+export const claimInvitation = async (token) => {
+  requireToken(token);
+
+  const now = new Date();
+  if (isMongoConnected()) {
+    for (let tries = 0; tries < MAX_CLAIM_TRIES; tries++) {
+      const invitation = await Invitation.findOneAndUpdate(
+        {
+          tokenHash: hashToken(token),
+          completedAt: null,
+          expiresAt: { $gt: now },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        },
+        { $inc: { attempts: 1 }, $set: { lastStartedAt: now } },
+        { new: true }
+      );
+      if (invitation) return invitation;
+      // Find out why it couldn't be claimed. It can look usable again when
+      // another tab gave its attempt back in between, so claim again.
+      assertUsable(await getInvitationByToken(token), now);
+    }
+    throw new InvitationError('INVITATION_USED', 'This invitation is being used in another tab, please try again');
+  }
+
+  const invitation = assertUsable(await getInvitationByToken(token), now);
+  invitation.attempts++;
+  invitation.lastStartedAt = now;
+  await saveInvitation(invitation);
+  return invitation;
+};
+
+// Give back an attempt when the interview couldn't be started after all
+export const releaseInvitation = async (invitationId) => {
+  if (isMongoConnected()) {
+    await Invitation.updateOne({ _id: invitationId, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } });
+    return;
+  }
+  const invitation = await getInvitationById(invitationId);
+  if (invitation && invitation.attempts > 0) invitation.attempts--;
+};
+
+export const recordInvitationSession = async (invitationId, sessionId) => {
+  if (isMongoConnected()) {
+    await Invitation.updateOne({ _id: invitationId }, { $push: { sessionIds: sessionId } });
+    return;
+  }
+  const invitation = await getInvitationById(invitationId);
+  if (invitation) invitation.sessionIds.push(sessionId);
+};
+
+export const completeInvitation = async (invitationId, candidateId) => {
+  const invitation = await getInvitationById(invitationId);
+  if (!invitation || invitation.completedAt) return;
+  invitation.completedAt = new Date();
+  invitation.candidateId = candidateId;
+  await saveInvitation(invitation);
+};
+
+// Make one of an organization's invitations unusable by expiring it now.
+// Returns null if it doesn't exist.
+export const expireInvitation = async (organizationId, invitationId) => {
+  const invitation = await getInvitationById(invitationId);
+  if (!invitation || invitation.organizationId !== organizationId) return null;
+
+  const now = new Date();
+  if (invitation.expiresAt > now) {
+    invitation.expiresAt = now;
+    await saveInvitation(invitation);
+  }
+  return invitation;
+};
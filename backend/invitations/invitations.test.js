@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  InvitationError,
+  validateInvitationInput,
+  getInvitationStatus,
+  createInvitation,
+  openInvitation,
+  checkInvitation,
+  claimInvitation,
+  releaseInvitation,
+  completeInvitation,
+  expireInvitation
+} from './invitations.js';
+
+// Runs on in-memory storage
+const TEMPLATE = { _id: 'template-1', organizationId: 'invitations-org', name: 'Frontend Developer' };
+
+const invite = (input = {}) => createInvitation({ email: 'Candidate@Example.com ', ...input }, TEMPLATE, 'user-1');
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof InvitationError, error.stack);
+  assert.equal(error.code, code);
+  return true;
+});
+
+describe('claimInvitation', () => {
+  test('uses up one attempt, and refuses once none are left', async () => {
+    const { invitation, token } = await invite();
+    assert.equal(invitation.email, 'candidate@example.com');
+
+    const claimed = await claimInvitation(token);
+
+    assert.equal(claimed._id, invitation._id);
+    assert.equal(claimed.attempts, 1);
+    assert.equal(getInvitationStatus(claimed), 'started');
+    await rejectsWith(claimInvitation(token), 'INVITATION_USED');
+    await rejectsWith(checkInvitation(token), 'INVITATION_USED');
+  });
+
+  test('lets only one of several claims at once through', async () => {
+    const { token } = await invite();
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => claimInvitation(token)));
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected', 'rejected']);
+  });
+
+  test('allows as many attempts as the invitation was given', async () => {
+    const { token } = await invite({ maxAttempts: 2 });
+
+    await claimInvitation(token);
+    const second = await claimInvitation(token);
+
+    assert.equal(second.attempts, 2);
+    await rejectsWith(claimInvitation(token), 'INVITATION_USED');
+  });
+
+  test('can be claimed again after the attempt is given back', async () => {
+    const { invitation, token } = await invite();
+    await claimInvitation(token);
+
+    await releaseInvitation(invitation._id);
+
+    assert.equal((await claimInvitation(token)).attempts, 1);
+  });
+
+  test('refuses completed, expired, unknown and missing invitations', async () => {
+    const completed = await invite({ maxAttempts: 3 });
+    await claimInvitation(completed.token);
+    await completeInvitation(completed.invitation._id, 'candidate-1');
+    const expired = await invite();
+    await expireInvitation(TEMPLATE.organizationId, expired.invitation._id);
+
+    await rejectsWith(claimInvitation(completed.token), 'INVITATION_USED');
+    await rejectsWith(claimInvitation(expired.token), 'INVITATION_EXPIRED');
+    await rejectsWith(claimInvitation('not-a-token'), 'INVITATION_NOT_FOUND');
+    await rejectsWith(claimInvitation(undefined), 'INVITATION_REQUIRED');
+  });
+});
+
+describe('openInvitation', () => {
+  test('records when the link was first opened without using an attempt', async () => {
+    const { token } = await invite();
+
+    const opened = await openInvitation(token);
+    const firstOpenedAt = opened.openedAt;
+    await openInvitation(token);
+
+    assert.equal(opened.openedAt, firstOpenedAt);
+    assert.equal(opened.attempts, 0);
+    assert.equal(getInvitationStatus(opened), 'opened');
+  });
+});
+
+describe('validateInvitationInput', () => {
+  test('lists every invalid field', () => {
+    assert.deepEqual(validateInvitationInput({ email: 'candidate@example.com', maxAttempts: 2 }), []);
+    assert.deepEqual(validateInvitationInput({ email: 'nobody', expiresInDays: 0, maxAttempts: 11 }), [
+      'email must be a valid email address',
+      'expiresInDays must be a whole number between 1 and 90',
+      'maxAttempts must be a whole number between 1 and 10'
+    ]);
+  });
+});
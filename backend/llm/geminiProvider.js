@@ -0,0 +1,18 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Google Gemini provider
+export const createGeminiProvider = ({ apiKey, model = 'gemini-pro' } = {}) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    // Gemini has no JSON mode for this model, so the json hint is left to the prompt
+    generateText: async (prompt) => {
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+};
@@ -0,0 +1,33 @@
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+// Every provider exposes the same shape:
+//   { name, model, generateText(prompt, { json }) => Promise<string> }
+// `json` tells the provider the caller expects a JSON document back.
+const providerFactories = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-pro'
+  }),
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  mock: () => createMockProvider({
+    fail: process.env.MOCK_LLM_FAIL === 'true'
+  })
+};
+
+// Create the provider named by LLM_PROVIDER (defaults to Gemini)
+export const createLLMProvider = (name = process.env.LLM_PROVIDER || 'gemini') => {
+  const factory = providerFactories[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  const provider = factory();
+  console.log(`Using LLM provider: ${provider.name} (${provider.model})`);
+  return provider;
+};
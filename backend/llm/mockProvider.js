@@ -0,0 +1,28 @@
+import { createHash } from 'crypto';
+
+// Deterministic offline provider. The same prompt always produces the same
+// output, which keeps local runs and tests reproducible without network access.
+export const createMockProvider = ({ fail = false } = {}) => {
+  const digest = (prompt) => createHash('sha256').update(prompt).digest();
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    generateText: async (prompt, { json = false } = {}) => {
+      if (fail) {
+        throw new Error('Mock LLM provider configured to fail');
+      }
+
+      if (json) {
+        const score = 40 + (digest(prompt).readUInt16BE(0) % 51);
+        return JSON.stringify({
+          score,
+          feedback: `Mock evaluation: the answer was scored ${score}/100.`,
+          sampleAnswer: 'Mock sample answer covering the key concepts of the question.'
+        });
+      }
+
+      return `Mock answer (${digest(prompt).toString('hex').slice(0, 8)}): a deterministic response generated without contacting an LLM.`;
+    }
+  };
+};
@@ -0,0 +1,23 @@
+import OpenAI from 'openai';
+
+// OpenAI-compatible chat completions provider. Point baseURL at a local
+// server (llama.cpp, Ollama, vLLM, ...) to run without a hosted vendor.
+export const createOpenAIProvider = ({ apiKey, baseURL, model = 'gpt-4o-mini' } = {}) => {
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    apiKey: apiKey || 'not-required',
+    baseURL: baseURL || undefined
+  });
+
+  return {
+    name: 'openai',
+    model,
+    generateText: async (prompt) => {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }]
+      });
+      return completion.choices[0]?.message?.content || '';
+    }
+  };
+};
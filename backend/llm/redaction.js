@@ -0,0 +1,99 @@
+import { findPhones } from '../resume/phone.js';
+
+// Redaction of personal details from prompts before they leave the server.
+// Emails, phone numbers, URLs, the candidate's own name and the employers on
+// their resume are replaced with placeholders such as [EMAIL_1]; the same
+// value always gets the same placeholder within one request. Turned on with
+// LLM_REDACT_PII=true.
+
+// Read when used rather than at import, so .env has been loaded
+export const isRedactionEnabled = () => process.env.LLM_REDACT_PII === 'true';
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+// Links with a scheme or "www.", and bare domains followed by a path
+// ("github.com/jane"); bare names like "Node.js" are left alone
+const URL_PATTERN = /\b(?:(?:https?:\/\/|www\.)[^\s<>"'`)\]]+|(?:[a-z0-9-]+\.)+[a-z]{2,}\/[^\s<>"'`)\]]*)/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where the candidate's name appears: the full name in any case, and each
+// part of it of three letters or more as written with a capital
+const namePatterns = (candidateName) => {
+  const name = String(candidateName || '').trim();
+  if (!name) return [];
+  const parts = name.split(/\s+/).filter(part => part.length >= 3);
+  return [
+    new RegExp(`\\b${name.split(/\s+/).map(escapeRegExp).join('\\s+')}\\b`, 'gi'),
+    ...parts.map(part => new RegExp(`\\b${escapeRegExp(part.charAt(0).toUpperCase() + part.slice(1))}\\b`, 'g'))
+  ];
+};
+
+// One redactor per LLM request, so placeholders are numbered consistently
+// across the prompt and any retries. `record()` lists what was replaced:
+// { redactedAt, items: [{ type, placeholder, occurrences }] } without the
+// original values, so the record itself holds no personal details.
+export const createRedactor = ({ candidateName, employers = [] } = {}) => {
+  const placeholders = new Map();
+  const items = new Map();
+
+  const placeholderFor = (type, value) => {
+    const key = `${type}:${type === 'name' ? 'candidate' : value.toLowerCase()}`;
+    if (!placeholders.has(key)) {
+      const count = [...placeholders.keys()].filter(existing => existing.startsWith(`${type}:`)).length;
+      placeholders.set(key, {
+        placeholder: type === 'name' ? '[CANDIDATE_NAME]' : `[${type.toUpperCase()}_${count + 1}]`,
+        value
+      });
+    }
+    const { placeholder } = placeholders.get(key);
+    const item = items.get(placeholder) || { type, placeholder, occurrences: 0 };
+    item.occurrences++;
+    items.set(placeholder, item);
+    return placeholder;
+  };
+
+  const redact = (text) => {
+    let result = String(text ?? '')
+      .replace(EMAIL_PATTERN, (email) => placeholderFor('email', email))
+      // Punctuation ending a sentence isn't part of the link
+      .replace(URL_PATTERN, (match) => {
+        const [, url, punctuation] = match.match(/^(.*?)([.,;:!?]*)$/);
+        return placeholderFor('url', url) + punctuation;
+      });
+
+    // Number phone placeholders in reading order, then replace from the end
+    // so earlier offsets stay valid
+    const phones = findPhones(result).map(phone => ({ ...phone, placeholder: placeholderFor('phone', phone.e164) }));
+    for (const phone of phones.reverse()) {
+      result = result.slice(0, phone.startsAt) + phone.placeholder + result.slice(phone.endsAt);
+    }
+
+    for (const pattern of namePatterns(candidateName)) {
+      result = result.replace(pattern, (name) => placeholderFor('name', name));
+    }
+
+    // Longest first, so "Acme Labs" isn't left half-replaced by "Acme"
+    const employerNames = [...new Set(employers.filter(Boolean).map(employer => employer.trim()))]
+      .filter(employer => employer.length >= 2)
+      .sort((a, b) => b.length - a.length);
+    for (const employer of employerNames) {
+      result = result.replace(new RegExp(`(?<!\\w)${escapeRegExp(employer)}(?!\\w)`, 'gi'), (match) => placeholderFor('employer', match));
+    }
+    return result;
+  };
+
+  // Put the original values back into text the LLM wrote, e.g. feedback that
+  // addresses [CANDIDATE_NAME]
+  const restore = (text) => {
+    if (typeof text !== 'string') return text;
+    let result = text;
+    for (const { placeholder, value } of placeholders.values()) {
+      result = result.split(placeholder).join(placeholder === '[CANDIDATE_NAME]' ? String(candidateName).trim() : value);
+    }
+    return result;
+  };
+
+  const record = () => ({ redactedAt: new Date(), items: [...items.values()] });
+
+  return { redact, restore, record };
+};
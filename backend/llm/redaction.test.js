@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRedactionEnabled, createRedactor } from './redaction.js';
+
+const SUBJECT = { candidateName: 'Jane Doe', employers: ['Acme', 'Acme Labs'] };
+
+const RESUME = 'Jane Doe <jane.doe@example.com>, +1 415 555 2671. Portfolio: https://jane.dev/work. ' +
+  'Built dashboards at Acme Labs, then led the Acme payments team. Code at github.com/janedoe.';
+
+describe('createRedactor', () => {
+  test('replaces emails, phones, links, the candidate and their employers with placeholders', () => {
+    const redacted = createRedactor(SUBJECT).redact(RESUME);
+
+    assert.equal(redacted, '[CANDIDATE_NAME] <[EMAIL_1]>, [PHONE_1]. Portfolio: [URL_1]. ' +
+      'Built dashboards at [EMPLOYER_1], then led the [EMPLOYER_2] payments team. Code at [URL_2].');
+  });
+
+  test('gives the same value the same placeholder across calls, whatever its case', () => {
+    const redactor = createRedactor(SUBJECT);
+
+    assert.equal(redactor.redact('Mail JANE.DOE@example.com'), 'Mail [EMAIL_1]');
+    assert.equal(redactor.redact('or jane.doe@example.com, not ops@example.com'), 'or [EMAIL_1], not [EMAIL_2]');
+    assert.equal(redactor.redact('jane doe, also known as Jane'), '[CANDIDATE_NAME], also known as [CANDIDATE_NAME]');
+  });
+
+  test('leaves bare names like Node.js, and name parts shorter than three letters, alone', () => {
+    assert.equal(createRedactor().redact('Knows Node.js and Vue.js.'), 'Knows Node.js and Vue.js.');
+    assert.equal(createRedactor({ candidateName: 'Al Green' }).redact('Al wrote the Green build, as did Al Green.'),
+      'Al wrote the [CANDIDATE_NAME] build, as did [CANDIDATE_NAME].');
+  });
+
+  test('restores the original values in text the LLM wrote', () => {
+    const redactor = createRedactor(SUBJECT);
+    redactor.redact(RESUME);
+
+    const restored = redactor.restore('[CANDIDATE_NAME] explained [EMPLOYER_1] well; write to [EMAIL_1] or call [PHONE_1].');
+
+    assert.equal(restored, 'Jane Doe explained Acme Labs well; write to jane.doe@example.com or call +14155552671.');
+    assert.equal(redactor.restore(undefined), undefined);
+  });
+
+  test('records what was replaced without the original values', () => {
+    const redactor = createRedactor(SUBJECT);
+    redactor.redact(RESUME);
+    redactor.redact('Jane again');
+
+    const { items } = redactor.record();
+
+    assert.deepEqual(items.find(item => item.type === 'name'), { type: 'name', placeholder: '[CANDIDATE_NAME]', occurrences: 2 });
+    assert.deepEqual(items.map(item => item.type).sort(), ['email', 'employer', 'employer', 'name', 'phone', 'url', 'url']);
+    assert.doesNotMatch(JSON.stringify(items), /Jane|Acme|example\.com|555/);
+  });
+});
+
+describe('isRedactionEnabled', () => {
+  test('is on only when LLM_REDACT_PII is "true"', (t) => {
+    const previous = process.env.LLM_REDACT_PII;
+    t.after(() => {
+      if (previous === undefined) delete process.env.LLM_REDACT_PII;
+      else process.env.LLM_REDACT_PII = previous;
+    });
+
+    process.env.LLM_REDACT_PII = 'true';
+    assert.equal(isRedactionEnabled(), true);
+    process.env.LLM_REDACT_PII = '1';
+    assert.equal(isRedactionEnabled(), false);
+  });
+});
@@ -0,0 +1,156 @@
+// Parsing and validation of LLM scoring responses. Models often wrap JSON in
+// markdown fences or surround it with prose, so the object is located first
+// and then checked against the expected shape before anyone trusts the score.
+
+// Return the first balanced {...} block in text, ignoring braces inside strings
+const findJsonObject = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+// Pull a JSON object out of raw model output. Throws if none can be parsed.
+export const extractJson = (text) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('Empty response');
+  }
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const embedded = findJsonObject(text);
+  if (embedded) candidates.push(embedded);
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  throw new Error('No JSON object found in response');
+};
+
+// Check the parsed object against the scoring schema.
+// Returns { valid, errors, value } where value holds the normalized fields.
+export const validateScoringResponse = (data) => {
+  const errors = [];
+
+  let score = data.score;
+  if (typeof score === 'string' && score.trim() !== '') {
+    score = Number(score);
+  }
+  if (typeof score !== 'number' || !Number.isFinite(score)) {
+    errors.push('score must be a number');
+  } else if (score < 0 || score > 100) {
+    errors.push('score must be between 0 and 100');
+  }
+
+  if (typeof data.feedback !== 'string' || data.feedback.trim().length === 0) {
+    errors.push('feedback must be a non-empty string');
+  }
+
+  if (typeof data.sampleAnswer !== 'string') {
+    errors.push('sampleAnswer must be a string');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    value: {
+      score: Math.round(score),
+      feedback: data.feedback.trim(),
+      sampleAnswer: data.sampleAnswer.trim()
+    }
+  };
+};
+
+const buildRepairPrompt = (originalPrompt, previousOutput, problems) => `
+    ${originalPrompt.trim()}
+
+    Your previous reply could not be used:
+    ${previousOutput}
+
+    Problems: ${problems.join('; ')}.
+
+    Reply again with ONLY a JSON object, no markdown fences and no other text:
+    {"score": <integer 0-100>, "feedback": "<string>", "sampleAnswer": "<string>"}
+    `;
+
+// Ask the provider to score an answer, retrying with a repair prompt when the
+// output cannot be parsed or fails validation. Never throws.
+// Resolves to { ok: true, value, attempts } or { ok: false, code, message, attempts }.
+export const requestScoring = async (llm, prompt, { maxRetries = 2 } = {}) => {
+  let currentPrompt = prompt;
+  let attempts = 0;
+  let problems = [];
+
+  while (attempts <= maxRetries) {
+    attempts++;
+
+    let text;
+    try {
+      text = await llm.generateText(currentPrompt, { json: true });
+    } catch (error) {
+      return {
+        ok: false,
+        code: 'LLM_UNAVAILABLE',
+        message: `LLM provider "${llm.name}" failed: ${error.message}`,
+        attempts
+      };
+    }
+
+    try {
+      const { valid, errors, value } = validateScoringResponse(extractJson(text));
+      if (valid) {
+        return { ok: true, value, attempts };
+      }
+      problems = errors;
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    console.warn(`Invalid scoring response from ${llm.name} (attempt ${attempts}):`, problems.join('; '));
+    currentPrompt = buildRepairPrompt(prompt, text, problems);
+  }
+
+  return {
+    ok: false,
+    code: 'LLM_INVALID_RESPONSE',
+    message: `Scoring response was invalid after ${attempts} attempts: ${problems.join('; ')}`,
+    attempts
+  };
+};
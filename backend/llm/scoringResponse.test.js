@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validateScoringResponse, requestScoring } from './scoringResponse.js';
+
+const VALID_REPLY = '{"score": 72, "feedback": "Good answer", "sampleAnswer": "A sample"}';
+
+// A provider that answers with each reply in turn, recording the prompts
+const createScriptedLLM = (replies) => {
+  const prompts = [];
+  return {
+    name: 'scripted',
+    prompts,
+    generateText: async (prompt) => {
+      prompts.push(prompt);
+      const reply = replies[prompts.length - 1];
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  };
+};
+
+describe('extractJson', () => {
+  test('reads a bare object', () => {
+    assert.deepEqual(extractJson(VALID_REPLY), { score: 72, feedback: 'Good answer', sampleAnswer: 'A sample' });
+  });
+
+  test('reads an object inside markdown fences', () => {
+    assert.equal(extractJson('```json\n{"score": 5}\n```').score, 5);
+  });
+
+  test('reads an object surrounded by prose, with braces inside its strings', () => {
+    const parsed = extractJson('Here you go: {"score": 40, "feedback": "Use {} for objects"} Hope that helps!');
+    assert.deepEqual(parsed, { score: 40, feedback: 'Use {} for objects' });
+  });
+
+  test('throws when there is no object', () => {
+    assert.throws(() => extractJson('I cannot score this'), /No JSON object/);
+    assert.throws(() => extractJson('[1, 2]'), /No JSON object/);
+    assert.throws(() => extractJson('  '), /Empty response/);
+  });
+});
+
+describe('validateScoringResponse', () => {
+  test('normalizes a numeric string score and trims the text', () => {
+    const { valid, value } = validateScoringResponse({ score: '71.6', feedback: ' Fine ', sampleAnswer: ' Sample ' });
+    assert.equal(valid, true);
+    assert.deepEqual(value, { score: 72, feedback: 'Fine', sampleAnswer: 'Sample' });
+  });
+
+  test('lists every problem with an invalid reply', () => {
+    const { valid, errors, value } = validateScoringResponse({ score: 140, feedback: '' });
+    assert.equal(valid, false);
+    assert.equal(value, null);
+    assert.deepEqual(errors, [
+      'score must be between 0 and 100',
+      'feedback must be a non-empty string',
+      'sampleAnswer must be a string'
+    ]);
+  });
+});
+
+describe('requestScoring', () => {
+  test('repairs an invalid reply with a follow-up prompt', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const llm = createScriptedLLM(['Score: 72', VALID_REPLY]);
+
+    const result = await requestScoring(llm, 'Score this answer');
+
+    assert.deepEqual(result, { ok: true, value: { score: 72, feedback: 'Good answer', sampleAnswer: 'A sample' }, attempts: 2 });
+    assert.match(llm.prompts[1], /Your previous reply could not be used:\s+Score: 72/);
+  });
+
+  test('gives up after the allowed retries', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const llm = createScriptedLLM(['nope', '{"score": "high"}', 'still no']);
+
+    const result = await requestScoring(llm, 'Score this answer', { maxRetries: 2 });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'LLM_INVALID_RESPONSE');
+    assert.equal(result.attempts, 3);
+  });
+
+  test('asks once when retries are off', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const llm = createScriptedLLM(['nope', VALID_REPLY]);
+
+    const result = await requestScoring(llm, 'Score this answer', { maxRetries: 0 });
+
+    assert.equal(result.ok, false);
+    assert.equal(llm.prompts.length, 1);
+  });
+
+  test('reports an unreachable provider without retrying', async () => {
+    const llm = createScriptedLLM([new Error('connect ECONNREFUSED')]);
+
+    const result = await requestScoring(llm, 'Score this answer');
+
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'LLM_UNAVAILABLE');
+    assert.equal(result.attempts, 1);
+    assert.match(result.message, /ECONNREFUSED/);
+  });
+});
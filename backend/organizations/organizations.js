@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+
+// The organization created on first start. Existing data is moved into it,
+// and its admins are the only ones who can create other organizations.
+export const DEFAULT_ORGANIZATION_SLUG = 'default';
+
+export const DEFAULT_APP_TITLE = 'AI Interview Assistant';
+
+const MAX_APP_TITLE_LENGTH = 80;
+
+// Organization Schema. Each business unit's users, question bank, templates,
+// invitations and candidates belong to exactly one organization.
+const organizationSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  // Shown as the app title to its interviewers and the candidates it invites
+  appTitle: { type: String, default: DEFAULT_APP_TITLE }
+}, { timestamps: true });
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+// In-memory storage fallback
+let inMemoryOrganizations = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Validate organization fields. With `partial`, only the fields present are
+// checked (used for updates). Returns a list of error messages, empty when valid.
+export const validateOrganizationInput = (input, { partial = false } = {}) => {
+  if (!isPlainObject(input)) {
+    return ['Organization data must be an object'];
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('slug')) {
+    if (typeof input.slug !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(input.slug)) {
+      errors.push('slug must be lowercase letters, digits and hyphens (e.g. "retail-banking")');
+    }
+  }
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+  }
+
+  if (has('appTitle')) {
+    if (typeof input.appTitle !== 'string' || input.appTitle.trim().length === 0 || input.appTitle.trim().length > MAX_APP_TITLE_LENGTH) {
+      errors.push(`appTitle must be between 1 and ${MAX_APP_TITLE_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+};
+
+// Pick the editable fields out of a request body and normalize them
+const normalizeOrganizationInput = (input) => {
+  const data = {};
+  if (input.slug !== undefined) data.slug = input.slug;
+  if (input.name !== undefined) data.name = input.name.trim();
+  if (input.appTitle !== undefined) data.appTitle = input.appTitle.trim();
+  return data;
+};
+
+// What the API returns for an organization, also all a candidate gets to see
+export const toPublicOrganization = (organization) => ({
+  _id: organization._id.toString(),
+  slug: organization.slug,
+  name: organization.name,
+  appTitle: organization.appTitle
+});
+
+export const listOrganizations = async () => {
+  if (isMongoConnected()) {
+    return await Organization.find().sort({ name: 1 });
+  }
+  return [...inMemoryOrganizations].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const getOrganizationById = async (organizationId) => {
+  if (isMongoConnected()) {
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) return null;
+    return await Organization.findById(organizationId);
+  }
+  return inMemoryOrganizations.find(organization => organization._id === organizationId) || null;
+};
+
+export const getOrganizationBySlug = async (slug) => {
+  if (isMongoConnected()) {
+    return await Organization.findOne({ slug });
+  }
+  return inMemoryOrganizations.find(organization => organization.slug === slug) || null;
+};
+
+export const getDefaultOrganization = () => getOrganizationBySlug(DEFAULT_ORGANIZATION_SLUG);
+
+// Create an organization from validated input. Returns null if the slug is taken.
+export const createOrganization = async (input) => {
+  const data = { appTitle: DEFAULT_APP_TITLE, ...normalizeOrganizationInput(input) };
+
+  if (await getOrganizationBySlug(data.slug)) return null;
+
+  if (isMongoConnected()) {
+    const organization = new Organization(data);
+    await organization.save();
+    return organization;
+  }
+
+  const now = new Date();
+  const organization = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+  inMemoryOrganizations.push(organization);
+  return organization;
+};
+
+// Apply validated (partial) input to an organization. The slug can't be
+// changed, since SSO configuration refers to it. Returns null if it doesn't exist.
+export const updateOrganization = async (organizationId, input) => {
+  const organization = await getOrganizationById(organizationId);
+  if (!organization) return null;
+
+  const data = normalizeOrganizationInput(input);
+  delete data.slug;
+  Object.assign(organization, data);
+
+  if (typeof organization.save === 'function') {
+    await organization.save();
+  } else {
+    organization.updatedAt = new Date();
+  }
+  return organization;
+};
+
+// Create the default organization on first start. Resolves to it either way.
+export const seedDefaultOrganization = async () => {
+  const existing = await getDefaultOrganization();
+  if (existing) return existing;
+
+  const organization = await createOrganization({
+    slug: DEFAULT_ORGANIZATION_SLUG,
+    name: process.env.DEFAULT_ORGANIZATION_NAME || 'Default',
+    appTitle: DEFAULT_APP_TITLE
+  });
+  console.log(`Created organization "${organization.name}"`);
+  return organization;
+};
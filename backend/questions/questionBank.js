@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+import { seedQuestions, DEFAULT_TIME_LIMITS } from './seedQuestions.js';
+
+export { DEFAULT_TIME_LIMITS };
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Question Schema
+const questionSchema = new mongoose.Schema({
+  // Each organization has its own question bank
+  organizationId: { type: String, index: true },
+  question: { type: String, required: true },
+  category: { type: String, required: true },
+  difficulty: { type: String, enum: DIFFICULTIES, required: true },
+  timeLimit: { type: Number, required: true },
+  sampleAnswer: { type: String, default: '' },
+  tags: [{ type: String }],
+  concepts: [{
+    _id: false,
+    name: String,
+    synonyms: [String],
+    weight: Number
+  }],
+  active: { type: Boolean, default: true },
+  retiredAt: Date
+}, { timestamps: true });
+
+const Question = mongoose.model('Question', questionSchema);
+
+// In-memory storage fallback
+let inMemoryQuestions = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Validate question fields. With `partial`, only the fields present are checked
+// (used for updates). Returns a list of error messages, empty when valid.
+export const validateQuestionInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!input || typeof input !== 'object') {
+    return ['Question data must be an object'];
+  }
+
+  if (!partial || has('question')) {
+    if (typeof input.question !== 'string' || input.question.trim().length < 5) {
+      errors.push('question must be a string of at least 5 characters');
+    }
+  }
+
+  if (!partial || has('category')) {
+    if (typeof input.category !== 'string' || input.category.trim().length === 0) {
+      errors.push('category is required');
+    }
+  }
+
+  if (!partial || has('difficulty')) {
+    if (!DIFFICULTIES.includes(input.difficulty)) {
+      errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+  }
+
+  if (has('timeLimit')) {
+    const timeLimit = Number(input.timeLimit);
+    if (!Number.isInteger(timeLimit) || timeLimit < 5 || timeLimit > 3600) {
+      errors.push('timeLimit must be a whole number of seconds between 5 and 3600');
+    }
+  }
+
+  if (has('sampleAnswer') && typeof input.sampleAnswer !== 'string') {
+    errors.push('sampleAnswer must be a string');
+  }
+
+  if (has('tags') && (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('tags must be an array of strings');
+  }
+
+  if (has('concepts')) {
+    const validConcepts = Array.isArray(input.concepts) && input.concepts.every(concept =>
+      concept && typeof concept.name === 'string' && concept.name.trim().length > 0 &&
+      (concept.synonyms === undefined || (Array.isArray(concept.synonyms) && concept.synonyms.every(s => typeof s === 'string'))) &&
+      (concept.weight === undefined || (typeof concept.weight === 'number' && concept.weight > 0))
+    );
+    if (!validConcepts) {
+      errors.push('concepts must be an array of { name, synonyms, weight } objects');
+    }
+  }
+
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return errors;
+};
+
+// Pick the editable fields out of a request body and normalize them
+const normalizeQuestionInput = (input) => {
+  const data = {};
+  if (input.question !== undefined) data.question = input.question.trim();
+  if (input.category !== undefined) data.category = input.category.trim();
+  if (input.difficulty !== undefined) data.difficulty = input.difficulty;
+  if (input.timeLimit !== undefined) data.timeLimit = Number(input.timeLimit);
+  if (input.sampleAnswer !== undefined) data.sampleAnswer = input.sampleAnswer;
+  if (input.tags !== undefined) data.tags = [...new Set(input.tags.map(tag => tag.trim()).filter(Boolean))];
+  if (input.concepts !== undefined) {
+    data.concepts = input.concepts.map(concept => ({
+      name: concept.name.trim(),
+      synonyms: concept.synonyms || [],
+      weight: concept.weight || 1
+    }));
+  }
+  if (input.active !== undefined) {
+    data.active = input.active;
+    data.retiredAt = input.active ? null : new Date();
+  }
+  return data;
+};
+
+const matchesFilters = (question, filters) =>
+  (!filters.difficulty || question.difficulty === filters.difficulty) &&
+  (!filters.category || question.category === filters.category) &&
+  (filters.active === undefined || question.active === filters.active) &&
+  (!filters.tag || (question.tags || []).includes(filters.tag));
+
+// List an organization's questions, optionally filtered by difficulty,
+// category, active flag or tag
+export const listQuestions = async (organizationId, filters = {}) => {
+  if (isMongoConnected()) {
+    const query = { organizationId };
+    if (filters.difficulty) query.difficulty = filters.difficulty;
+    if (filters.category) query.category = filters.category;
+    if (filters.active !== undefined) query.active = filters.active;
+    if (filters.tag) query.tags = filters.tag;
+    return await Question.find(query).sort({ difficulty: 1, category: 1, createdAt: 1 });
+  }
+  return inMemoryQuestions.filter(question =>
+    question.organizationId === organizationId && matchesFilters(question, filters));
+};
+
+// Look up one of an organization's questions. Questions of other
+// organizations are treated as not found.
+export const getQuestion = async (organizationId, questionId) => {
+  if (isMongoConnected()) {
+    if (!mongoose.Types.ObjectId.isValid(questionId)) return null;
+    return await Question.findOne({ _id: questionId, organizationId });
+  }
+  return inMemoryQuestions.find(question =>
+    question._id === questionId && question.organizationId === organizationId) || null;
+};
+
+// Create a question in an organization's bank from validated input
+export const createQuestion = async (organizationId, input) => {
+  const data = {
+    organizationId,
+    sampleAnswer: '',
+    tags: [],
+    concepts: [],
+    active: true,
+    ...normalizeQuestionInput(input)
+  };
+  if (data.timeLimit === undefined) {
+    data.timeLimit = DEFAULT_TIME_LIMITS[data.difficulty];
+  }
+
+  if (isMongoConnected()) {
+    const question = new Question(data);
+    await question.save();
+    return question;
+  }
+
+  const now = new Date();
+  const question = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+  inMemoryQuestions.push(question);
+  return question;
+};
+
+// Apply validated (partial) input to a question. Returns null if it doesn't exist.
+export const updateQuestion = async (organizationId, questionId, input) => {
+  const question = await getQuestion(organizationId, questionId);
+  if (!question) return null;
+
+  Object.assign(question, normalizeQuestionInput(input));
+
+  if (typeof question.save === 'function') {
+    await question.save();
+  } else {
+    question.updatedAt = new Date();
+  }
+  return question;
+};
+
+// Retired questions stay in the bank for past interviews but are never drawn again
+export const retireQuestion = (organizationId, questionId) => updateQuestion(organizationId, questionId, { active: false });
+
+// Insert the built-in questions when an organization's bank is empty
+export const seedQuestionBank = async (organizationId) => {
+  const existing = isMongoConnected()
+    ? await Question.countDocuments({ organizationId })
+    : inMemoryQuestions.filter(question => question.organizationId === organizationId).length;
+
+  if (existing > 0) return;
+
+  for (const questionData of seedQuestions) {
+    await createQuestion(organizationId, questionData);
+  }
+  console.log(`Seeded question bank with ${seedQuestions.length} questions`);
+};
@@ -0,0 +1,242 @@
+// Seeded question selection. Questions are drawn without replacement and
+// without repeating a topic across the interview, and the same seed and pools
+// always produce the same questions so an interview can be regenerated later.
+import { createHash, randomBytes } from 'crypto';
+
+// Bump when the selection rules change, so old seeds are replayed knowingly
+export const SELECTION_ALGORITHM = 'seeded-v1';
+
+// Raised when the bank can't supply the questions an interview asks for
+export class QuestionPoolError extends Error {}
+
+export const createSeed = () => randomBytes(16).toString('hex');
+
+// sfc32 generator seeded from a SHA-256 of the seed string. Returns floats in [0, 1).
+export const createRandom = (seed) => {
+  const digest = createHash('sha256').update(String(seed)).digest();
+  let a = digest.readUInt32LE(0);
+  let b = digest.readUInt32LE(4);
+  let c = digest.readUInt32LE(8);
+  let d = digest.readUInt32LE(12);
+
+  return () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle of a copy of the list
+const shuffle = (list, random) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const normalize = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+// A question's topics are its rubric concept names
+export const getQuestionTopics = (question) =>
+  (question.concepts || []).map(concept => normalize(concept.name).trim()).filter(Boolean);
+
+// Two questions overlap when they share a concept, or when one's concept is
+// what the other question asks about ("virtual DOM" as a feature of React in
+// one question, and "What is the virtual DOM?" in another)
+const overlapsWith = (question, picked) => {
+  const topics = getQuestionTopics(question);
+  const text = normalize(question.question);
+
+  return picked.some(other => {
+    const otherTopics = getQuestionTopics(other);
+    const otherText = normalize(other.question);
+    return topics.some(topic => otherTopics.includes(topic) || otherText.includes(` ${topic} `)) ||
+      otherTopics.some(topic => text.includes(` ${topic} `));
+  });
+};
+
+// Pools are sorted by id first so storage order never changes the result
+const sortById = (pool) => [...pool].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+
+// Share of each difficulty (and of an adaptive interview) that may be taken
+// by questions preferred for the candidate's resume
+const PREFERRED_SHARE = 0.5;
+
+// Pick `count` questions per difficulty from `pools` ({ easy: [...], ... })
+// following `plan` ([{ difficulty, count }]). Questions whose topics were
+// already covered are only used when nothing else is left, and are listed in
+// `overlaps`. Question ids in `preferred` (a Map, e.g. of resume skill
+// matches) are tried first, up to half of each difficulty. Returns
+// { questions: [{ difficulty, question }], overlaps }.
+export const selectQuestions = ({ pools, plan, seed, preferred = new Map() }) => {
+  const random = createRandom(seed);
+  const covered = [];
+  const selected = [];
+  const overlaps = [];
+
+  for (const { difficulty, count } of plan) {
+    if (!count) continue;
+
+    const pool = sortById(pools[difficulty] || []);
+    if (pool.length < count) {
+      throw new QuestionPoolError(
+        `The interview needs ${count} ${difficulty} question${count === 1 ? '' : 's'} but only ${pool.length} active one${pool.length === 1 ? ' matches' : 's match'}`
+      );
+    }
+
+    // Preferred questions go first, the ones past their share go last
+    const shuffled = shuffle(pool, random);
+    const isPreferred = (question) => preferred.has(String(question._id));
+    const favoured = shuffled.filter(isPreferred);
+    const share = Math.ceil(count * PREFERRED_SHARE);
+    const ordered = [
+      ...favoured.slice(0, share),
+      ...shuffled.filter(question => !isPreferred(question)),
+      ...favoured.slice(share)
+    ];
+
+    const picked = [];
+    const deferred = [];
+    for (const question of ordered) {
+      if (picked.length === count) break;
+
+      if (overlapsWith(question, covered)) {
+        deferred.push(question);
+        continue;
+      }
+      picked.push(question);
+      covered.push(question);
+    }
+
+    // Not enough distinct topics left: reuse some rather than fail the interview
+    for (const question of deferred) {
+      if (picked.length === count) break;
+      picked.push(question);
+      covered.push(question);
+      overlaps.push(String(question._id));
+    }
+
+    picked.forEach(question => selected.push({ difficulty, question }));
+  }
+
+  return { questions: selected, overlaps };
+};
+
+// --- Adaptive mode -----------------------------------------------------------
+
+const LEVELS = ['easy', 'medium', 'hard'];
+
+// Score thresholds that move the next question up or down
+export const ADAPTIVE_THRESHOLDS = {
+  skipAhead: 90,
+  stepUp: 75,
+  struggling: 50
+};
+
+const average = (scores) => scores.reduce((sum, score) => sum + score, 0) / scores.length;
+
+// Decide the next difficulty from the last score. Returns { difficulty, reason }.
+const nextDifficulty = (history) => {
+  if (history.length === 0) {
+    return { difficulty: 'easy', reason: 'Opening question' };
+  }
+
+  const last = history[history.length - 1];
+  const level = Math.max(0, LEVELS.indexOf(last.question.difficulty));
+
+  if (last.score >= ADAPTIVE_THRESHOLDS.skipAhead) {
+    return { difficulty: 'hard', reason: `Scored ${last.score} on the last question, skipping ahead to hard` };
+  }
+  if (last.score >= ADAPTIVE_THRESHOLDS.stepUp) {
+    const difficulty = LEVELS[Math.min(level + 1, LEVELS.length - 1)];
+    return { difficulty, reason: `Scored ${last.score} on the last question, moving to ${difficulty}` };
+  }
+  if (last.score < ADAPTIVE_THRESHOLDS.struggling) {
+    const difficulty = level === 0 ? 'easy' : 'medium';
+    return { difficulty, reason: `Scored ${last.score} on the last question, probing at ${difficulty}` };
+  }
+  return { difficulty: LEVELS[level], reason: `Scored ${last.score} on the last question, staying at ${LEVELS[level]}` };
+};
+
+// Categories ordered from lowest to highest average score so far
+const weakCategories = (history) => {
+  const byCategory = {};
+  for (const { question, score } of history) {
+    (byCategory[question.category] = byCategory[question.category] || []).push(score);
+  }
+  return Object.entries(byCategory)
+    .map(([category, scores]) => ({ category, average: Math.round(average(scores)) }))
+    .filter(({ average: categoryAverage }) => categoryAverage < ADAPTIVE_THRESHOLDS.struggling)
+    .sort((a, b) => a.average - b.average);
+};
+
+// Pick the next question of an adaptive interview from `pools` given the
+// questions asked so far and their scores (`history`: [{ question, score }]).
+// The result only depends on the seed, pools and history, so the whole
+// interview can be replayed. Returns { difficulty, question, reason, overlap }
+// or null when every pool is exhausted. While fewer than half the questions
+// asked were in `preferred`, preferred questions are picked first.
+export const pickAdaptiveQuestion = ({ pools, seed, history, preferred = new Map() }) => {
+  const random = createRandom(`${seed}:${history.length}`);
+  const asked = history.map(({ question }) => question);
+  const askedIds = new Set(asked.map(question => String(question.bankId || question._id)));
+  const target = nextDifficulty(history);
+
+  // Try the target difficulty first, then the nearest other levels
+  const targetLevel = LEVELS.indexOf(target.difficulty);
+  const levels = [...LEVELS].sort((a, b) =>
+    Math.abs(LEVELS.indexOf(a) - targetLevel) - Math.abs(LEVELS.indexOf(b) - targetLevel) ||
+    LEVELS.indexOf(b) - LEVELS.indexOf(a)
+  );
+
+  const struggling = history.length > 0 && history[history.length - 1].score < ADAPTIVE_THRESHOLDS.struggling;
+  const weak = struggling ? weakCategories(history) : [];
+  const askedCategories = new Set(asked.map(question => question.category));
+  const askedPreferred = asked.filter(question => preferred.has(String(question.bankId || question._id))).length;
+  const favourPreferred = askedPreferred < (asked.length + 1) * PREFERRED_SHARE;
+
+  for (const allowOverlap of [false, true]) {
+    for (const difficulty of levels) {
+      const candidates = shuffle(sortById(pools[difficulty] || []), random)
+        .filter(question => !askedIds.has(String(question._id)))
+        .filter(question => allowOverlap || !overlapsWith(question, asked));
+      if (candidates.length === 0) continue;
+
+      let question = null;
+      let reason = target.reason;
+
+      // Struggling candidates get another probe in their weakest category
+      for (const { category, average: categoryAverage } of weak) {
+        question = candidates.find(candidate => candidate.category === category);
+        if (question) {
+          reason += ` in weak category ${category} (average ${categoryAverage})`;
+          break;
+        }
+      }
+
+      // Otherwise prefer a category that hasn't been covered yet, among the
+      // preferred questions when they are short of their share
+      if (!question) {
+        const favoured = favourPreferred
+          ? candidates.filter(candidate => preferred.has(String(candidate._id)))
+          : [];
+        const choices = favoured.length > 0 ? favoured : candidates;
+        question = choices.find(candidate => !askedCategories.has(candidate.category)) || choices[0];
+      }
+
+      if (difficulty !== target.difficulty) {
+        reason += ` (no ${target.difficulty} questions left, using ${difficulty})`;
+      }
+
+      return { difficulty, question, reason, overlap: allowOverlap && overlapsWith(question, asked) };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,160 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SELECTION_ALGORITHM,
+  QuestionPoolError,
+  createRandom,
+  selectQuestions,
+  pickAdaptiveQuestion
+} from './questionSelection.js';
+
+// Six questions per difficulty, each on its own topic
+const makeQuestion = (difficulty, index, concept = `${difficulty} topic ${index}`) => ({
+  _id: `${difficulty}-${index}`,
+  question: `Question ${index} (${difficulty})`,
+  category: `Category ${index % 3}`,
+  difficulty,
+  concepts: [{ name: concept }]
+});
+
+const makePools = () => Object.fromEntries(['easy', 'medium', 'hard'].map(difficulty =>
+  [difficulty, Array.from({ length: 6 }, (_, index) => makeQuestion(difficulty, index))]));
+
+const PLAN = [{ difficulty: 'easy', count: 2 }, { difficulty: 'medium', count: 2 }, { difficulty: 'hard', count: 2 }];
+
+const pickedIds = (selection) => selection.questions.map(({ question }) => question._id);
+
+describe('createRandom', () => {
+  test('produces the same sequence for the same seed', () => {
+    const first = createRandom('seed');
+    const second = createRandom('seed');
+    const sequence = Array.from({ length: 5 }, () => first());
+    assert.deepEqual(Array.from({ length: 5 }, () => second()), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(Array.from({ length: 5 }, createRandom('other seed')), sequence);
+  });
+});
+
+describe('selectQuestions', () => {
+  test('replays the same questions from the same seed, whatever order the pools are stored in', () => {
+    const pools = makePools();
+    const reversed = Object.fromEntries(Object.entries(pools).map(([difficulty, pool]) => [difficulty, [...pool].reverse()]));
+
+    const first = selectQuestions({ pools, plan: PLAN, seed: 'interview-1' });
+    const replay = selectQuestions({ pools: reversed, plan: PLAN, seed: 'interview-1' });
+
+    assert.deepEqual(pickedIds(replay), pickedIds(first));
+  });
+
+  test(`keeps drawing what ${SELECTION_ALGORITHM} drew for a stored seed`, () => {
+    // A change here breaks the replay of existing interviews; bump
+    // SELECTION_ALGORITHM when the rules change on purpose
+    const selection = selectQuestions({ pools: makePools(), plan: PLAN, seed: 'interview-1' });
+
+    assert.equal(SELECTION_ALGORITHM, 'seeded-v1');
+    assert.deepEqual(pickedIds(selection), ['easy-2', 'easy-0', 'medium-4', 'medium-2', 'hard-3', 'hard-4']);
+  });
+
+  test('follows the plan without repeating a question', () => {
+    const selection = selectQuestions({ pools: makePools(), plan: PLAN, seed: 'interview-2' });
+
+    assert.deepEqual(selection.questions.map(({ difficulty }) => difficulty), ['easy', 'easy', 'medium', 'medium', 'hard', 'hard']);
+    assert.equal(new Set(pickedIds(selection)).size, 6);
+    assert.deepEqual(selection.overlaps, []);
+  });
+
+  test('avoids repeating a topic while other questions are left, and reports it when it has to', () => {
+    const pools = {
+      easy: [makeQuestion('easy', 0, 'closures'), makeQuestion('easy', 1, 'closures'), makeQuestion('easy', 2, 'promises')]
+    };
+
+    const some = selectQuestions({ pools, plan: [{ difficulty: 'easy', count: 2 }], seed: 'topics' });
+    const all = selectQuestions({ pools, plan: [{ difficulty: 'easy', count: 3 }], seed: 'topics' });
+
+    assert.ok(pickedIds(some).includes('easy-2'));
+    assert.deepEqual(some.overlaps, []);
+    assert.equal(all.overlaps.length, 1);
+  });
+
+  test('tries preferred questions first, up to half of each difficulty', () => {
+    const preferred = new Map([['easy-0', 'React'], ['easy-1', 'React'], ['easy-2', 'React']]);
+
+    const selection = selectQuestions({ pools: makePools(), plan: [{ difficulty: 'easy', count: 4 }], seed: 'skills', preferred });
+
+    assert.equal(pickedIds(selection).filter(id => preferred.has(id)).length, 2);
+  });
+
+  test('throws QuestionPoolError when a pool is too small', () => {
+    assert.throws(
+      () => selectQuestions({ pools: makePools(), plan: [{ difficulty: 'hard', count: 7 }], seed: 'big' }),
+      QuestionPoolError
+    );
+  });
+});
+
+describe('pickAdaptiveQuestion', () => {
+  // Play an adaptive interview of `length` questions, scoring each with `scoreFor`
+  const playInterview = (seed, length, scoreFor) => {
+    const pools = makePools();
+    const history = [];
+    for (let step = 0; step < length; step++) {
+      const pick = pickAdaptiveQuestion({ pools, seed, history });
+      history.push({ question: pick.question, score: scoreFor(pick.question, step) });
+    }
+    return history;
+  };
+
+  const nextAfter = (difficulty, score) => pickAdaptiveQuestion({
+    pools: makePools(),
+    seed: 'levels',
+    history: [{ question: makeQuestion(difficulty, 0), score }]
+  });
+
+  test('opens with an easy question', () => {
+    const pick = pickAdaptiveQuestion({ pools: makePools(), seed: 'start', history: [] });
+    assert.equal(pick.difficulty, 'easy');
+    assert.equal(pick.reason, 'Opening question');
+  });
+
+  test('moves the difficulty with the last score', () => {
+    assert.equal(nextAfter('easy', 95).difficulty, 'hard');
+    assert.equal(nextAfter('easy', 80).difficulty, 'medium');
+    assert.equal(nextAfter('medium', 60).difficulty, 'medium');
+    assert.equal(nextAfter('hard', 30).difficulty, 'medium');
+    assert.equal(nextAfter('easy', 30).difficulty, 'easy');
+  });
+
+  test('probes a struggling candidate in their weakest category', () => {
+    const pick = nextAfter('medium', 20);
+    assert.equal(pick.question.category, makeQuestion('medium', 0).category);
+    assert.match(pick.reason, /in weak category/);
+  });
+
+  test('replays the same interview from the same seed and scores', () => {
+    const scoreFor = (question, step) => [80, 40, 95, 60, 85, 20][step];
+
+    const interview = playInterview('adaptive-1', 6, scoreFor);
+    const replay = playInterview('adaptive-1', 6, scoreFor);
+
+    assert.deepEqual(replay.map(({ question }) => question._id), interview.map(({ question }) => question._id));
+  });
+
+  test('never asks a question twice, matching asked questions by their bank id', () => {
+    const interview = playInterview('adaptive-2', 18, () => 60);
+    const ids = interview.map(({ question }) => question._id);
+    assert.equal(new Set(ids).size, 18);
+
+    // Sessions store snapshots whose bank id points back at the question
+    const history = interview.slice(0, 17).map(({ question, score }) => ({
+      question: { ...question, _id: `snapshot-${question._id}`, bankId: question._id },
+      score
+    }));
+    const last = pickAdaptiveQuestion({ pools: makePools(), seed: 'adaptive-2', history });
+    assert.equal(last.question._id, ids[17]);
+  });
+
+  test('returns null once every pool is used up', () => {
+    const history = Object.values(makePools()).flat().map(question => ({ question, score: 60 }));
+    assert.equal(pickAdaptiveQuestion({ pools: makePools(), seed: 'done', history }), null);
+  });
+});
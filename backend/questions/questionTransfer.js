@@ -0,0 +1,318 @@
+// Import and export of the question bank as JSON, CSV or YAML, so question
+// sets can be kept in spreadsheets or git and loaded back into the app.
+import yaml from 'js-yaml';
+import {
+  listQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  validateQuestionInput
+} from './questionBank.js';
+
+export const TRANSFER_FORMATS = ['json', 'csv', 'yaml'];
+
+export const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  yaml: 'application/yaml'
+};
+
+// Column order for CSV; also the field order of exported records
+const FIELDS = ['id', 'question', 'category', 'difficulty', 'timeLimit', 'sampleAnswer', 'tags', 'concepts', 'active'];
+
+// Thrown when a whole file can't be read, as opposed to individual bad rows
+export class ImportFormatError extends Error {}
+
+// Work out the format from an explicit value or the file extension
+export const detectFormat = (format, filename = '') => {
+  const requested = (format || filename.split('.').pop() || '').toLowerCase();
+  if (requested === 'yml') return 'yaml';
+  return TRANSFER_FORMATS.includes(requested) ? requested : null;
+};
+
+// --- CSV ---------------------------------------------------------------------
+// Tags are separated by ";". Concepts are separated by ";", each written as
+// "name|synonym|synonym*weight", e.g. "closure|closures*2; lexical scope".
+
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ImportFormatError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const splitList = (value) => value.split(';').map(item => item.trim()).filter(Boolean);
+
+const parseCsvConcepts = (value) => splitList(value).map(entry => {
+  const [terms, weight] = entry.split('*');
+  const [name, ...synonyms] = terms.split('|').map(term => term.trim()).filter(Boolean);
+  return {
+    name,
+    synonyms,
+    weight: weight === undefined ? undefined : Number(weight)
+  };
+});
+
+const formatCsvConcepts = (concepts = []) => concepts.map(concept => {
+  const terms = [concept.name, ...(concept.synonyms || [])].join('|');
+  return concept.weight && concept.weight !== 1 ? `${terms}*${concept.weight}` : terms;
+}).join('; ');
+
+const parseBoolean = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1', 'active'].includes(normalized)) return true;
+  if (['false', 'no', '0', 'retired'].includes(normalized)) return false;
+  return value;
+};
+
+// Turn CSV cells into the same shape JSON and YAML records have. Empty cells
+// are left out so they don't overwrite existing values on update.
+const csvRecordToInput = (record) => {
+  const input = {};
+  for (const [field, rawValue] of Object.entries(record)) {
+    const value = rawValue.trim();
+    if (value === '') continue;
+
+    if (field === 'tags') input.tags = splitList(value);
+    else if (field === 'concepts') input.concepts = parseCsvConcepts(value);
+    else if (field === 'active') input.active = parseBoolean(value);
+    else if (field === 'sampleAnswer') input.sampleAnswer = rawValue;
+    else input[field] = value;
+  }
+  return input;
+};
+
+const parseCsv = (text) => {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    throw new ImportFormatError('CSV file is empty');
+  }
+
+  const header = rows[0].map(name => name.trim());
+  const unknown = header.filter(name => !FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw new ImportFormatError(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+  if (!header.includes('question')) {
+    throw new ImportFormatError('CSV must have a "question" column');
+  }
+
+  return rows.slice(1)
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+    .map(({ cells, row }) => {
+      const record = {};
+      header.forEach((name, column) => {
+        record[name] = cells[column] ?? '';
+      });
+      return { row, input: csvRecordToInput(record) };
+    });
+};
+
+const toCsv = (records) => {
+  const lines = [FIELDS.join(',')];
+  for (const record of records) {
+    lines.push(FIELDS.map(field => {
+      if (field === 'tags') return escapeCsvField((record.tags || []).join('; '));
+      if (field === 'concepts') return escapeCsvField(formatCsvConcepts(record.concepts));
+      return escapeCsvField(record[field]);
+    }).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Parsing and export ------------------------------------------------------
+
+// JSON and YAML files hold either a list of questions or { questions: [...] }
+const recordsFromDocument = (document) => {
+  const list = Array.isArray(document) ? document : document?.questions;
+  if (!Array.isArray(list)) {
+    throw new ImportFormatError('File must contain a list of questions or an object with a "questions" list');
+  }
+  return list.map((input, index) => ({ row: index + 1, input }));
+};
+
+// Parse file contents into [{ row, input }]. Throws ImportFormatError when the
+// file as a whole can't be read.
+export const parseQuestionFile = (content, format) => {
+  if (format === 'csv') {
+    return parseCsv(content);
+  }
+
+  let document;
+  try {
+    document = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new ImportFormatError(`Invalid ${format.toUpperCase()}: ${error.message}`);
+  }
+  return recordsFromDocument(document);
+};
+
+const toExportRecord = (question) => ({
+  id: String(question._id),
+  question: question.question,
+  category: question.category,
+  difficulty: question.difficulty,
+  timeLimit: question.timeLimit,
+  sampleAnswer: question.sampleAnswer || '',
+  tags: [...(question.tags || [])],
+  concepts: (question.concepts || []).map(concept => ({
+    name: concept.name,
+    synonyms: [...(concept.synonyms || [])],
+    weight: concept.weight || 1
+  })),
+  active: question.active
+});
+
+// Serialize an organization's questions matching the filters in the given format
+export const exportQuestions = async (organizationId, format, filters = {}) => {
+  const records = (await listQuestions(organizationId, filters)).map(toExportRecord);
+
+  if (format === 'csv') return toCsv(records);
+  if (format === 'yaml') return yaml.dump(records, { lineWidth: -1, noRefs: true });
+  return `${JSON.stringify(records, null, 2)}\n`;
+};
+
+// --- Import ------------------------------------------------------------------
+
+const questionKey = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const IMPORT_FIELDS = FIELDS.filter(field => field !== 'id');
+
+const pickImportFields = (input) => {
+  const data = {};
+  for (const field of IMPORT_FIELDS) {
+    if (input[field] !== undefined) data[field] = input[field];
+  }
+  return data;
+};
+
+// Fields whose imported value differs from what the question already has
+const changedFields = (existing, data) => IMPORT_FIELDS.filter(field => {
+  if (data[field] === undefined) return false;
+  const current = toExportRecord(existing)[field];
+  const incoming = field === 'timeLimit' ? Number(data[field]) : data[field];
+  if (field === 'concepts') {
+    return JSON.stringify(current) !== JSON.stringify(toExportRecord({ concepts: incoming }).concepts);
+  }
+  return JSON.stringify(current) !== JSON.stringify(incoming);
+});
+
+// Work out what each record would do: create, update, leave unchanged or reject.
+// Records are matched to the organization's questions by id, then by question text.
+const planImport = async (organizationId, records) => {
+  const existingQuestions = await listQuestions(organizationId);
+  const byText = new Map(existingQuestions.map(question => [questionKey(question.question), question]));
+  const seenTexts = new Map();
+  const plan = [];
+
+  for (const { row, input } of records) {
+    const entry = { row, question: typeof input?.question === 'string' ? input.question : null };
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      plan.push({ ...entry, action: 'reject', errors: ['Question data must be an object'] });
+      continue;
+    }
+
+    const data = pickImportFields(input);
+    const existing = (input.id && await getQuestion(organizationId, String(input.id))) || byText.get(questionKey(data.question));
+    const errors = validateQuestionInput(data, { partial: Boolean(existing) });
+
+    const key = questionKey(data.question ?? existing?.question);
+    if (seenTexts.has(key)) {
+      errors.push(`duplicate of row ${seenTexts.get(key)} in this file`);
+    } else {
+      seenTexts.set(key, row);
+    }
+
+    if (errors.length > 0) {
+      plan.push({ ...entry, action: 'reject', errors });
+    } else if (!existing) {
+      plan.push({ ...entry, action: 'create', data });
+    } else {
+      const changes = changedFields(existing, data);
+      plan.push({
+        ...entry,
+        id: String(existing._id),
+        action: changes.length > 0 ? 'update' : 'unchanged',
+        changes,
+        data
+      });
+    }
+  }
+
+  return plan;
+};
+
+// Import parsed records into an organization's bank. With dryRun nothing is
+// written; either way the result reports per-row actions and totals for each action.
+export const importQuestions = async (organizationId, records, { dryRun = false } = {}) => {
+  const plan = await planImport(organizationId, records);
+
+  if (!dryRun) {
+    for (const entry of plan) {
+      if (entry.action === 'create') {
+        const created = await createQuestion(organizationId, entry.data);
+        entry.id = String(created._id);
+      } else if (entry.action === 'update') {
+        await updateQuestion(organizationId, entry.id, entry.data);
+      }
+    }
+  }
+
+  const count = (action) => plan.filter(entry => entry.action === action).length;
+
+  return {
+    dryRun,
+    summary: {
+      total: plan.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      rejected: count('reject')
+    },
+    rows: plan.map(({ data, ...entry }) => entry)
+  };
+};
@@ -0,0 +1,135 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuestion } from './questionBank.js';
+import {
+  TRANSFER_FORMATS,
+  ImportFormatError,
+  detectFormat,
+  parseQuestionFile,
+  exportQuestions,
+  importQuestions
+} from './questionTransfer.js';
+
+// Runs on in-memory storage; each organization starts with an empty bank
+const SOURCE_ORGANIZATION = 'transfer-source';
+
+const QUESTIONS = [
+  {
+    question: 'What does "use strict" change, and why, in a function?',
+    category: 'JavaScript, Fundamentals',
+    difficulty: 'easy',
+    timeLimit: 30,
+    sampleAnswer: 'It turns on strict mode:\nsilent errors throw, and "this" is undefined in plain calls.',
+    tags: ['javascript', 'strict-mode'],
+    concepts: [
+      { name: 'strict mode', synonyms: ['use strict'], weight: 2 },
+      { name: 'this', synonyms: [], weight: 1 }
+    ]
+  },
+  {
+    question: 'How does a closure keep its variables?',
+    category: 'JavaScript Fundamentals',
+    difficulty: 'hard',
+    timeLimit: 120,
+    sampleAnswer: '',
+    tags: [],
+    concepts: [{ name: 'lexical scope', synonyms: ['scope chain', 'outer scope'], weight: 3 }],
+    active: false
+  }
+];
+
+// Exported records without the ids, which differ between organizations
+const withoutIds = (records) => records.map(({ id, ...record }) => record);
+
+const exportRecords = async (organizationId, format) =>
+  parseQuestionFile(await exportQuestions(organizationId, format), format).map(({ input }) => input);
+
+before(async () => {
+  for (const question of QUESTIONS) {
+    await createQuestion(SOURCE_ORGANIZATION, question);
+  }
+});
+
+describe('export and import', () => {
+  for (const format of TRANSFER_FORMATS) {
+    test(`round-trips the bank through ${format.toUpperCase()}`, async () => {
+      const exported = await exportQuestions(SOURCE_ORGANIZATION, format);
+      const target = `transfer-${format}`;
+
+      const result = await importQuestions(target, parseQuestionFile(exported, format));
+
+      assert.deepEqual(result.summary, { total: 2, created: 2, updated: 0, unchanged: 0, rejected: 0 });
+      assert.deepEqual(
+        withoutIds(await exportRecords(target, 'json')),
+        withoutIds(await exportRecords(SOURCE_ORGANIZATION, 'json'))
+      );
+    });
+
+    test(`re-importing a ${format.toUpperCase()} export changes nothing`, async () => {
+      const exported = await exportQuestions(SOURCE_ORGANIZATION, format);
+
+      const result = await importQuestions(SOURCE_ORGANIZATION, parseQuestionFile(exported, format), { dryRun: true });
+
+      assert.deepEqual(result.summary, { total: 2, created: 0, updated: 0, unchanged: 2, rejected: 0 });
+    });
+  }
+
+  test('a dry run reports changes without writing them', async () => {
+    const [first] = await exportRecords(SOURCE_ORGANIZATION, 'json');
+    const records = [{ row: 1, input: { ...first, timeLimit: 45 } }];
+
+    const result = await importQuestions(SOURCE_ORGANIZATION, records, { dryRun: true });
+
+    assert.equal(result.rows[0].action, 'update');
+    assert.deepEqual(result.rows[0].changes, ['timeLimit']);
+    const [unchanged] = await exportRecords(SOURCE_ORGANIZATION, 'json');
+    assert.equal(unchanged.timeLimit, first.timeLimit);
+  });
+
+  test('rejects invalid rows and repeats within a file, and imports the rest', async () => {
+    const records = [
+      { row: 1, input: { question: 'What is event delegation?', category: 'DOM', difficulty: 'medium' } },
+      { row: 2, input: { question: 'What is event delegation?', category: 'DOM', difficulty: 'medium' } },
+      { row: 3, input: { question: 'Missing a difficulty', category: 'DOM' } }
+    ];
+
+    const result = await importQuestions('transfer-rejects', records);
+
+    assert.deepEqual(result.rows.map(row => row.action), ['create', 'reject', 'reject']);
+    assert.match(result.rows[1].errors.join(), /duplicate of row 1/);
+  });
+});
+
+describe('parseQuestionFile', () => {
+  test('reads CSV with quoted commas, quotes and line breaks', () => {
+    const csv = 'question,category,difficulty,sampleAnswer,tags,concepts\n' +
+      '"Why ""async"", and when?","Async, JS",medium,"First line\nsecond line",a;b,"closure|closures*2; lexical scope"\n';
+
+    const [{ row, input }] = parseQuestionFile(csv, 'csv');
+
+    // Rows are numbered as in a spreadsheet, with the header as row 1
+    assert.equal(row, 2);
+    assert.equal(input.question, 'Why "async", and when?');
+    assert.equal(input.sampleAnswer, 'First line\nsecond line');
+    assert.equal(input.category, 'Async, JS');
+    assert.deepEqual(input.tags, ['a', 'b']);
+    assert.deepEqual(input.concepts, [
+      { name: 'closure', synonyms: ['closures'], weight: 2 },
+      // No weight means the default of 1
+      { name: 'lexical scope', synonyms: [], weight: undefined }
+    ]);
+  });
+
+  test('throws ImportFormatError for a file that cannot be read', () => {
+    assert.throws(() => parseQuestionFile('{"questions": ', 'json'), ImportFormatError);
+    assert.throws(() => parseQuestionFile('questions: 3', 'yaml'), ImportFormatError);
+  });
+});
+
+describe('detectFormat', () => {
+  test('prefers the requested format and falls back to the extension', () => {
+    assert.equal(detectFormat('CSV', 'questions.json'), 'csv');
+    assert.equal(detectFormat(undefined, 'questions.yml'), 'yaml');
+    assert.equal(detectFormat(undefined, 'questions.xlsx'), null);
+  });
+});
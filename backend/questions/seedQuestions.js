@@ -0,0 +1,394 @@
+// Seed data for the question bank. These are the questions the app shipped
+// with before the bank moved into storage; they are inserted on first start
+// when the bank is empty. Each question lists the key concepts a good answer
+// should cover, with synonyms and weights for the offline rubric scorer.
+
+export const DEFAULT_TIME_LIMITS = {
+  easy: 20,
+  medium: 60,
+  hard: 120
+};
+
+const questionPools = {
+  easy: [
+    {
+      question: "What is React and what are its main features?",
+      category: "React Basics",
+      concepts: [
+        { name: "component", synonyms: ["components", "reusable ui"], weight: 3 },
+        { name: "virtual DOM", synonyms: ["vdom"], weight: 2 },
+        { name: "JSX", synonyms: [], weight: 2 },
+        { name: "one-way data flow", synonyms: ["unidirectional", "one way data binding", "data flows down"], weight: 1 },
+        { name: "declarative", synonyms: [], weight: 1 }
+      ]
+    },
+    {
+      question: "Explain the difference between let, const, and var in JavaScript.",
+      category: "JavaScript Fundamentals",
+      concepts: [
+        { name: "block scope", synonyms: ["block scoped", "block-level"], weight: 3 },
+        { name: "function scope", synonyms: ["function scoped", "function-level"], weight: 2 },
+        { name: "hoisting", synonyms: ["hoisted", "temporal dead zone", "tdz"], weight: 2 },
+        { name: "reassign", synonyms: ["reassignment", "cannot be changed", "immutable binding"], weight: 2 },
+        { name: "redeclare", synonyms: ["redeclaration", "redeclared"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the purpose of useEffect in React?",
+      category: "React Hooks",
+      concepts: [
+        { name: "side effect", synonyms: ["side-effects"], weight: 3 },
+        { name: "dependency array", synonyms: ["dependencies", "deps"], weight: 2 },
+        { name: "cleanup", synonyms: ["clean up", "unsubscribe", "return a function"], weight: 2 },
+        { name: "data fetching", synonyms: ["fetch", "api call", "api request"], weight: 1 },
+        { name: "after render", synonyms: ["after rendering", "mount", "componentDidMount"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you handle events in React?",
+      category: "React Events",
+      concepts: [
+        { name: "event handler", synonyms: ["handler", "onClick", "onChange"], weight: 3 },
+        { name: "camelCase", synonyms: ["camel case"], weight: 1 },
+        { name: "synthetic event", synonyms: ["syntheticevent"], weight: 2 },
+        { name: "preventDefault", synonyms: ["prevent default"], weight: 1 },
+        { name: "pass a function", synonyms: ["function reference", "callback", "arrow function"], weight: 2 }
+      ]
+    },
+    {
+      question: "What is the difference between == and === in JavaScript?",
+      category: "JavaScript Operators",
+      concepts: [
+        { name: "type coercion", synonyms: ["coerce", "type conversion", "converts types"], weight: 3 },
+        { name: "strict equality", synonyms: ["strict", "strictly equal"], weight: 3 },
+        { name: "loose equality", synonyms: ["loose", "abstract equality"], weight: 2 },
+        { name: "same type", synonyms: ["type and value", "both type", "compare types"], weight: 2 }
+      ]
+    },
+    {
+      question: "What is JSX in React?",
+      category: "React Basics",
+      concepts: [
+        { name: "syntax extension", synonyms: ["extension of javascript", "javascript xml"], weight: 2 },
+        { name: "HTML-like", synonyms: ["html like", "looks like html", "markup"], weight: 2 },
+        { name: "React.createElement", synonyms: ["createElement", "transpile", "babel", "compiled"], weight: 3 },
+        { name: "expressions", synonyms: ["curly braces", "embed javascript"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you create a component in React?",
+      category: "React Components",
+      concepts: [
+        { name: "function component", synonyms: ["functional component", "function that returns"], weight: 3 },
+        { name: "class component", synonyms: ["extends React Component", "extends component"], weight: 2 },
+        { name: "return JSX", synonyms: ["returns jsx", "render"], weight: 2 },
+        { name: "props", synonyms: [], weight: 1 },
+        { name: "capitalized name", synonyms: ["capital letter", "pascalcase", "uppercase"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the virtual DOM in React?",
+      category: "React Architecture",
+      concepts: [
+        { name: "in-memory representation", synonyms: ["in memory", "lightweight copy", "javascript object", "copy of the dom"], weight: 3 },
+        { name: "diffing", synonyms: ["diff", "compare", "reconciliation"], weight: 3 },
+        { name: "batch updates", synonyms: ["minimal updates", "only changed", "efficient updates", "batch"], weight: 2 },
+        { name: "performance", synonyms: ["faster", "expensive dom"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you pass data between components in React?",
+      category: "React Props",
+      concepts: [
+        { name: "props", synonyms: ["properties"], weight: 3 },
+        { name: "callback", synonyms: ["function as prop", "lift state up", "lifting state"], weight: 2 },
+        { name: "context", synonyms: ["context api", "usecontext"], weight: 2 },
+        { name: "state management", synonyms: ["redux", "zustand", "store"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is state in React?",
+      category: "React State",
+      concepts: [
+        { name: "component data", synonyms: ["data owned", "internal data", "local data"], weight: 2 },
+        { name: "useState", synonyms: ["setstate", "this setstate"], weight: 3 },
+        { name: "re-render", synonyms: ["rerender", "re render", "triggers render"], weight: 3 },
+        { name: "mutable", synonyms: ["changes over time", "can change", "update"], weight: 1 },
+        { name: "immutable updates", synonyms: ["do not mutate", "never mutate", "new object", "copy"], weight: 1 }
+      ]
+    }
+  ],
+  medium: [
+    {
+      question: "Explain the React component lifecycle methods.",
+      category: "React Lifecycle",
+      concepts: [
+        { name: "mounting", synonyms: ["mount", "componentDidMount", "constructor"], weight: 3 },
+        { name: "updating", synonyms: ["update", "componentDidUpdate", "shouldComponentUpdate"], weight: 3 },
+        { name: "unmounting", synonyms: ["unmount", "componentWillUnmount"], weight: 3 },
+        { name: "error handling", synonyms: ["componentDidCatch", "getDerivedStateFromError"], weight: 1 },
+        { name: "useEffect", synonyms: ["hooks equivalent"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you manage state in React applications?",
+      category: "State Management",
+      concepts: [
+        { name: "local state", synonyms: ["useState", "component state"], weight: 3 },
+        { name: "Context API", synonyms: ["context", "useContext"], weight: 2 },
+        { name: "Redux", synonyms: ["zustand", "mobx", "recoil", "external store"], weight: 2 },
+        { name: "useReducer", synonyms: ["reducer"], weight: 1 },
+        { name: "server state", synonyms: ["react query", "swr", "cache"], weight: 1 },
+        { name: "lifting state up", synonyms: ["lift state", "shared parent"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the difference between props and state?",
+      category: "React Concepts",
+      concepts: [
+        { name: "props", synonyms: ["properties"], weight: 2 },
+        { name: "read-only", synonyms: ["read only", "immutable", "cannot be modified", "cannot change"], weight: 3 },
+        { name: "state", synonyms: ["usestate"], weight: 2 },
+        { name: "owned by the component", synonyms: ["internal", "local", "managed by the component"], weight: 2 },
+        { name: "passed from parent", synonyms: ["parent to child", "passed down", "from the parent"], weight: 2 }
+      ]
+    },
+    {
+      question: "How do you handle forms in React?",
+      category: "React Forms",
+      concepts: [
+        { name: "controlled component", synonyms: ["controlled input", "controlled"], weight: 3 },
+        { name: "onChange", synonyms: ["change handler", "handle change"], weight: 2 },
+        { name: "onSubmit", synonyms: ["submit handler", "handle submit"], weight: 2 },
+        { name: "validation", synonyms: ["validate"], weight: 2 },
+        { name: "form library", synonyms: ["formik", "react hook form", "antd form"], weight: 1 },
+        { name: "preventDefault", synonyms: ["prevent default"], weight: 1 }
+      ]
+    },
+    {
+      question: "Explain the concept of virtual DOM in React.",
+      category: "React Architecture",
+      concepts: [
+        { name: "in-memory representation", synonyms: ["in memory", "lightweight copy", "javascript object", "copy of the dom"], weight: 3 },
+        { name: "reconciliation", synonyms: ["reconcile", "fiber"], weight: 2 },
+        { name: "diffing algorithm", synonyms: ["diff", "compare", "comparison"], weight: 3 },
+        { name: "minimal DOM updates", synonyms: ["only changed", "batch", "patch", "efficient"], weight: 2 },
+        { name: "keys", synonyms: ["key"], weight: 1 }
+      ]
+    },
+    {
+      question: "What are React Hooks and why are they useful?",
+      category: "React Hooks",
+      concepts: [
+        { name: "functional components", synonyms: ["function components"], weight: 2 },
+        { name: "state", synonyms: ["useState"], weight: 2 },
+        { name: "side effects", synonyms: ["useEffect"], weight: 2 },
+        { name: "reuse logic", synonyms: ["custom hooks", "reusable logic", "share logic"], weight: 3 },
+        { name: "rules of hooks", synonyms: ["top level", "not in loops", "conditionally"], weight: 1 },
+        { name: "no classes", synonyms: ["without classes", "instead of classes", "this keyword"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you handle API calls in React?",
+      category: "React API Integration",
+      concepts: [
+        { name: "useEffect", synonyms: ["effect"], weight: 3 },
+        { name: "fetch", synonyms: ["axios", "http client"], weight: 2 },
+        { name: "loading state", synonyms: ["loading", "spinner"], weight: 2 },
+        { name: "error handling", synonyms: ["try catch", "catch errors", "error state"], weight: 2 },
+        { name: "cleanup", synonyms: ["abortcontroller", "abort", "cancel"], weight: 1 },
+        { name: "data fetching library", synonyms: ["react query", "swr"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the difference between functional and class components?",
+      category: "React Components",
+      concepts: [
+        { name: "hooks", synonyms: ["usestate", "useeffect"], weight: 3 },
+        { name: "lifecycle methods", synonyms: ["lifecycle", "componentDidMount"], weight: 2 },
+        { name: "this keyword", synonyms: ["this", "binding"], weight: 1 },
+        { name: "render method", synonyms: ["render"], weight: 1 },
+        { name: "simpler", synonyms: ["less boilerplate", "concise", "shorter"], weight: 1 },
+        { name: "state", synonyms: [], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you implement conditional rendering in React?",
+      category: "React Rendering",
+      concepts: [
+        { name: "ternary operator", synonyms: ["ternary", "conditional operator"], weight: 3 },
+        { name: "logical AND", synonyms: ["short circuit", "and operator"], weight: 3 },
+        { name: "if statement", synonyms: ["if else", "early return"], weight: 2 },
+        { name: "return null", synonyms: ["null"], weight: 1 },
+        { name: "switch", synonyms: ["object lookup", "map of components"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the purpose of keys in React lists?",
+      category: "React Lists",
+      concepts: [
+        { name: "unique identifier", synonyms: ["unique", "identify", "stable id"], weight: 3 },
+        { name: "reconciliation", synonyms: ["diffing", "reconcile"], weight: 2 },
+        { name: "avoid index", synonyms: ["index as key", "array index", "not use index"], weight: 2 },
+        { name: "re-render", synonyms: ["rerender", "reorder", "efficiently update"], weight: 2 },
+        { name: "siblings", synonyms: ["among siblings"], weight: 1 }
+      ]
+    }
+  ],
+  hard: [
+    {
+      question: "How do you optimize React application performance?",
+      category: "Performance Optimization",
+      concepts: [
+        { name: "memoization", synonyms: ["React.memo", "memo", "useMemo", "useCallback"], weight: 3 },
+        { name: "code splitting", synonyms: ["React.lazy", "lazy loading", "dynamic import"], weight: 2 },
+        { name: "virtualization", synonyms: ["react window", "react virtualized", "windowing"], weight: 2 },
+        { name: "avoid unnecessary re-renders", synonyms: ["unnecessary renders", "rerenders", "re-renders"], weight: 2 },
+        { name: "profiling", synonyms: ["profiler", "devtools"], weight: 1 },
+        { name: "bundle size", synonyms: ["tree shaking", "minification"], weight: 1 }
+      ]
+    },
+    {
+      question: "Explain the difference between controlled and uncontrolled components.",
+      category: "Advanced React",
+      concepts: [
+        { name: "controlled", synonyms: ["controlled component", "react state"], weight: 3 },
+        { name: "uncontrolled", synonyms: ["uncontrolled component", "dom handles"], weight: 3 },
+        { name: "refs", synonyms: ["useref", "ref"], weight: 2 },
+        { name: "defaultValue", synonyms: ["default value"], weight: 1 },
+        { name: "onChange", synonyms: ["change handler"], weight: 1 },
+        { name: "validation", synonyms: ["validate"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you implement error boundaries in React?",
+      category: "Error Handling",
+      concepts: [
+        { name: "class component", synonyms: ["class"], weight: 2 },
+        { name: "componentDidCatch", synonyms: ["did catch"], weight: 3 },
+        { name: "getDerivedStateFromError", synonyms: ["derived state from error"], weight: 2 },
+        { name: "fallback UI", synonyms: ["fallback", "something went wrong"], weight: 2 },
+        { name: "limitations", synonyms: ["event handlers", "async code", "server side rendering"], weight: 2 }
+      ]
+    },
+    {
+      question: "What is the difference between useCallback and useMemo?",
+      category: "React Optimization",
+      concepts: [
+        { name: "memoized function", synonyms: ["memoizes a function", "function reference", "callback"], weight: 3 },
+        { name: "memoized value", synonyms: ["memoizes a value", "computed value", "result"], weight: 3 },
+        { name: "dependency array", synonyms: ["dependencies", "deps"], weight: 2 },
+        { name: "referential equality", synonyms: ["same reference", "reference equality", "identity"], weight: 2 },
+        { name: "React.memo", synonyms: ["memo", "child re-render"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you handle authentication in React applications?",
+      category: "Authentication",
+      concepts: [
+        { name: "token", synonyms: ["jwt", "json web token", "access token"], weight: 3 },
+        { name: "protected routes", synonyms: ["private route", "route guard", "redirect"], weight: 2 },
+        { name: "context", synonyms: ["auth context", "global state", "redux"], weight: 2 },
+        { name: "storage", synonyms: ["httponly cookie", "cookie", "localstorage"], weight: 2 },
+        { name: "refresh token", synonyms: ["token expiry", "expiration"], weight: 1 },
+        { name: "oauth", synonyms: ["oidc", "sso"], weight: 1 }
+      ]
+    },
+    {
+      question: "Explain React Context and when to use it.",
+      category: "State Management",
+      concepts: [
+        { name: "createContext", synonyms: ["create context"], weight: 2 },
+        { name: "Provider", synonyms: ["context provider"], weight: 2 },
+        { name: "useContext", synonyms: ["consumer"], weight: 2 },
+        { name: "prop drilling", synonyms: ["drilling", "passing props through"], weight: 3 },
+        { name: "global data", synonyms: ["theme", "authentication", "locale", "user"], weight: 2 },
+        { name: "re-renders", synonyms: ["rerender", "performance"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you implement code splitting in React?",
+      category: "Performance Optimization",
+      concepts: [
+        { name: "React.lazy", synonyms: ["lazy"], weight: 3 },
+        { name: "Suspense", synonyms: ["fallback"], weight: 2 },
+        { name: "dynamic import", synonyms: ["import()", "dynamic imports"], weight: 3 },
+        { name: "route-based splitting", synonyms: ["route based", "routes"], weight: 2 },
+        { name: "bundle", synonyms: ["chunk", "webpack", "vite"], weight: 1 }
+      ]
+    },
+    {
+      question: "What is the difference between useReducer and useState?",
+      category: "React Hooks",
+      concepts: [
+        { name: "reducer function", synonyms: ["reducer"], weight: 3 },
+        { name: "dispatch", synonyms: ["actions", "action"], weight: 2 },
+        { name: "complex state", synonyms: ["complex logic", "multiple sub values", "related state"], weight: 3 },
+        { name: "simple state", synonyms: ["primitive", "single value"], weight: 2 },
+        { name: "predictable", synonyms: ["pure function", "testable"], weight: 1 }
+      ]
+    },
+    {
+      question: "How do you implement custom hooks in React?",
+      category: "Custom Hooks",
+      concepts: [
+        { name: "use prefix", synonyms: ["starts with use", "named use"], weight: 2 },
+        { name: "reuse logic", synonyms: ["reusable", "share logic", "stateful logic"], weight: 3 },
+        { name: "call other hooks", synonyms: ["useState", "useEffect", "built in hooks"], weight: 2 },
+        { name: "rules of hooks", synonyms: ["top level"], weight: 1 },
+        { name: "return values", synonyms: ["return"], weight: 1 }
+      ]
+    },
+    {
+      question: "Explain React Suspense and concurrent features.",
+      category: "Advanced React",
+      concepts: [
+        { name: "Suspense", synonyms: ["fallback"], weight: 3 },
+        { name: "concurrent rendering", synonyms: ["concurrent mode", "concurrent", "interruptible"], weight: 3 },
+        { name: "useTransition", synonyms: ["startTransition", "transition"], weight: 2 },
+        { name: "useDeferredValue", synonyms: ["deferred"], weight: 1 },
+        { name: "data fetching", synonyms: ["lazy loading", "React.lazy"], weight: 1 },
+        { name: "priority", synonyms: ["prioritize", "urgent updates"], weight: 1 }
+      ]
+    }
+  ]
+};
+
+// Hand-written sample answers, keyed by question text
+const sampleAnswers = {
+  // Easy questions
+  "What is React and what are its main features?": "React is a JavaScript library for building user interfaces, particularly web applications. Its main features include: 1) Component-based architecture - allows building reusable UI components, 2) Virtual DOM - improves performance by minimizing direct DOM manipulation, 3) JSX - syntax extension that allows writing HTML-like code in JavaScript, 4) Unidirectional data flow - makes the application more predictable and easier to debug, 5) Rich ecosystem - with tools like React Router, Redux, and many third-party libraries.",
+
+  "Explain the difference between let, const, and var in JavaScript.": "The main differences are: 1) **Scope**: var is function-scoped, while let and const are block-scoped. 2) **Hoisting**: var declarations are hoisted and initialized with undefined, let and const are hoisted but not initialized (temporal dead zone). 3) **Reassignment**: var and let can be reassigned, const cannot be reassigned after declaration. 4) **Redeclaration**: var can be redeclared in the same scope, let and const cannot. 5) **Best Practice**: Use const by default, let when you need to reassign, avoid var.",
+
+  "What is the purpose of useEffect in React?": "useEffect is a React Hook that allows you to perform side effects in functional components. Its purposes include: 1) **Data fetching** - making API calls when component mounts or data changes, 2) **Setting up subscriptions** - connecting to external data sources, 3) **Manual DOM manipulation** - updating document title, adding event listeners, 4) **Cleanup** - removing event listeners, canceling API requests when component unmounts. The hook takes a function and an optional dependency array to control when the effect runs.",
+
+  // Medium questions
+  "Explain the React component lifecycle methods.": "React class components have several lifecycle methods: 1) **Mounting**: componentDidMount() - called after component is rendered to DOM, 2) **Updating**: componentDidUpdate() - called after component updates, componentWillReceiveProps() - called when new props are received, 3) **Unmounting**: componentWillUnmount() - called before component is removed from DOM, 4) **Error Handling**: componentDidCatch() - catches errors in child components. In functional components, useEffect replaces these methods with dependency arrays controlling when effects run.",
+
+  "How do you manage state in React applications?": "State management approaches include: 1) **Local State**: useState hook for component-specific state, 2) **Context API**: for sharing state across multiple components without prop drilling, 3) **External Libraries**: Redux for complex applications with predictable state updates, 4) **Custom Hooks**: for reusable stateful logic, 5) **Server State**: libraries like React Query for API data. Choose based on application complexity - start with local state and useState, move to Context for moderate complexity, consider Redux for large applications.",
+
+  "What is the difference between props and state?": "Props and state are both ways to store data in React: 1) **Props**: immutable data passed from parent to child components, cannot be modified by child, used for configuration and communication, 2) **State**: mutable data owned by the component, can be updated using setState or useState, triggers re-renders when changed, 3) **Key Difference**: Props flow down, state stays local. Props are like function parameters, state is like component's internal memory. Use props for data that doesn't change, state for data that can change and affects rendering.",
+
+  // Hard questions
+  "How do you optimize React application performance?": "Performance optimization strategies include: 1) **Code Splitting**: Use React.lazy() and Suspense for route-based splitting, 2) **Memoization**: React.memo() for component memoization, useMemo() for expensive calculations, useCallback() for function memoization, 3) **Virtualization**: For large lists using react-window or react-virtualized, 4) **Bundle Optimization**: Tree shaking, minification, compression, 5) **State Management**: Keep state as local as possible, avoid unnecessary re-renders, 6) **Profiling**: Use React DevTools Profiler to identify bottlenecks, 7) **Server-Side Rendering**: Use Next.js for better initial load performance.",
+
+  "Explain the difference between controlled and uncontrolled components.": "Controlled vs Uncontrolled components: 1) **Controlled**: Form data is handled by React state, input value is controlled by component state, onChange handlers update state, React controls the form behavior, better for validation and complex interactions, 2) **Uncontrolled**: Form data is handled by DOM, use refs to access input values, defaultValue sets initial value, DOM controls the form behavior, simpler for basic forms, 3) **When to use**: Controlled for dynamic validation, complex state management, uncontrolled for simple forms or when integrating with non-React code.",
+
+  "How do you implement error boundaries in React?": "Error boundaries catch JavaScript errors in child components: 1) **Class Component**: Create a class component that implements componentDidCatch(error, errorInfo) and render() methods, 2) **Usage**: Wrap components that might throw errors, 3) **Limitations**: Only catch errors in render methods, lifecycle methods, and constructors, not in event handlers, async code, or during server-side rendering, 4) **Implementation**: class ErrorBoundary extends React.Component { componentDidCatch(error, errorInfo) { logError(error, errorInfo); } render() { return this.state.hasError ? <h1>Something went wrong</h1> : this.props.children; } }",
+
+  "What is the difference between useCallback and useMemo?": "useCallback and useMemo are optimization hooks: 1) **useCallback**: Returns a memoized callback function, prevents child re-renders when passing functions as props, use when passing functions to child components, 2) **useMemo**: Returns a memoized value, prevents expensive calculations on every render, use for expensive computations, 3) **Syntax**: useCallback(fn, deps) vs useMemo(() => fn(), deps), 4) **When to use**: useCallback for function references, useMemo for computed values, 5) **Dependencies**: Both take dependency arrays - only re-run when dependencies change, 6) **Performance**: Use sparingly, only when you have performance issues, as they add overhead."
+};
+
+export const seedQuestions = Object.entries(questionPools).flatMap(([difficulty, questions]) =>
+  questions.map(questionData => ({
+    question: questionData.question,
+    category: questionData.category,
+    difficulty: difficulty,
+    timeLimit: DEFAULT_TIME_LIMITS[difficulty],
+    sampleAnswer: sampleAnswers[questionData.question] || '',
+    tags: [],
+    concepts: questionData.concepts,
+    active: true
+  }))
+);
@@ -0,0 +1,12 @@
+// Worker thread that parses one resume; see extractInWorker in formats.js
+import { parentPort, workerData } from 'worker_threads';
+import { ResumeFormatError, extractFormatText } from './formats.js';
+
+const { format, buffer } = workerData;
+
+extractFormatText(format, Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength)).then(
+  (text) => parentPort.postMessage({ text }),
+  (error) => parentPort.postMessage({
+    error: { message: error.message, code: error instanceof ResumeFormatError ? error.code : null }
+  })
+);
@@ -0,0 +1,95 @@
+// Where extracted values sit in the resume text, so the candidate can see
+// them highlighted and pick a different one. Spans are { start, end } offsets
+// into the text as returned by extractResumeText, end exclusive.
+import { findPhones } from './phone.js';
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// Lines near the top that are just a name, e.g. "Jane Doe"
+const NAME_LINE = /^[A-Z][a-z]+(?:\s+[A-Z][a-z]+){1,3}$/;
+const NAME_LINE_LIMIT = 5;
+const NOT_A_NAME = /\b(?:resume|curriculum|vitae|summary|profile|experience|education|skills|contact|objective)\b/i;
+const LABELLED_NAME = /(?:full\s*name|name)[ \t]*:[ \t]*([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){1,3})/g;
+
+// Collapse whitespace like text.replace(/\s+/g, ' ').trim(), keeping a map
+// from positions in the collapsed text back to the original text
+export const collapseWhitespace = (text) => {
+  let collapsed = '';
+  const positions = [];
+  let spaceAt = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (spaceAt === -1) spaceAt = i;
+      continue;
+    }
+    if (spaceAt !== -1 && collapsed) {
+      collapsed += ' ';
+      positions.push(spaceAt);
+    }
+    spaceAt = -1;
+    collapsed += text[i];
+    positions.push(i);
+  }
+
+  return {
+    text: collapsed,
+    toOriginal: (start, end) => ({ start: positions[start], end: positions[end - 1] + 1 })
+  };
+};
+
+const nameSpans = (text) => {
+  const spans = [];
+
+  let offset = 0;
+  let nonEmptyLines = 0;
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed && nonEmptyLines++ < NAME_LINE_LIMIT && NAME_LINE.test(trimmed) && !NOT_A_NAME.test(trimmed)) {
+      const start = offset + line.indexOf(trimmed);
+      spans.push({ field: 'name', value: trimmed, start, end: start + trimmed.length });
+    }
+    offset += line.length + 1;
+  }
+
+  for (const match of text.matchAll(LABELLED_NAME)) {
+    const start = match.index + match[0].lastIndexOf(match[1]);
+    spans.push({ field: 'name', value: match[1], start, end: start + match[1].length });
+  }
+
+  return spans;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Every value in the text that could fill one of the contact fields:
+// [{ field, value, display?, start, end }] sorted by position, none
+// overlapping. The spans the extracted `fields` came from win any overlap.
+export const findFieldSpans = (text, fields = {}) => {
+  const chosen = Object.entries(fields)
+    .filter(([, { span }]) => span)
+    .map(([field, { value, display, span }]) => ({ field, value, ...(display ? { display } : {}), ...span }));
+
+  const found = [
+    ...nameSpans(text),
+    ...[...text.matchAll(EMAIL_PATTERN)].map(match => ({
+      field: 'email',
+      value: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    })),
+    ...findPhones(text).map(phone => ({
+      field: 'phone',
+      value: phone.e164,
+      display: phone.display,
+      start: phone.startsAt,
+      end: phone.endsAt
+    }))
+  ];
+
+  const spans = [];
+  for (const span of [...chosen, ...found]) {
+    if (!spans.some(other => overlaps(other, span))) spans.push(span);
+  }
+  return spans.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,394 @@
+// Resume file formats. The format is worked out from the file's content, not
+// the mimetype the browser reports, and each format has its own extractor
+// that returns plain text with line breaks kept.
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import WordExtractor from 'word-extractor';
+import { Worker } from 'worker_threads';
+import { checkZipArchive, readZipDirectory, readSmallZipEntry } from './zipSafety.js';
+
+export const RESUME_FORMATS = {
+  pdf: { label: 'PDF', extensions: ['pdf'] },
+  docx: { label: 'Word (DOCX)', extensions: ['docx'] },
+  doc: { label: 'Word 97-2003 (DOC)', extensions: ['doc'] },
+  rtf: { label: 'Rich Text (RTF)', extensions: ['rtf'] },
+  odt: { label: 'OpenDocument Text (ODT)', extensions: ['odt'] },
+  txt: { label: 'plain text', extensions: ['txt', 'text'] },
+  md: { label: 'Markdown', extensions: ['md', 'markdown'] }
+};
+
+export const RESUME_EXTENSIONS = Object.values(RESUME_FORMATS).flatMap(format => format.extensions);
+
+// How much work a resume may make the server do. Read when used rather than
+// at import, so .env has been loaded.
+export const getResumeLimits = () => ({
+  maxFileBytes: Number(process.env.RESUME_MAX_FILE_MB || 10) * 1024 * 1024,
+  maxPages: Number(process.env.RESUME_MAX_PAGES || 20),
+  maxUncompressedBytes: Number(process.env.RESUME_MAX_UNCOMPRESSED_MB || 50) * 1024 * 1024,
+  parseTimeoutMs: Number(process.env.RESUME_PARSE_TIMEOUT_MS || 15000),
+  maxParserMemoryMb: Number(process.env.RESUME_PARSER_MEMORY_MB || 256)
+});
+
+// Thrown when a resume can't be read; `code` says why
+export class ResumeFormatError extends Error {
+  constructor(message, { code, format = null } = {}) {
+    super(message);
+    this.code = code;
+    this.format = format;
+  }
+}
+
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const ZIP_FORMATS = ['docx', 'odt'];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Formats that are recognisable but not resumes we can read, for a clearer error
+const KNOWN_UNSUPPORTED = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], name: 'a PNG image' },
+  { bytes: [0xff, 0xd8, 0xff], name: 'a JPEG image' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], name: 'a GIF image' },
+  { bytes: [0x52, 0x61, 0x72, 0x21], name: 'a RAR archive' },
+  { bytes: [0x1f, 0x8b], name: 'a gzip archive' },
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], name: 'a program' },
+  { bytes: [0x4d, 0x5a], name: 'a program' }
+];
+
+const extensionOf = (filename = '') => {
+  const parts = filename.toLowerCase().split('.');
+  return parts.length > 1 ? parts.pop() : '';
+};
+
+// Text files have no signature: accept UTF-8 (or UTF-16 with a BOM) without
+// control characters other than whitespace
+const looksLikeText = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xfe]) || startsWith(buffer, [0xfe, 0xff])) return true;
+  const text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) return false;
+  return !/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(text);
+};
+
+const decodeText = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xfe])) return buffer.subarray(2).toString('utf16le');
+  if (startsWith(buffer, [0xfe, 0xff])) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+};
+
+// Work out the format of an uploaded resume from its bytes. The file name
+// only decides between plain text and Markdown, which look the same.
+// Throws ResumeFormatError for anything else.
+export const detectResumeFormat = async (buffer, filename) => {
+  if (!buffer || buffer.length === 0) {
+    throw new ResumeFormatError('The uploaded file is empty', { code: 'EMPTY_FILE' });
+  }
+
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'pdf';
+  if (buffer.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    // Only the directory is read here. Inflating the entries to rule out a
+    // zip bomb happens in the extraction worker, under the parse timeout.
+    const { entries, problem } = readZipDirectory(buffer);
+    if (problem) {
+      throw new ResumeFormatError(problem.message, { code: problem.code });
+    }
+
+    if (entries.some(entry => entry.name === 'word/document.xml')) return 'docx';
+    const mimetypeEntry = entries.find(entry => entry.name === 'mimetype');
+    const mimetypeBytes = mimetypeEntry && readSmallZipEntry(mimetypeEntry, 100);
+    const mimetype = mimetypeBytes ? mimetypeBytes.toString('latin1').trim() : '';
+    if (mimetype === 'application/vnd.oasis.opendocument.text') return 'odt';
+    throw new ResumeFormatError(
+      mimetype.startsWith('application/vnd.oasis.opendocument')
+        ? 'Only OpenDocument text files (ODT) are supported, not spreadsheets or presentations'
+        : 'ZIP archives and Office files other than Word documents are not supported',
+      { code: 'UNSUPPORTED_FORMAT' }
+    );
+  }
+
+  if (startsWith(buffer, OLE_SIGNATURE)) {
+    // Legacy Office files share one container; Word ones hold a "WordDocument" stream
+    if (buffer.includes(Buffer.from('WordDocument', 'utf16le'))) return 'doc';
+    throw new ResumeFormatError('Only Word documents are supported among legacy Office files (not Excel or PowerPoint)', {
+      code: 'UNSUPPORTED_FORMAT'
+    });
+  }
+
+  const known = KNOWN_UNSUPPORTED.find(({ bytes }) => startsWith(buffer, bytes));
+  if (known) {
+    throw new ResumeFormatError(`The file is ${known.name}, not a resume document`, { code: 'UNSUPPORTED_FORMAT' });
+  }
+
+  if (looksLikeText(buffer)) {
+    return RESUME_FORMATS.md.extensions.includes(extensionOf(filename)) ? 'md' : 'txt';
+  }
+
+  throw new ResumeFormatError('Unrecognised file type', { code: 'UNSUPPORTED_FORMAT' });
+};
+
+// --- Extractors ---------------------------------------------------------------
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&amp;/g, '&');
+
+// ODT text lives in content.xml: paragraphs and headings become lines
+const extractOdtText = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) throw new Error('content.xml is missing');
+
+  const xml = await content.async('string');
+  const body = xml.slice(Math.max(0, xml.indexOf('<office:body')));
+  return decodeXmlEntities(body
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => ' '.repeat(Number(count) || 1))
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, ''));
+};
+
+// RTF destinations whose contents aren't document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore'
+]);
+
+const RTF_CONTROL_WORD = /([a-zA-Z]+)(-?\d+)? ?/y;
+
+// Minimal RTF reader: keeps text, turns paragraph and line breaks into
+// newlines, decodes \'hh and \uN escapes, and skips non-text destinations
+const extractRtfText = (buffer) => {
+  const rtf = buffer.toString('latin1');
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let output = '';
+
+  const emit = (text) => {
+    if (!skip) output += text;
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skip, unicodeSkip });
+      continue;
+    }
+    if (char === '}') {
+      const state = stack.pop();
+      if (state) ({ skip, unicodeSkip } = state);
+      continue;
+    }
+    if (char === '\r' || char === '\n') continue;
+
+    if (char !== '\\') {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+        continue;
+      }
+      emit(char);
+      continue;
+    }
+
+    const next = rtf[i + 1];
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i++;
+      continue;
+    }
+    if (next === '\'') {
+      const code = parseInt(rtf.substr(i + 2, 2), 16);
+      i += 3;
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!Number.isNaN(code)) {
+        emit(Buffer.from([code]).toString('latin1'));
+      }
+      continue;
+    }
+    if (next === '*') {
+      // \* marks an optional destination we don't understand
+      skip = true;
+      i++;
+      continue;
+    }
+    if (next === '~') {
+      emit(' ');
+      i++;
+      continue;
+    }
+
+    RTF_CONTROL_WORD.lastIndex = i + 1;
+    const control = RTF_CONTROL_WORD.exec(rtf);
+    if (!control) {
+      i++;
+      continue;
+    }
+    i += control[0].length;
+
+    const [, word, param] = control;
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      skip = true;
+    } else if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') {
+      emit('\n');
+    } else if (word === 'tab' || word === 'cell') {
+      emit('\t');
+    } else if (word === 'uc') {
+      unicodeSkip = Number(param);
+    } else if (word === 'u') {
+      const code = Number(param);
+      emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+      pendingSkip = unicodeSkip;
+    }
+  }
+
+  return output;
+};
+
+// Markdown: keep the words and link targets, drop the markup
+const extractMarkdownText = (buffer) => decodeText(buffer)
+  .replace(/^```.*$/gm, '')
+  .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '$1')
+  .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+  .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+  .replace(/^\s{0,3}>\s?/gm, '')
+  .replace(/^\s*[-*+]\s+/gm, '')
+  .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(\S.*?\S|\S)\1/g, '$2')
+  .replace(/`([^`]+)`/g, '$1');
+
+const tooManyPages = (pages, format) => new ResumeFormatError(
+  `The resume has ${pages} page${pages === 1 ? '' : 's'}; at most ${getResumeLimits().maxPages} are accepted`,
+  { code: 'TOO_MANY_PAGES', format }
+);
+
+// Page counts Word and OpenDocument files record about themselves, when they do
+const STATED_PAGE_COUNTS = {
+  docx: { file: 'docProps/app.xml', pattern: /<Pages>(\d+)<\/Pages>/ },
+  odt: { file: 'meta.xml', pattern: /meta:page-count="(\d+)"/ }
+};
+
+const checkStatedPageCount = async (buffer, format) => {
+  const stated = STATED_PAGE_COUNTS[format];
+  if (!stated) return;
+  const zip = await JSZip.loadAsync(buffer);
+  const file = zip.file(stated.file);
+  const match = file && (await file.async('string')).match(stated.pattern);
+  if (match && Number(match[1]) > getResumeLimits().maxPages) {
+    throw tooManyPages(Number(match[1]), format);
+  }
+};
+
+// Only the first pages up to the limit are parsed; the total tells whether
+// the document has more
+const extractPdfText = async (buffer) => {
+  const { maxPages } = getResumeLimits();
+  const result = await pdfParse(buffer, { max: maxPages });
+  if (result.numpages > maxPages) throw tooManyPages(result.numpages, 'pdf');
+  return result.text;
+};
+
+const extractors = {
+  pdf: extractPdfText,
+  docx: async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  doc: async (buffer) => (await new WordExtractor().extract(buffer)).getBody(),
+  rtf: async (buffer) => extractRtfText(buffer),
+  odt: extractOdtText,
+  txt: async (buffer) => decodeText(buffer),
+  md: async (buffer) => extractMarkdownText(buffer)
+};
+
+// Run the parser for a format that has already been detected. Called inside
+// the extraction worker (see extractWorker.js), never on the main thread.
+export const extractFormatText = async (format, buffer) => {
+  // Nothing unpacks the archive until it's known not to be a zip bomb
+  if (ZIP_FORMATS.includes(format)) {
+    const archiveProblem = checkZipArchive(buffer, getResumeLimits());
+    if (archiveProblem) {
+      throw new ResumeFormatError(archiveProblem.message, { code: archiveProblem.code });
+    }
+  }
+  await checkStatedPageCount(buffer, format);
+  return extractors[format](buffer);
+};
+
+// Parse in a worker thread, so a file that makes a parser spin or balloon is
+// stopped: the worker is terminated after the timeout and has its own memory
+// cap. A parse on the main thread couldn't be interrupted at all.
+const extractInWorker = (format, buffer) => new Promise((resolve, reject) => {
+  const { parseTimeoutMs, maxParserMemoryMb } = getResumeLimits();
+  const { label } = RESUME_FORMATS[format];
+  const worker = new Worker(new URL('./extractWorker.js', import.meta.url), {
+    workerData: { format, buffer },
+    resourceLimits: { maxOldGenerationSizeMb: maxParserMemoryMb }
+  });
+  let settled = false;
+
+  const settle = (error, text) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate();
+    if (error) reject(error);
+    else resolve(text);
+  };
+
+  const timer = setTimeout(() => settle(new ResumeFormatError(
+    `Reading the ${label} file took longer than ${parseTimeoutMs / 1000} seconds`,
+    { code: 'PARSE_TIMEOUT', format }
+  )), parseTimeoutMs);
+
+  worker.once('message', ({ text, error }) => {
+    if (!error) return settle(null, text);
+    // Errors cross the thread boundary as plain objects
+    settle(error.code ? new ResumeFormatError(error.message, { code: error.code, format }) : new Error(error.message));
+  });
+  worker.once('error', (error) => settle(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+    ? new ResumeFormatError(`Reading the ${label} file needed more than ${maxParserMemoryMb} MB of memory`, {
+      code: 'PARSE_MEMORY_LIMIT',
+      format
+    })
+    : error));
+  worker.once('exit', (exitCode) => settle(new Error(`Extraction worker exited with code ${exitCode}`)));
+});
+
+// Pull the plain text out of an uploaded resume. Returns { format, text }.
+// Throws ResumeFormatError when the format isn't supported or the file can't be read.
+export const extractResumeText = async (buffer, filename) => {
+  const format = await detectResumeFormat(buffer, filename);
+  const { label } = RESUME_FORMATS[format];
+
+  let text;
+  try {
+    text = await extractInWorker(format, buffer);
+  } catch (error) {
+    if (error instanceof ResumeFormatError) throw error;
+    throw new ResumeFormatError(`Could not read the ${label} file, it may be damaged or password-protected`, {
+      code: 'CORRUPT_FILE',
+      format
+    });
+  }
+
+  if (!text || !text.trim()) {
+    throw new ResumeFormatError(
+      format === 'pdf'
+        ? 'The PDF has no text to read; scanned PDFs need to be converted to text first'
+        : `The ${label} file has no text in it`,
+      { code: 'NO_TEXT', format }
+    );
+  }
+
+  return { format, text: text.replace(/\r\n?/g, '\n') };
+};
@@ -0,0 +1,127 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { ResumeFormatError, detectResumeFormat, extractResumeText } from './formats.js';
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const zipOf = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    // OpenDocument requires the mimetype entry to be stored uncompressed
+    zip.file(name, content, { compression: name === 'mimetype' ? 'STORE' : 'DEFLATE' });
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const makeDocx = (text, files = {}) => zipOf({
+  '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+  '_rels/.rels': '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="r1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+  'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`,
+  ...files
+});
+
+const makeOdt = (text, mimetype = 'application/vnd.oasis.opendocument.text') => zipOf({
+  mimetype,
+  'content.xml': '<?xml version="1.0"?><office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"><office:body><office:text>' +
+    `<text:h>${text}</text:h><text:p>React &amp; Node</text:p></office:text></office:body></office:document-content>`
+});
+
+// Resolves to the ResumeFormatError code a promise rejects with
+const errorCode = (promise) => promise.then(
+  () => assert.fail('expected a ResumeFormatError'),
+  (error) => {
+    assert.ok(error instanceof ResumeFormatError, error.stack);
+    return error.code;
+  }
+);
+
+describe('detectResumeFormat', () => {
+  test('goes by the content, whatever the file is called', async () => {
+    assert.equal(await detectResumeFormat(Buffer.from('%PDF-1.7\n'), 'resume.docx'), 'pdf');
+    assert.equal(await detectResumeFormat(Buffer.from('{\\rtf1\\ansi Jane}'), 'resume.pdf'), 'rtf');
+    assert.equal(await detectResumeFormat(await makeDocx('Jane Doe'), 'resume.odt'), 'docx');
+    assert.equal(await detectResumeFormat(await makeOdt('Jane Doe'), 'resume.docx'), 'odt');
+    assert.equal(await detectResumeFormat(Buffer.concat([OLE_SIGNATURE, Buffer.from('WordDocument', 'utf16le')]), 'resume.txt'), 'doc');
+  });
+
+  test('tells plain text from Markdown by the extension only', async () => {
+    const text = Buffer.from('# Jane Doe\n\n- React');
+    assert.equal(await detectResumeFormat(text, 'resume.md'), 'md');
+    assert.equal(await detectResumeFormat(text, 'resume.txt'), 'txt');
+    assert.equal(await detectResumeFormat(text, 'resume.pdf'), 'txt');
+    assert.equal(await detectResumeFormat(Buffer.from('\uFEFFJane', 'utf16le'), 'resume'), 'txt');
+  });
+
+  test('rejects an empty file', async () => {
+    assert.equal(await errorCode(detectResumeFormat(Buffer.alloc(0), 'resume.pdf')), 'EMPTY_FILE');
+  });
+
+  test('rejects images, archives, programs and other Office files, naming what they are', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    await assert.rejects(detectResumeFormat(png, 'resume.pdf'), { code: 'UNSUPPORTED_FORMAT', message: /a PNG image/ });
+    await assert.rejects(detectResumeFormat(Buffer.from('MZ\x90\x00'), 'resume.txt'), { message: /a program/ });
+
+    const spreadsheet = await makeOdt('Sheet', 'application/vnd.oasis.opendocument.spreadsheet');
+    await assert.rejects(detectResumeFormat(spreadsheet, 'resume.odt'), { code: 'UNSUPPORTED_FORMAT', message: /not spreadsheets/ });
+    assert.equal(await errorCode(detectResumeFormat(await zipOf({ 'notes.txt': 'Jane' }), 'resume.zip')), 'UNSUPPORTED_FORMAT');
+    assert.equal(await errorCode(detectResumeFormat(Buffer.concat([OLE_SIGNATURE, Buffer.from('Workbook', 'utf16le')]), 'resume.doc')), 'UNSUPPORTED_FORMAT');
+  });
+
+  test('rejects binary data that is not text', async () => {
+    assert.equal(await errorCode(detectResumeFormat(Buffer.from([0x00, 0x01, 0x02, 0xfa]), 'resume.txt')), 'UNSUPPORTED_FORMAT');
+  });
+});
+
+describe('extractResumeText', () => {
+  test('reads Word, OpenDocument, RTF and Markdown resumes as plain text', async () => {
+    assert.deepEqual(await extractResumeText(await makeDocx('Jane Doe'), 'resume.docx'), { format: 'docx', text: 'Jane Doe\n\n' });
+
+    const odt = await extractResumeText(await makeOdt('Jane Doe'), 'resume.odt');
+    assert.equal(odt.text, 'Jane Doe\nReact & Node\n');
+
+    const rtf = await extractResumeText(Buffer.from('{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}Jane\\par Doe}'), 'resume.rtf');
+    assert.deepEqual(rtf.text.trim().split('\n'), ['Jane', 'Doe']);
+
+    const md = await extractResumeText(Buffer.from('# Jane Doe\r\n\r\n- **React**'), 'resume.md');
+    assert.equal(md.text.trim(), 'Jane Doe\nReact');
+  });
+
+  test('refuses a document that says it has more pages than allowed', async () => {
+    const long = await makeDocx('Jane Doe', { 'docProps/app.xml': '<Properties><Pages>21</Pages></Properties>' });
+    await assert.rejects(extractResumeText(long, 'resume.docx'), { code: 'TOO_MANY_PAGES', format: 'docx' });
+  });
+
+  describe('with a zip bomb', () => {
+    const withLimit = (t, name, value) => {
+      const previous = process.env[name];
+      process.env[name] = value;
+      t.after(() => {
+        if (previous === undefined) delete process.env[name];
+        else process.env[name] = previous;
+      });
+    };
+
+    const makeBomb = () => makeDocx('Jane Doe', { 'word/padding.xml': Buffer.alloc(4 * 1024 * 1024, 'a') });
+
+    test('refuses it before any parser unpacks it', async (t) => {
+      withLimit(t, 'RESUME_MAX_UNCOMPRESSED_MB', '1');
+      await assert.rejects(extractResumeText(await makeBomb(), 'resume.docx'), { code: 'SUSPICIOUS_ARCHIVE' });
+    });
+
+    test('gives up on it once the parse timeout passes', async (t) => {
+      withLimit(t, 'RESUME_PARSE_TIMEOUT_MS', '1');
+      await assert.rejects(extractResumeText(await makeBomb(), 'resume.docx'), { code: 'PARSE_TIMEOUT', format: 'docx' });
+    });
+  });
+
+  test('reports a damaged file and one without text', async () => {
+    assert.equal(await errorCode(extractResumeText(Buffer.from('%PDF-1.7\nnot really'), 'resume.pdf')), 'CORRUPT_FILE');
+    assert.equal(await errorCode(extractResumeText(Buffer.from(' \n\t\n'), 'resume.txt')), 'NO_TEXT');
+  });
+});
@@ -0,0 +1,84 @@
+// Phone number parsing. Numbers are stored in E.164 ("+14155550100") and
+// shown in international format. Numbers written without a country code are
+// read as belonging to the default region (DEFAULT_PHONE_REGION, e.g. "GB").
+// Uses the full metadata: the default "min" set misattributes some numbers to the wrong country.
+import {
+  parsePhoneNumberWithError,
+  validatePhoneNumberLength,
+  findPhoneNumbersInText,
+  isSupportedCountry
+} from 'libphonenumber-js/max';
+
+// Read when used rather than at import, so .env has been loaded
+export const getDefaultPhoneRegion = () => {
+  const region = (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+  return isSupportedCountry(region) ? region : 'US';
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const phoneErrors = {
+  INVALID_CHARACTERS: () => 'A phone number can only contain digits, spaces, +, -, dots and brackets',
+  NOT_A_NUMBER: () => 'That doesn\'t look like a phone number',
+  INVALID_COUNTRY: () => 'The country code isn\'t recognised. Start the number with + and a valid country code, e.g. +44',
+  TOO_SHORT: (where) => `The number has too few digits ${where}`,
+  TOO_LONG: (where) => `The number has too many digits ${where}`,
+  INVALID_LENGTH: (where) => `The number has the wrong number of digits ${where}`,
+  INVALID_NUMBER: (where) => `That isn't a valid phone number ${where}`
+};
+
+const phoneError = (code, where) => ({ code, message: phoneErrors[code](where) });
+
+// Which numbering plan a number was checked against, for error messages.
+// Numbers without a country code are read as the default region's.
+const describePlan = (input, region) => (input.startsWith('+')
+  ? 'for its country code'
+  : `for ${regionNames.of(region)} (start with + and the country code for other countries)`);
+
+// Parse a phone number typed by a candidate or found on a resume. Returns
+// { valid: true, e164, country, display } or { valid: false, error: { code, message } }.
+export const parsePhone = (input, region = getDefaultPhoneRegion()) => {
+  const text = String(input || '').trim();
+  if (/[^\d\s+\-().]/.test(text.replace(/\b(?:ext|x)\.?\s*\d+$/i, ''))) {
+    return { valid: false, error: phoneError('INVALID_CHARACTERS') };
+  }
+
+  const where = describePlan(text, region);
+  const lengthError = validatePhoneNumberLength(text, region);
+  if (lengthError) {
+    return { valid: false, error: phoneError(lengthError, where) };
+  }
+
+  let phoneNumber;
+  try {
+    phoneNumber = parsePhoneNumberWithError(text, region);
+  } catch (error) {
+    const code = phoneErrors[error.message] ? error.message : 'NOT_A_NUMBER';
+    return { valid: false, error: phoneError(code, where) };
+  }
+
+  if (!phoneNumber.isValid()) {
+    const plan = phoneNumber.country ? `for ${regionNames.of(phoneNumber.country)}` : where;
+    return { valid: false, error: phoneError('INVALID_NUMBER', plan) };
+  }
+
+  return {
+    valid: true,
+    e164: phoneNumber.number,
+    country: phoneNumber.country || null,
+    display: phoneNumber.formatInternational()
+  };
+};
+
+// Valid phone numbers in resume text, in order of appearance. Returns
+// [{ e164, country, display, startsAt, endsAt }].
+export const findPhones = (text, region = getDefaultPhoneRegion()) =>
+  findPhoneNumbersInText(text, region)
+    .filter(({ number }) => number.isValid())
+    .map(({ number, startsAt, endsAt }) => ({
+      e164: number.number,
+      country: number.country || null,
+      display: number.formatInternational(),
+      startsAt,
+      endsAt
+    }));
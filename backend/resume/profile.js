@@ -0,0 +1,256 @@
+// Structured profile extraction from resume text: skills, years of
+// experience, employment history, education and links. Works line by line on
+// the text as extracted from the file, using section headings when the resume
+// has them and falling back to the whole text when it doesn't.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(
+  `(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|today)`,
+  'i'
+);
+
+// Resume section headings, matched against whole lines
+const SECTION_HEADINGS = {
+  experience: /^(?:(?:work|professional|relevant)\s+)?(?:experience|employment(?:\s+history)?|work\s+history|career\s+history)$/i,
+  education: /^(?:education(?:\s+(?:&|and)\s+\w+)?|academic\s+background|qualifications)$/i,
+  skills: /^(?:(?:technical|core|key)\s+)?(?:skills|technologies|tech\s+stack)(?:\s+(?:&|and)\s+\w+)?$/i,
+  other: /^(?:summary|profile|about(?:\s+me)?|objective|projects|personal\s+projects|certifications?|awards|publications|interests|languages|references|volunteering)$/i
+};
+
+const JOB_TITLE_WORDS = /\b(?:engineer|developer|programmer|architect|manager|lead|intern|designer|analyst|consultant|scientist|director|head|cto|ceo|vp|specialist|administrator|devops|sre|tester|founder|officer|coordinator)\b/i;
+
+// Degrees spelled out match in any case; abbreviations only as written
+// ("BSc", "M.S.", "MBA") so words like "be" or "ma" don't count
+const DEGREE_WORDS = /\b(?:ph\.?\s?d|doctor(?:ate)?|master(?:'?s)?|bachelor(?:'?s)?|associate(?:'?s)?\s+degree|(?:high\s+school\s+)?diploma)\b/i;
+const DEGREE_ABBREVIATIONS = /\b(?:Ph\.?\s?D|B\.?Sc?|M\.?Sc?|B\.A|M\.A|B\.?Tech|M\.?Tech|B\.E|M\.E|MBA|BBA)\b\.?/;
+// "of Science in Computer Science" after the degree itself
+const DEGREE_FIELD = /^(?:\s+(?:of|in)\s+[A-Za-z&]+(?:\s+(?!of\b|in\b)[A-Za-z&]+)*)+/;
+
+// The degree named on a line with its field of study, or null
+const findDegree = (line) => {
+  const match = line.match(DEGREE_WORDS) || line.match(DEGREE_ABBREVIATIONS);
+  if (!match) return null;
+  const rest = line.slice(match.index + match[0].length);
+  const field = rest.match(DEGREE_FIELD);
+  return cleanPart(match[0] + (field ? field[0] : ''));
+};
+
+const INSTITUTION_PATTERN = /\b(?:university|college|institute|school|academy|polytechnic)\b/i;
+
+const URL_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s,;|)]*)?/gi;
+
+const cleanPart = (text) => text.replace(/^[\s,|:•·\-–—()]+|[\s,|:•·\-–—(]+$/g, '').trim();
+
+// "Jan 2019" -> "2019-01", "03/2020" -> "2020-03", "2018" -> "2018"
+const parseDate = (text) => {
+  const value = text.trim().toLowerCase();
+  if (/^(?:present|current|now|today)$/.test(value)) return null;
+
+  const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric) return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+
+  const named = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (named) {
+    const month = MONTHS.indexOf(named[1].slice(0, 3)) + 1;
+    return month > 0 ? `${named[2]}-${String(month).padStart(2, '0')}` : named[2];
+  }
+
+  return value.match(/^\d{4}$/) ? value : null;
+};
+
+// Months since year 0, for comparing and measuring dates. Year-only dates
+// count from January for starts and December for ends.
+const toMonths = (date, { end = false } = {}) => {
+  const [year, month] = date.split('-').map(Number);
+  return year * 12 + (month || (end ? 12 : 1)) - 1;
+};
+
+const currentDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Split lines into sections by their headings. Lines before the first
+// heading belong to the "header" section.
+const splitSections = (lines) => {
+  const sections = { header: [] };
+  let current = 'header';
+
+  for (const line of lines) {
+    const heading = line.replace(/[:\s]+$/, '').trim();
+    const section = Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].test(heading));
+    if (section) {
+      current = section;
+      sections[current] = sections[current] || [];
+      continue;
+    }
+    sections[current].push(line);
+  }
+
+  return sections;
+};
+
+// Work out title and company from the text around a date range, e.g.
+// "Senior Engineer at Acme Corp", "Acme Corp | Senior Engineer" or
+// "Senior Engineer, Acme Corp"
+const splitTitleAndCompany = (text) => {
+  const atMatch = text.match(/^(.*?)\s+(?:at|@)\s+(.+)$/i);
+  if (atMatch) {
+    return { title: cleanPart(atMatch[1]), company: cleanPart(atMatch[2]) };
+  }
+
+  const parts = text.split(/\s*(?:\||,|\s[-–—]\s)\s*/).map(cleanPart).filter(Boolean);
+  if (parts.length === 0) return { title: null, company: null };
+  if (parts.length === 1) {
+    return JOB_TITLE_WORDS.test(parts[0])
+      ? { title: parts[0], company: null }
+      : { title: null, company: parts[0] };
+  }
+
+  const titleIndex = parts.findIndex(part => JOB_TITLE_WORDS.test(part));
+  if (titleIndex === -1) return { title: parts[1], company: parts[0] };
+  return {
+    title: parts[titleIndex],
+    company: parts.find((part, index) => index !== titleIndex) || null
+  };
+};
+
+// Employment entries from lines holding a date range. When the dates sit on
+// a line of their own, the line above supplies the title and company.
+const extractEmployment = (lines) => {
+  const employment = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(DATE_RANGE);
+    if (!match) return;
+
+    const startDate = parseDate(match[1]);
+    if (!startDate) return;
+    const current = /^(?:present|current|now|today)$/i.test(match[2].trim());
+    const endDate = current ? null : parseDate(match[2]);
+
+    let rest = cleanPart(line.replace(match[0], ' ').replace(/\(\s*\)/g, ' '));
+    if (!rest && index > 0) rest = cleanPart(lines[index - 1]);
+    const { title, company } = splitTitleAndCompany(rest);
+    if (!title && !company) return;
+
+    employment.push({ company, title, startDate, endDate, current });
+  });
+
+  return employment;
+};
+
+// Years of experience as stated ("7+ years of experience"), otherwise the
+// total span of the employment history with overlapping jobs counted once
+const extractYearsOfExperience = (text, employment) => {
+  const stated = text.match(/(\d{1,2}(?:\.\d)?)\+?\s*(?:years?|yrs?)(?:\s+of)?\s+(?:professional\s+|industry\s+|work\s+)?experience/i);
+  if (stated) return Number(stated[1]);
+
+  const ranges = employment
+    .map(job => [toMonths(job.startDate), toMonths(job.endDate || currentDate(), { end: true })])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+  if (ranges.length === 0) return null;
+
+  let months = 0;
+  let [spanStart, spanEnd] = ranges[0];
+  for (const [start, end] of ranges.slice(1)) {
+    if (start <= spanEnd + 1) {
+      spanEnd = Math.max(spanEnd, end);
+    } else {
+      months += spanEnd - spanStart + 1;
+      [spanStart, spanEnd] = [start, end];
+    }
+  }
+  months += spanEnd - spanStart + 1;
+
+  return Math.round(months / 12 * 10) / 10;
+};
+
+// Education entries from lines naming a degree or an institution. A degree
+// and an institution on neighbouring lines are one entry.
+const extractEducation = (lines) => {
+  const education = [];
+  let previous = null;
+
+  for (const line of lines) {
+    const degree = findDegree(line);
+    const institutionPart = line.split(/\s*(?:\||,|\s[-–—]\s)\s*/).find(part => INSTITUTION_PATTERN.test(part));
+    if (!degree && !institutionPart) {
+      previous = null;
+      continue;
+    }
+
+    const years = line.match(/\b(?:19|20)\d{2}\b/g);
+    const entry = {
+      institution: institutionPart ? cleanPart(institutionPart.replace(/\b(?:19|20)\d{2}\b.*$/, '')) : null,
+      degree: degree,
+      year: years ? years[years.length - 1] : null
+    };
+
+    const completes = previous &&
+      ((!previous.institution && entry.institution && !entry.degree) ||
+        (!previous.degree && entry.degree && !entry.institution));
+    if (completes) {
+      previous.institution = previous.institution || entry.institution;
+      previous.degree = previous.degree || entry.degree;
+      previous.year = previous.year || entry.year;
+      previous = null;
+      continue;
+    }
+
+    education.push(entry);
+    previous = entry;
+  }
+
+  return education;
+};
+
+const toUrl = (link) => (/^https?:\/\//i.test(link) ? link : `https://${link}`).replace(/[.]+$/, '');
+
+// LinkedIn, GitHub and portfolio links, plus any other URLs. Email domains
+// aren't links.
+const extractLinks = (text) => {
+  const withoutEmails = text.replace(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, ' ');
+  const found = [...new Set((withoutEmails.match(URL_PATTERN) || [])
+    // Skip things like "Node.js" and "Next.js" that only look like domains
+    .filter(link => /^(?:https?:\/\/|www\.)/i.test(link) || /\.(?:com|dev|io|me|net|org|app|co|tech|site|page)(?:\/|$)/i.test(link))
+    .map(toUrl))];
+
+  const links = { linkedin: null, github: null, portfolio: null, other: [] };
+  for (const link of found) {
+    if (/linkedin\.com\//i.test(link)) {
+      links.linkedin = links.linkedin || link;
+    } else if (/github\.com\//i.test(link)) {
+      links.github = links.github || link;
+    } else if (!links.portfolio) {
+      links.portfolio = link;
+    } else {
+      links.other.push(link);
+    }
+  }
+  return links;
+};
+
+// Build the structured profile of a resume. `skills` are the detected skills
+// from detectSkills. Fields that can't be found are null or empty.
+export const extractResumeProfile = (resumeText, skills = []) => {
+  const lines = String(resumeText || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const sections = splitSections(lines);
+
+  const employment = extractEmployment(sections.experience || lines);
+  const educationLines = sections.education ||
+    lines.filter(line => findDegree(line) || INSTITUTION_PATTERN.test(line));
+
+  return {
+    skills: skills.map(skill => skill.name),
+    yearsOfExperience: extractYearsOfExperience(lines.join('\n'), employment),
+    employment,
+    // Without an education section, employment lines mentioning a school would be picked up
+    education: extractEducation(educationLines.filter(line => sections.education || !DATE_RANGE.test(line))),
+    links: extractLinks(lines.join('\n'))
+  };
+};
@@ -0,0 +1,134 @@
+// Original resume files, kept so interviewers can see what the candidate
+// actually uploaded. Files go to GridFS when MongoDB is connected and to a
+// local directory (RESUME_STORAGE_DIR) otherwise; either way they are named
+// by resume id.
+import mongoose from 'mongoose';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BUCKET_NAME = 'resumes';
+const DEFAULT_STORAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads', 'resumes');
+
+// Resume ids are UUIDs we generate; anything else never reaches the disk
+const RESUME_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const RESUME_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  doc: 'application/msword',
+  rtf: 'application/rtf',
+  odt: 'application/vnd.oasis.opendocument.text',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8'
+};
+
+// Formats a browser can show by itself; the rest are only offered as downloads
+export const PREVIEWABLE_FORMATS = ['pdf', 'txt', 'md'];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Read when used rather than at import, so .env has been loaded
+const getStorageDir = () => path.resolve(process.env.RESUME_STORAGE_DIR || DEFAULT_STORAGE_DIR);
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+const diskPath = (resumeId) => {
+  if (!RESUME_ID_PATTERN.test(resumeId)) throw new Error(`Invalid resume id: ${resumeId}`);
+  return path.join(getStorageDir(), resumeId);
+};
+
+// Store an uploaded file. Returns where it went: 'gridfs' or 'disk'.
+export const storeResumeFile = async (resumeId, buffer, { filename, format }) => {
+  if (isMongoConnected()) {
+    await new Promise((resolve, reject) => {
+      getBucket()
+        .openUploadStream(resumeId, { metadata: { resumeId, filename, format } })
+        .on('error', reject)
+        .on('finish', resolve)
+        .end(buffer);
+    });
+    return 'gridfs';
+  }
+
+  await fs.mkdir(getStorageDir(), { recursive: true });
+  await fs.writeFile(diskPath(resumeId), buffer, { mode: 0o600 });
+  return 'disk';
+};
+
+// Open a stored file for reading. Returns { stream, length } or null when the
+// file is gone.
+export const openResumeFile = async (resumeId, storage) => {
+  if (storage === 'gridfs') {
+    if (!isMongoConnected()) return null;
+    const [file] = await getBucket().find({ filename: resumeId }).limit(1).toArray();
+    if (!file) return null;
+    return { stream: getBucket().openDownloadStream(file._id), length: file.length };
+  }
+
+  if (storage === 'disk') {
+    try {
+      const { size } = await fs.stat(diskPath(resumeId));
+      return { stream: createReadStream(diskPath(resumeId)), length: size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  return null;
+};
+
+// Delete one stored file. A file that is already gone is not an error.
+export const deleteResumeFile = async (resumeId, storage) => {
+  if (storage === 'gridfs') {
+    if (!isMongoConnected()) return;
+    const files = await getBucket().find({ filename: resumeId }).toArray();
+    for (const file of files) {
+      await getBucket().delete(file._id);
+    }
+    return;
+  }
+
+  if (storage === 'disk') {
+    try {
+      await fs.unlink(diskPath(resumeId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+// Delete every stored file older than `cutoff`, including ones whose resume
+// record no longer exists (e.g. uploaded before an in-memory restart).
+// Returns the resume ids that were deleted.
+export const deleteResumeFilesBefore = async (cutoff) => {
+  const deleted = [];
+
+  if (isMongoConnected()) {
+    const bucket = getBucket();
+    const files = await bucket.find({ uploadDate: { $lt: cutoff } }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+      deleted.push(file.filename);
+    }
+  }
+
+  let names = [];
+  try {
+    names = await fs.readdir(getStorageDir());
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const name of names.filter(name => RESUME_ID_PATTERN.test(name))) {
+    const filePath = path.join(getStorageDir(), name);
+    const { mtime } = await fs.stat(filePath);
+    if (mtime < cutoff) {
+      await fs.unlink(filePath);
+      deleted.push(name);
+    }
+  }
+
+  return deleted;
+};
@@ -0,0 +1,51 @@
+// Short-lived signed links for viewing a candidate's resume. A browser tab
+// opening a file can't send extra headers, so the permission travels in the
+// URL: an HMAC over the candidate, the disposition and the expiry time.
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const RESUME_LINK_TTL_SECONDS = 5 * 60;
+
+let generatedSecret = null;
+
+// Read when used rather than at import, so .env has been loaded. Without
+// RESUME_LINK_SECRET links stop working when the server restarts.
+const getSecret = () => {
+  if (process.env.RESUME_LINK_SECRET) return process.env.RESUME_LINK_SECRET;
+  if (!generatedSecret) {
+    console.warn('RESUME_LINK_SECRET not set, using a random secret until the server restarts');
+    generatedSecret = randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+};
+
+const sign = (candidateId, disposition, expires) =>
+  createHmac('sha256', getSecret()).update(`${candidateId}:${disposition}:${expires}`).digest('hex');
+
+// Query parameters for a link to a candidate's resume. `disposition` is
+// 'inline' to preview it in the browser or 'attachment' to download it.
+export const createResumeLink = (candidateId, disposition) => {
+  const expires = Math.floor(Date.now() / 1000) + RESUME_LINK_TTL_SECONDS;
+  return {
+    params: { disposition, expires: String(expires), signature: sign(String(candidateId), disposition, expires) },
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check the query of a resume link. Returns null when it's valid, otherwise
+// why it isn't.
+export const verifyResumeLink = (candidateId, { disposition, expires, signature }) => {
+  if (!['inline', 'attachment'].includes(disposition) || !/^\d+$/.test(expires || '') || typeof signature !== 'string') {
+    return 'The link is incomplete';
+  }
+
+  const expected = Buffer.from(sign(String(candidateId), disposition, expires), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return 'The link is not valid';
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    return 'The link has expired, open the resume again from the dashboard';
+  }
+  return null;
+};
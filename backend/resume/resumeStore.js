@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+import { storeResumeFile, deleteResumeFile, deleteResumeFilesBefore } from './resumeFiles.js';
+
+// Structured profile parsed from a resume, also stored on sessions and candidates
+export const resumeProfileSchema = new mongoose.Schema({
+  skills: [String],
+  yearsOfExperience: Number,
+  employment: [{
+    company: String,
+    title: String,
+    startDate: String,
+    endDate: String,
+    current: Boolean
+  }],
+  education: [{
+    institution: String,
+    degree: String,
+    year: String
+  }],
+  links: {
+    linkedin: String,
+    github: String,
+    portfolio: String,
+    other: [String]
+  }
+}, { _id: false });
+
+// What the app keeps from an uploaded resume. The candidate's contact details
+// go back to the browser; the skills are used to personalize the questions and
+// the profile is kept with the candidate. The original file is stored
+// separately (see resumeFiles.js) until the retention period runs out.
+// Uploads need an invitation, and one that no interview was started with is
+// deleted after a day (see purgeUnclaimedResumes).
+const resumeSchema = new mongoose.Schema({
+  resumeId: { type: String, required: true, unique: true },
+  // The invitation it was uploaded with, and when an interview started with
+  // that invitation took it
+  invitationId: String,
+  claimedAt: Date,
+  filename: String,
+  // As reported by the browser, and as detected from the content
+  mimetype: String,
+  format: String,
+  skills: [{
+    name: String,
+    mentions: Number,
+    context: String,
+    employer: String
+  }],
+  profile: resumeProfileSchema,
+  // Where the original file is kept ('gridfs' or 'disk'), and when it was
+  // deleted under the retention policy
+  storage: String,
+  size: Number,
+  fileDeletedAt: Date
+}, { timestamps: true });
+
+const Resume = mongoose.model('Resume', resumeSchema);
+
+// In-memory storage fallback
+let inMemoryResumes = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Store a resume uploaded with an invitation, its original file included, and
+// return its record
+export const saveResume = async ({ filename, mimetype, format, skills, profile, buffer, invitationId }) => {
+  const resumeId = randomUUID();
+  const storage = await storeResumeFile(resumeId, buffer, { filename, format });
+  const data = { resumeId, filename, mimetype, format, skills, profile, storage, size: buffer.length, invitationId, claimedAt: null };
+
+  if (isMongoConnected()) {
+    const resume = new Resume(data);
+    await resume.save();
+    return resume;
+  }
+
+  const resume = { ...data, createdAt: new Date() };
+  inMemoryResumes.push(resume);
+  return resume;
+};
+
+export const getResume = async (resumeId) => {
+  if (isMongoConnected()) {
+    return await Resume.findOne({ resumeId });
+  }
+  return inMemoryResumes.find(resume => resume.resumeId === resumeId) || null;
+};
+
+// An interview started with `invitationId` takes the resume uploaded with
+// it, so it's kept. Returns null when there's no such resume for the invitation.
+export const claimResume = async (resumeId, invitationId) => {
+  const resume = await getResume(resumeId);
+  if (!resume || resume.invitationId !== invitationId) return null;
+
+  if (!resume.claimedAt) {
+    resume.claimedAt = new Date();
+    if (typeof resume.save === 'function') await resume.save();
+  }
+  return resume;
+};
+
+// Delete resumes, file and record, uploaded more than `maxAgeHours` ago that
+// no interview took. Returns how many were deleted. Resumes uploaded before
+// invitations were required have no invitationId and are left alone.
+export const purgeUnclaimedResumes = async (maxAgeHours) => {
+  const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+  const unclaimed = isMongoConnected()
+    ? await Resume.find({ invitationId: { $ne: null }, claimedAt: null, createdAt: { $lt: cutoff } })
+    : inMemoryResumes.filter(resume => resume.invitationId && !resume.claimedAt && resume.createdAt < cutoff);
+
+  for (const resume of unclaimed) {
+    await deleteResumeFile(resume.resumeId, resume.storage);
+  }
+
+  const resumeIds = unclaimed.map(resume => resume.resumeId);
+  if (isMongoConnected()) {
+    await Resume.deleteMany({ resumeId: { $in: resumeIds } });
+  } else {
+    inMemoryResumes = inMemoryResumes.filter(resume => !resumeIds.includes(resume.resumeId));
+  }
+  return resumeIds.length;
+};
+
+// Delete original files uploaded more than `retentionDays` ago. The resume
+// records stay, with fileDeletedAt set, so the profile and a reason for the
+// missing file remain. Returns the number of files deleted.
+export const purgeExpiredResumeFiles = async (retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const deleted = await deleteResumeFilesBefore(cutoff);
+  if (deleted.length === 0) return 0;
+
+  if (isMongoConnected()) {
+    await Resume.updateMany({ resumeId: { $in: deleted } }, { $set: { fileDeletedAt: new Date() } });
+  } else {
+    inMemoryResumes
+      .filter(resume => deleted.includes(resume.resumeId))
+      .forEach(resume => { resume.fileDeletedAt = new Date(); });
+  }
+  return deleted.length;
+};
@@ -0,0 +1,151 @@
+// Skill detection for resumes. Each catalog entry lists the spellings that
+// count as the skill on a resume (`aliases`) and the terms that make a bank
+// question relevant to it (`topics`), matched against the question's text,
+// category and rubric concepts. Skills named with everyday words ("next",
+// "rest", "spring") are only matched in technical phrasings, or with their
+// exact capitalization through `exactAliases`.
+
+const SKILLS = [
+  { name: 'JavaScript', aliases: ['javascript', 'es6', 'ecmascript', 'vanilla js'], topics: ['javascript', 'closure', 'hoisting', 'promise', 'event loop'] },
+  { name: 'TypeScript', aliases: ['typescript'], exactAliases: ['TS'], topics: ['typescript', 'type safety', 'static typing', 'interface'] },
+  { name: 'React', aliases: ['react js', 'reactjs', 'react native'], exactAliases: ['React'], topics: ['react'] },
+  { name: 'React Hooks', aliases: ['react hooks', 'custom hooks'], topics: ['hook', 'hooks', 'useeffect', 'usestate', 'usememo', 'usecallback', 'usereducer'] },
+  { name: 'Redux', aliases: ['redux', 'redux toolkit', 'rtk', 'zustand', 'mobx'], topics: ['redux', 'state management', 'global state', 'store', 'reducer'] },
+  { name: 'Next.js', aliases: ['next js', 'nextjs'], topics: ['server side rendering', 'ssr', 'next js', 'hydration'] },
+  { name: 'Vue', aliases: ['vue', 'vue js', 'vuejs', 'nuxt'], topics: ['vue'] },
+  { name: 'Angular', aliases: ['angular', 'angularjs'], topics: ['angular'] },
+  { name: 'Node.js', aliases: ['node', 'node js', 'nodejs'], topics: ['node', 'node js', 'server', 'backend'] },
+  { name: 'Express', aliases: ['express js', 'expressjs'], exactAliases: ['Express'], topics: ['express', 'middleware', 'rest api', 'routing'] },
+  { name: 'GraphQL', aliases: ['graphql', 'apollo'], topics: ['graphql', 'query language'] },
+  { name: 'REST APIs', aliases: ['restful', 'rest api', 'rest apis'], exactAliases: ['REST'], topics: ['api', 'fetch', 'http', 'rest', 'api integration'] },
+  { name: 'HTML & CSS', aliases: ['html', 'html5', 'css', 'css3', 'sass', 'scss', 'tailwind', 'styled components'], topics: ['css', 'html', 'styling', 'layout'] },
+  { name: 'Forms & Validation', aliases: ['formik', 'react hook form', 'form validation'], topics: ['form', 'forms', 'validation', 'controlled component'] },
+  { name: 'Testing', aliases: ['jest', 'mocha', 'vitest', 'cypress', 'playwright', 'testing library', 'unit testing', 'tdd'], topics: ['test', 'testing', 'mock'] },
+  { name: 'Web Performance', aliases: ['performance optimization', 'web vitals', 'lighthouse', 'code splitting', 'lazy loading'], topics: ['performance', 'optimization', 'memoization', 'lazy loading', 'code splitting'] },
+  { name: 'Authentication', aliases: ['oauth', 'jwt', 'auth0', 'authentication', 'sso', 'openid'], topics: ['authentication', 'auth', 'token', 'jwt', 'protected route'] },
+  { name: 'Build Tools', aliases: ['webpack', 'vite', 'babel', 'rollup', 'esbuild'], topics: ['bundle', 'bundler', 'webpack', 'build'] },
+  { name: 'SQL', aliases: ['sql', 'postgresql', 'postgres', 'mysql', 'sqlite'], topics: ['sql', 'database', 'query', 'index'] },
+  { name: 'MongoDB', aliases: ['mongodb', 'mongo', 'mongoose'], topics: ['mongodb', 'nosql', 'document database'] },
+  { name: 'Redis', aliases: ['redis'], topics: ['redis', 'cache', 'caching'] },
+  { name: 'Python', aliases: ['python', 'django', 'flask', 'fastapi'], topics: ['python'] },
+  { name: 'Java', aliases: ['java', 'spring boot', 'spring framework', 'spring mvc', 'spring cloud'], topics: ['java'] },
+  { name: 'Go', aliases: ['golang'], topics: ['golang', 'goroutine'] },
+  { name: 'Docker', aliases: ['docker', 'containers', 'containerization', 'docker compose'], topics: ['docker', 'container', 'containers', 'image'] },
+  { name: 'Kubernetes', aliases: ['kubernetes', 'k8s', 'helm'], topics: ['kubernetes', 'pod', 'cluster', 'orchestration'] },
+  { name: 'AWS', aliases: ['aws', 'amazon web services', 'lambda', 'ec2', 's3', 'cloudfront'], topics: ['aws', 'cloud', 'serverless', 'lambda'] },
+  { name: 'Azure', aliases: ['azure'], topics: ['azure', 'cloud'] },
+  { name: 'Google Cloud', aliases: ['gcp', 'google cloud'], topics: ['gcp', 'google cloud', 'cloud'] },
+  { name: 'Terraform', aliases: ['terraform', 'infrastructure as code', 'iac', 'cloudformation', 'pulumi'], topics: ['terraform', 'infrastructure as code'] },
+  { name: 'CI/CD', aliases: ['ci cd', 'continuous integration', 'github actions', 'jenkins', 'gitlab ci', 'circleci'], topics: ['ci', 'cd', 'pipeline', 'deployment', 'continuous integration'] },
+  { name: 'Linux', aliases: ['linux', 'bash', 'shell scripting', 'unix'], topics: ['linux', 'shell', 'bash'] },
+  { name: 'Monitoring', aliases: ['prometheus', 'grafana', 'datadog', 'new relic', 'sentry', 'observability'], topics: ['monitoring', 'logging', 'observability', 'error tracking', 'error boundary'] }
+];
+
+// Lowercase and collapse everything that isn't a letter or digit to single spaces
+const normalize = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const containsTerm = (normalizedText, term) => normalizedText.includes(` ${normalize(term).trim()} `);
+
+// Like normalize, but keeping the case for exactAliases
+const normalizeKeepingCase = (text) => ` ${String(text || '').replace(/[^A-Za-z0-9]+/g, ' ').trim()} `;
+
+const mentionsSkill = (skill, line, normalizedLine) =>
+  skill.aliases.some(alias => containsTerm(normalizedLine, alias)) ||
+  (skill.exactAliases || []).some(alias => normalizeKeepingCase(line).includes(` ${alias} `));
+
+// "Led the Redux migration at Acme Corp" -> "Acme Corp"
+const findEmployer = (line) => {
+  const match = line.match(/\b(?:at|@)\s+([A-Z][\w&.-]*(?:\s+(?:[A-Z][\w&.-]*|&|of))*)/);
+  return match ? match[1].replace(/[.,;]+$/, '').trim() : null;
+};
+
+const trimContext = (line) => {
+  const text = line.replace(/\s+/g, ' ').trim();
+  return text.length > 140 ? `${text.slice(0, 137)}...` : text;
+};
+
+// Find catalog skills mentioned in resume text. Returns
+// [{ name, mentions, context, employer }] sorted by how often each appears,
+// where context is the first line mentioning it.
+export const detectSkills = (resumeText) => {
+  const lines = String(resumeText || '').split(/\r?\n/).filter(line => line.trim());
+  const normalizedLines = lines.map(normalize);
+  const skills = [];
+
+  for (const skill of SKILLS) {
+    let mentions = 0;
+    let firstLine = null;
+
+    normalizedLines.forEach((normalizedLine, index) => {
+      if (mentionsSkill(skill, lines[index], normalizedLine)) {
+        mentions++;
+        if (firstLine === null) firstLine = lines[index];
+      }
+    });
+
+    if (mentions > 0) {
+      skills.push({
+        name: skill.name,
+        mentions,
+        context: trimContext(firstLine),
+        employer: findEmployer(firstLine)
+      });
+    }
+  }
+
+  return skills.sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name));
+};
+
+// Names of the given skills that a bank question is relevant to
+export const matchQuestionSkills = (question, skillNames) => {
+  const text = normalize([
+    question.question,
+    question.category,
+    ...(question.concepts || []).map(concept => concept.name)
+  ].join(' '));
+
+  return skillNames.filter(name => {
+    const skill = SKILLS.find(entry => entry.name === name);
+    return skill && skill.topics.some(topic => containsTerm(text, topic));
+  });
+};
+
+// Map bank question ids to the resume skills they match, over every pool of
+// an interview. Skills that match more than half of the questions (e.g.
+// "JavaScript" against a JavaScript bank) say nothing about the candidate and
+// are left out.
+export const mapSkillQuestions = (pools, skillNames) => {
+  const questions = Object.values(pools).flat();
+  const matches = new Map(questions.map(question => [String(question._id), matchQuestionSkills(question, skillNames)]));
+
+  const broad = skillNames.filter(name =>
+    [...matches.values()].filter(matched => matched.includes(name)).length > questions.length / 2
+  );
+
+  const preferred = new Map();
+  for (const [id, matched] of matches) {
+    const specific = matched.filter(name => !broad.includes(name));
+    if (specific.length > 0) preferred.set(id, specific);
+  }
+  return preferred;
+};
+
+// A question about the candidate's own use of a skill, worded from the resume
+// line it was found on. Returns bank-question-shaped data without an id.
+export const buildResumeQuestion = (skill) => {
+  const entry = SKILLS.find(candidate => candidate.name === skill.name);
+  const question = skill.employer
+    ? `You listed ${skill.name} at ${skill.employer}. Explain what you built with it there, the problems it solved and what you would do differently today.`
+    : `Your resume mentions ${skill.name} ("${skill.context}"). Walk through a project where you used it, the decisions you made and their trade-offs.`;
+
+  return {
+    question,
+    category: 'Resume',
+    sampleAnswer: `A strong answer describes a concrete project using ${skill.name}: the problem, the candidate's own role, how ${skill.name} was applied, the trade-offs considered, the outcome, and lessons learned.`,
+    concepts: [
+      { name: skill.name.toLowerCase(), synonyms: entry ? entry.aliases : [], weight: 2 },
+      { name: 'trade-off', synonyms: ['tradeoff', 'downside', 'instead of', 'compared to'], weight: 1 },
+      { name: 'result', synonyms: ['outcome', 'impact', 'improved', 'reduced', 'learned'], weight: 1 }
+    ]
+  };
+};
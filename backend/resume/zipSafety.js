@@ -0,0 +1,127 @@
+// Checks ZIP-based documents (DOCX, ODT) before any library unpacks them, so a
+// small upload can't expand into gigabytes of XML (a "zip bomb"). The sizes a
+// ZIP declares can lie, so every entry is actually inflated here with a hard
+// cap on the output. That runs in the extraction worker, under the parse
+// timeout; the main thread only reads the directory.
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Word and OpenDocument files hold a few dozen entries, a few hundred with images
+export const MAX_ZIP_ENTRIES = 1000;
+
+const problem = (code, message) => ({ code, message });
+const corrupt = (detail) => problem('CORRUPT_FILE', `The document is damaged (${detail})`);
+const suspicious = (detail) => problem('SUSPICIOUS_ARCHIVE', `The document was rejected because ${detail}`);
+
+// The end-of-central-directory record sits in the last 22 bytes plus an
+// optional comment of up to 64 KB
+const findEndOfCentralDirectory = (buffer) => {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+};
+
+// Walk the central directory without inflating anything. Returns { entries }
+// with each entry's name, compression method and compressed data, or
+// { problem } with code CORRUPT_FILE or SUSPICIOUS_ARCHIVE.
+export const readZipDirectory = (buffer) => {
+  const end = findEndOfCentralDirectory(buffer);
+  if (end === -1) return { problem: corrupt('no ZIP directory') };
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    return { problem: suspicious('it uses ZIP64, which documents of this size never need') };
+  }
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    return { problem: suspicious(`it contains more than ${MAX_ZIP_ENTRIES} files`) };
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      return { problem: corrupt('bad ZIP directory entry') };
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+
+    if (flags & 0x1) return { problem: corrupt('encrypted ZIP entries') };
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      return { problem: suspicious('it uses ZIP64, which documents of this size never need') };
+    }
+    if (offset + 46 + nameLength > buffer.length) return { problem: corrupt('bad ZIP directory entry') };
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      return { problem: corrupt('bad ZIP entry header') };
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) return { problem: corrupt('truncated ZIP entry') };
+
+    entries.push({
+      name: buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+      method,
+      data: buffer.subarray(dataStart, dataStart + compressedSize)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { entries };
+};
+
+// Inflate at most `maxBytes` of one entry, for small ones like an ODT's
+// `mimetype`. Returns null when the entry is larger or can't be read.
+export const readSmallZipEntry = ({ method, data }, maxBytes) => {
+  if (method === 0) return data.length <= maxBytes ? data : null;
+  if (method !== 8) return null;
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Inflate each entry, stopping as soon as the total would pass
+// `maxUncompressedBytes`. Returns null when the archive is safe to open,
+// otherwise { code, message } with code CORRUPT_FILE or SUSPICIOUS_ARCHIVE.
+export const checkZipArchive = (buffer, { maxUncompressedBytes }) => {
+  const { entries, problem } = readZipDirectory(buffer);
+  if (problem) return problem;
+
+  let total = 0;
+  for (const { method, data } of entries) {
+    let size;
+    if (method === 0) {
+      size = data.length;
+    } else if (method === 8) {
+      try {
+        size = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, maxUncompressedBytes - total) }).length;
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          return suspicious(`it would expand to more than ${Math.round(maxUncompressedBytes / 1024 / 1024)} MB when unpacked`);
+        }
+        return corrupt('bad compressed data');
+      }
+    } else {
+      return corrupt(`unsupported compression method ${method}`);
+    }
+
+    total += size;
+    if (total > maxUncompressedBytes) {
+      return suspicious(`it would expand to more than ${Math.round(maxUncompressedBytes / 1024 / 1024)} MB when unpacked`);
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { MAX_ZIP_ENTRIES, readZipDirectory, readSmallZipEntry, checkZipArchive } from './zipSafety.js';
+
+const MB = 1024 * 1024;
+
+const zipOf = async (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Offsets of the end-of-central-directory record and the first directory entry
+const endOfDirectory = (buffer) => buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+const firstDirectoryEntry = (buffer) => buffer.readUInt32LE(endOfDirectory(buffer) + 16);
+
+describe('readZipDirectory', () => {
+  test('lists the entries without inflating them', async () => {
+    const { entries, problem } = readZipDirectory(await zipOf({ mimetype: 'text/plain', 'content.xml': '<p/>'.repeat(100) }));
+
+    assert.equal(problem, undefined);
+    assert.deepEqual(entries.map(entry => entry.name), ['mimetype', 'content.xml']);
+    assert.equal(readSmallZipEntry(entries[0], 100).toString(), 'text/plain');
+    assert.equal(readSmallZipEntry(entries[1], 100), null);
+  });
+
+  test('reports a file that is not a ZIP, or is cut short, as damaged', async () => {
+    const archive = await zipOf({ 'content.xml': 'Jane Doe' });
+
+    assert.equal(readZipDirectory(Buffer.from('not a zip at all, just text')).problem.code, 'CORRUPT_FILE');
+    assert.equal(readZipDirectory(Buffer.concat([archive.subarray(0, 20), archive.subarray(archive.length - 22)])).problem.code, 'CORRUPT_FILE');
+  });
+
+  test('refuses encrypted entries', async () => {
+    const archive = await zipOf({ 'content.xml': 'Jane Doe' });
+    archive.writeUInt16LE(0x1, firstDirectoryEntry(archive) + 8);
+
+    assert.match(readZipDirectory(archive).problem.message, /encrypted/);
+  });
+
+  test('treats ZIP64 and archives with too many files as suspicious', async () => {
+    const zip64 = await zipOf({ 'content.xml': 'Jane Doe' });
+    zip64.writeUInt16LE(0xffff, endOfDirectory(zip64) + 10);
+    const crowded = await zipOf(Object.fromEntries(Array.from({ length: MAX_ZIP_ENTRIES + 1 }, (_, index) => [`${index}.xml`, ''])));
+
+    assert.equal(readZipDirectory(zip64).problem.code, 'SUSPICIOUS_ARCHIVE');
+    assert.equal(readZipDirectory(crowded).problem.code, 'SUSPICIOUS_ARCHIVE');
+  });
+});
+
+describe('checkZipArchive', () => {
+  test('accepts an archive that unpacks within the limit', async () => {
+    const archive = await zipOf({ 'content.xml': Buffer.alloc(MB / 2, 'a') });
+    assert.equal(checkZipArchive(archive, { maxUncompressedBytes: MB }), null);
+  });
+
+  test('stops a zip bomb at the limit, across entries', async () => {
+    const one = await zipOf({ 'content.xml': Buffer.alloc(2 * MB, 'a') });
+    const several = await zipOf({ 'a.xml': Buffer.alloc(0.6 * MB, 'a'), 'b.xml': Buffer.alloc(0.6 * MB, 'b') });
+
+    assert.deepEqual(checkZipArchive(one, { maxUncompressedBytes: MB }), {
+      code: 'SUSPICIOUS_ARCHIVE',
+      message: 'The document was rejected because it would expand to more than 1 MB when unpacked'
+    });
+    assert.equal(checkZipArchive(several, { maxUncompressedBytes: MB }).code, 'SUSPICIOUS_ARCHIVE');
+  });
+
+  test('inflates the data rather than trusting the sizes the archive declares', async () => {
+    const archive = await zipOf({ 'content.xml': Buffer.alloc(2 * MB, 'a') });
+    const entry = firstDirectoryEntry(archive);
+    archive.writeUInt32LE(10, entry + 24);
+    archive.writeUInt32LE(10, archive.readUInt32LE(entry + 42) + 22);
+
+    assert.equal(checkZipArchive(archive, { maxUncompressedBytes: MB }).code, 'SUSPICIOUS_ARCHIVE');
+  });
+
+  test('reports compressed data that cannot be inflated as damaged', async () => {
+    const archive = await zipOf({ 'content.xml': 'Jane Doe '.repeat(100) });
+    const { entries: [entry] } = readZipDirectory(archive);
+    entry.data.fill(0xff);
+
+    assert.equal(checkZipArchive(archive, { maxUncompressedBytes: MB }).code, 'CORRUPT_FILE');
+  });
+});
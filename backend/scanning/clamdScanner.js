@@ -0,0 +1,45 @@
+import net from 'net';
+
+// Scans files with a ClamAV daemon over its INSTREAM command, through a unix
+// socket or TCP. The file is sent in chunks, each prefixed with its length,
+// and clamd answers "stream: OK" or "stream: <signature> FOUND".
+const CHUNK_SIZE = 64 * 1024;
+
+export const createClamdScanner = ({ socketPath, host, port, timeoutMs }) => ({
+  name: 'clamd',
+  scan: (buffer) => new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection({ path: socketPath }) : net.createConnection({ host, port });
+    let reply = '';
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(new Error(`clamd did not answer within ${timeoutMs / 1000} seconds`));
+    });
+    socket.on('error', reject);
+    socket.on('data', (data) => {
+      reply += data.toString('utf8');
+    });
+    socket.on('end', () => {
+      const result = reply.replace(/\0/g, '').trim();
+      const found = result.match(/^stream: (.+) FOUND$/);
+      if (found) {
+        resolve({ clean: false, signature: found[1] });
+      } else if (result === 'stream: OK') {
+        resolve({ clean: true });
+      } else {
+        reject(new Error(`Unexpected clamd reply: ${result || '(empty)'}`));
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      socket.end(Buffer.alloc(4));
+    });
+  })
+});
@@ -0,0 +1,30 @@
+import { createClamdScanner } from './clamdScanner.js';
+
+// Every virus scanner exposes the same shape:
+//   { name, scan(buffer) => Promise<{ clean, signature? }> }
+// `scan` rejects when the scanner can't be reached or answers nonsense. To
+// plug in another scanner, e.g. a cloud scanning API, add a factory here.
+const scannerFactories = {
+  none: () => ({
+    name: 'none',
+    scan: async () => ({ clean: true })
+  }),
+  clamd: () => createClamdScanner({
+    socketPath: process.env.CLAMD_SOCKET,
+    host: process.env.CLAMD_HOST || '127.0.0.1',
+    port: Number(process.env.CLAMD_PORT || 3310),
+    timeoutMs: Number(process.env.CLAMD_TIMEOUT_MS || 10000)
+  })
+};
+
+// Create the scanner named by RESUME_VIRUS_SCANNER (defaults to none)
+export const createVirusScanner = (name = process.env.RESUME_VIRUS_SCANNER || 'none') => {
+  const factory = scannerFactories[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown virus scanner "${name}". Expected one of: ${Object.keys(scannerFactories).join(', ')}`);
+  }
+
+  const scanner = factory();
+  console.log(`Using resume virus scanner: ${scanner.name}`);
+  return scanner;
+};
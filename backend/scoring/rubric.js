@@ -0,0 +1,102 @@
+// Deterministic offline rubric scorer. Scores an answer from concept coverage,
+// length and structure only, so the same answer always gets the same score.
+
+// Weights of each part of the rubric score (sum to 1)
+const COVERAGE_WEIGHT = 0.7;
+const LENGTH_WEIGHT = 0.15;
+const STRUCTURE_WEIGHT = 0.15;
+
+// Word count at which an answer gets full length credit
+const EXPECTED_WORDS = {
+  easy: 25,
+  medium: 50,
+  hard: 80
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'between', 'do', 'does', 'explain', 'for', 'how', 'in',
+  'is', 'it', 'its', 'main', 'of', 'on', 'the', 'their', 'to', 'what', 'when',
+  'why', 'with', 'you', 'your', 'difference', 'purpose', 'use', 'they'
+]);
+
+// Lowercase and collapse everything that isn't a letter or digit to single spaces
+const normalize = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// True when the term appears as whole words, allowing simple plural/verb suffixes
+const containsTerm = (normalizedText, term) => {
+  const normalizedTerm = normalize(term).trim();
+  if (!normalizedTerm) return false;
+  const pattern = new RegExp(` ${escapeRegExp(normalizedTerm)}(?:s|es|d|ed|ing)? `);
+  return pattern.test(normalizedText);
+};
+
+// Questions without a hand-written rubric fall back to their own keywords
+export const deriveConcepts = (questionText) => {
+  const words = normalize(questionText).trim().split(' ');
+  const keywords = [...new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+  return keywords.map(word => ({ name: word, synonyms: [], weight: 1 }));
+};
+
+const scoreLength = (wordCount, difficulty) => {
+  const expected = EXPECTED_WORDS[difficulty] || EXPECTED_WORDS.medium;
+  return Math.min(1, wordCount / expected);
+};
+
+// Reward answers that are explained in sentences, give examples and are organized
+const scoreStructure = (answer) => {
+  const sentences = answer.split(/[.!?]+/).filter(sentence => sentence.trim().split(/\s+/).length >= 3);
+  const hasSentences = sentences.length >= 2;
+  const hasExample = /\b(for example|for instance|such as)\b|\be\.g\.|[(){}=>]/i.test(answer);
+  const hasOrganization = /(^|\s)(\d+[.)]|[-*•]\s)|\b(first|second|finally|however|whereas|because|therefore)\b/i.test(answer);
+
+  return [hasSentences, hasExample, hasOrganization].filter(Boolean).length / 3;
+};
+
+// Score an answer against a list of { name, synonyms, weight } concepts.
+// Returns { score, matchedConcepts, missedConcepts, breakdown } with every part in 0-100.
+export const scoreWithRubric = (answer, concepts, difficulty) => {
+  const text = String(answer || '').trim();
+  const normalizedAnswer = normalize(text);
+  const wordCount = text ? text.split(/\s+/).length : 0;
+
+  const matchedConcepts = [];
+  const missedConcepts = [];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+
+  for (const concept of concepts) {
+    const weight = concept.weight || 1;
+    const terms = [concept.name, ...(concept.synonyms || [])];
+    totalWeight += weight;
+
+    if (terms.some(term => containsTerm(normalizedAnswer, term))) {
+      matchedWeight += weight;
+      matchedConcepts.push(concept.name);
+    } else {
+      missedConcepts.push(concept.name);
+    }
+  }
+
+  const coverage = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+  const length = scoreLength(wordCount, difficulty);
+  const structure = text ? scoreStructure(text) : 0;
+
+  const score = Math.round(100 * (
+    COVERAGE_WEIGHT * coverage +
+    LENGTH_WEIGHT * length +
+    STRUCTURE_WEIGHT * structure
+  ));
+
+  return {
+    score,
+    matchedConcepts,
+    missedConcepts,
+    breakdown: {
+      coverage: Math.round(coverage * 100),
+      length: Math.round(length * 100),
+      structure: Math.round(structure * 100)
+    }
+  };
+};
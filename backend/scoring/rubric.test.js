@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreWithRubric, deriveConcepts } from './rubric.js';
+
+const CONCEPTS = [
+  { name: 'component', synonyms: ['reusable ui'], weight: 3 },
+  { name: 'virtual DOM', synonyms: ['vdom'], weight: 2 },
+  { name: 'JSX', synonyms: [], weight: 1 }
+];
+
+const FULL_ANSWER = 'React builds the UI from components. First, JSX describes them, for example <App />. ' +
+  'Because of the virtual DOM, only what changed is updated in the page, which keeps rendering fast.';
+
+describe('scoreWithRubric', () => {
+  test('gives the same answer the same score every time', () => {
+    const first = scoreWithRubric(FULL_ANSWER, CONCEPTS, 'easy');
+    for (let run = 0; run < 5; run++) {
+      assert.deepEqual(scoreWithRubric(FULL_ANSWER, CONCEPTS, 'easy'), first);
+    }
+  });
+
+  test('gives full marks for full coverage, length and structure', () => {
+    const result = scoreWithRubric(FULL_ANSWER, CONCEPTS, 'easy');
+    assert.equal(result.score, 100);
+    assert.deepEqual(result.matchedConcepts, ['component', 'virtual DOM', 'JSX']);
+    assert.deepEqual(result.missedConcepts, []);
+    assert.deepEqual(result.breakdown, { coverage: 100, length: 100, structure: 100 });
+  });
+
+  test('weighs coverage by concept and matches synonyms', () => {
+    const result = scoreWithRubric('A vdom diff', CONCEPTS, 'easy');
+    assert.deepEqual(result.matchedConcepts, ['virtual DOM']);
+    assert.deepEqual(result.missedConcepts, ['component', 'JSX']);
+    assert.equal(result.breakdown.coverage, 33);
+    // 0.7 * 2/6 coverage + 0.15 * 3/25 length, no structure
+    assert.equal(result.score, 25);
+  });
+
+  test('matches whole words only', () => {
+    const result = scoreWithRubric('I wrote jsxify and componentry', CONCEPTS, 'easy');
+    assert.deepEqual(result.matchedConcepts, []);
+  });
+
+  test('scores an empty answer 0', () => {
+    const result = scoreWithRubric('', CONCEPTS, 'hard');
+    assert.equal(result.score, 0);
+    assert.deepEqual(result.missedConcepts, ['component', 'virtual DOM', 'JSX']);
+  });
+});
+
+describe('deriveConcepts', () => {
+  test('uses the question keywords, without stop words or repeats', () => {
+    const concepts = deriveConcepts('What is the difference between props and state? Explain props.');
+    assert.deepEqual(concepts.map(concept => concept.name), ['props', 'state']);
+  });
+});
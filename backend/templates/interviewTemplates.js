@@ -0,0 +1,316 @@
+import mongoose from 'mongoose';
+import { randomUUID } from 'crypto';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// fixed: the counts per difficulty are drawn up front, easy to hard.
+// adaptive: the counts only set the total; each question is picked from the scores so far.
+export const INTERVIEW_MODES = ['fixed', 'adaptive'];
+
+// Built-in templates, inserted on first start when there are none. The
+// full-stack template reproduces the interview the app always ran.
+const seedTemplates = [
+  {
+    slug: 'full-stack',
+    name: 'Full-Stack Developer',
+    roleLabel: 'full-stack developer',
+    description: 'Two questions of each difficulty from the whole question bank.',
+    questionCounts: { easy: 2, medium: 2, hard: 2 },
+    categories: [],
+    timeLimits: {},
+    mode: 'fixed',
+    isDefault: true
+  },
+  {
+    slug: 'full-stack-adaptive',
+    name: 'Full-Stack Developer (adaptive)',
+    roleLabel: 'full-stack developer',
+    description: 'Six questions whose difficulty and category follow the candidate\'s scores.',
+    questionCounts: { easy: 2, medium: 2, hard: 2 },
+    categories: [],
+    timeLimits: {},
+    mode: 'adaptive',
+    isDefault: false
+  },
+  {
+    slug: 'frontend',
+    name: 'Frontend Developer',
+    roleLabel: 'frontend developer',
+    description: 'React components, hooks, rendering and performance.',
+    questionCounts: { easy: 2, medium: 2, hard: 2 },
+    categories: [
+      'React Basics', 'React Hooks', 'React Events', 'React Components', 'React Props',
+      'React State', 'React Lifecycle', 'React Forms', 'React Rendering', 'React Lists',
+      'Performance Optimization', 'React Optimization', 'Advanced React', 'Custom Hooks'
+    ],
+    timeLimits: {},
+    mode: 'fixed',
+    isDefault: false
+  }
+];
+
+// Interview Template Schema
+const interviewTemplateSchema = new mongoose.Schema({
+  organizationId: { type: String, index: true },
+  // Unique within the organization
+  slug: { type: String, required: true },
+  name: { type: String, required: true },
+  roleLabel: { type: String, required: true },
+  description: { type: String, default: '' },
+  questionCounts: {
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 }
+  },
+  // Categories questions are drawn from; empty means every category
+  categories: [{ type: String }],
+  // Per-difficulty time limits in seconds; unset means each question's own limit
+  timeLimits: {
+    easy: Number,
+    medium: Number,
+    hard: Number
+  },
+  mode: { type: String, enum: INTERVIEW_MODES, default: 'fixed' },
+  // Bias the draw toward questions matching skills on the candidate's resume
+  personalize: { type: Boolean, default: true },
+  // Questions about the candidate's own resume, asked before the bank questions
+  resumeQuestions: { type: Number, default: 0, min: 0, max: 3 },
+  isDefault: { type: Boolean, default: false },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+interviewTemplateSchema.index({ organizationId: 1, slug: 1 }, { unique: true });
+
+const InterviewTemplate = mongoose.model('InterviewTemplate', interviewTemplateSchema);
+
+// In-memory storage fallback
+let inMemoryTemplates = [];
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Validate template fields. With `partial`, only the fields present are checked
+// (used for updates). Returns a list of error messages, empty when valid.
+export const validateTemplateInput = (input, { partial = false } = {}) => {
+  if (!isPlainObject(input)) {
+    return ['Template data must be an object'];
+  }
+
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('slug')) {
+    if (typeof input.slug !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(input.slug)) {
+      errors.push('slug must be lowercase letters, digits and hyphens (e.g. "backend-senior")');
+    }
+  }
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!partial || has('roleLabel')) {
+    if (typeof input.roleLabel !== 'string' || input.roleLabel.trim().length === 0) {
+      errors.push('roleLabel is required');
+    }
+  }
+
+  if (has('description') && typeof input.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (!partial || has('questionCounts')) {
+    const counts = input.questionCounts;
+    const validCounts = isPlainObject(counts) &&
+      Object.keys(counts).every(difficulty => DIFFICULTIES.includes(difficulty)) &&
+      Object.values(counts).every(count => Number.isInteger(count) && count >= 0 && count <= 20);
+    if (!validCounts) {
+      errors.push('questionCounts must map easy, medium and hard to whole numbers between 0 and 20');
+    } else if (DIFFICULTIES.every(difficulty => !counts[difficulty])) {
+      errors.push('questionCounts must ask at least one question');
+    }
+  }
+
+  if (has('categories') && (!Array.isArray(input.categories) || input.categories.some(category => typeof category !== 'string'))) {
+    errors.push('categories must be an array of strings');
+  }
+
+  if (has('timeLimits')) {
+    const limits = input.timeLimits;
+    const validLimits = isPlainObject(limits) && Object.entries(limits).every(([difficulty, limit]) =>
+      DIFFICULTIES.includes(difficulty) &&
+      (limit === null || (Number.isInteger(limit) && limit >= 5 && limit <= 3600))
+    );
+    if (!validLimits) {
+      errors.push('timeLimits must map easy, medium and hard to whole numbers of seconds between 5 and 3600');
+    }
+  }
+
+  if (has('mode') && !INTERVIEW_MODES.includes(input.mode)) {
+    errors.push(`mode must be one of: ${INTERVIEW_MODES.join(', ')}`);
+  }
+
+  if (has('personalize') && typeof input.personalize !== 'boolean') {
+    errors.push('personalize must be true or false');
+  }
+
+  if (has('resumeQuestions') && !(Number.isInteger(input.resumeQuestions) && input.resumeQuestions >= 0 && input.resumeQuestions <= 3)) {
+    errors.push('resumeQuestions must be a whole number between 0 and 3');
+  }
+
+  if (has('isDefault') && typeof input.isDefault !== 'boolean') {
+    errors.push('isDefault must be true or false');
+  }
+
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return errors;
+};
+
+// Pick the editable fields out of a request body and normalize them
+const normalizeTemplateInput = (input) => {
+  const data = {};
+  if (input.slug !== undefined) data.slug = input.slug;
+  if (input.name !== undefined) data.name = input.name.trim();
+  if (input.roleLabel !== undefined) data.roleLabel = input.roleLabel.trim();
+  if (input.description !== undefined) data.description = input.description;
+  if (input.questionCounts !== undefined) {
+    data.questionCounts = Object.fromEntries(DIFFICULTIES.map(difficulty => [difficulty, input.questionCounts[difficulty] || 0]));
+  }
+  if (input.categories !== undefined) {
+    data.categories = [...new Set(input.categories.map(category => category.trim()).filter(Boolean))];
+  }
+  if (input.timeLimits !== undefined) {
+    data.timeLimits = Object.fromEntries(
+      DIFFICULTIES.filter(difficulty => input.timeLimits[difficulty]).map(difficulty => [difficulty, input.timeLimits[difficulty]])
+    );
+  }
+  if (input.mode !== undefined) data.mode = input.mode;
+  if (input.personalize !== undefined) data.personalize = input.personalize;
+  if (input.resumeQuestions !== undefined) data.resumeQuestions = input.resumeQuestions;
+  if (input.isDefault !== undefined) data.isDefault = input.isDefault;
+  if (input.active !== undefined) data.active = input.active;
+  return data;
+};
+
+// List an organization's templates, optionally only active ones
+export const listTemplates = async (organizationId, { active } = {}) => {
+  if (isMongoConnected()) {
+    const query = active === undefined ? { organizationId } : { organizationId, active };
+    return await InterviewTemplate.find(query).sort({ name: 1 });
+  }
+  return inMemoryTemplates
+    .filter(template => template.organizationId === organizationId)
+    .filter(template => active === undefined || template.active === active)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Look up one of an organization's templates by its slug or database id
+export const getTemplate = async (organizationId, templateId) => {
+  if (isMongoConnected()) {
+    const query = mongoose.Types.ObjectId.isValid(templateId)
+      ? { organizationId, $or: [{ _id: templateId }, { slug: templateId }] }
+      : { organizationId, slug: templateId };
+    return await InterviewTemplate.findOne(query);
+  }
+  return inMemoryTemplates.find(template => template.organizationId === organizationId &&
+    (template._id === templateId || template.slug === templateId)) || null;
+};
+
+// The template used when an interview doesn't name one
+export const getDefaultTemplate = async (organizationId) => {
+  const templates = await listTemplates(organizationId, { active: true });
+  return templates.find(template => template.isDefault) || templates[0] || null;
+};
+
+// Only one template per organization can be the default
+const clearOtherDefaults = async (template) => {
+  if (isMongoConnected()) {
+    await InterviewTemplate.updateMany(
+      { organizationId: template.organizationId, _id: { $ne: template._id }, isDefault: true },
+      { isDefault: false }
+    );
+    return;
+  }
+  inMemoryTemplates
+    .filter(other => other.organizationId === template.organizationId && other._id !== template._id)
+    .forEach(other => { other.isDefault = false; });
+};
+
+// Create a template in an organization from validated input. Returns null if
+// the slug is taken.
+export const createTemplate = async (organizationId, input) => {
+  const data = {
+    organizationId,
+    description: '',
+    categories: [],
+    timeLimits: {},
+    mode: 'fixed',
+    personalize: true,
+    resumeQuestions: 0,
+    isDefault: false,
+    active: true,
+    ...normalizeTemplateInput(input)
+  };
+
+  if (await getTemplate(organizationId, data.slug)) return null;
+
+  let template;
+  if (isMongoConnected()) {
+    template = new InterviewTemplate(data);
+    await template.save();
+  } else {
+    const now = new Date();
+    template = { ...data, _id: randomUUID(), createdAt: now, updatedAt: now };
+    inMemoryTemplates.push(template);
+  }
+
+  if (template.isDefault) await clearOtherDefaults(template);
+  return template;
+};
+
+// Apply validated (partial) input to a template. Returns null if it doesn't exist.
+export const updateTemplate = async (organizationId, templateId, input) => {
+  const template = await getTemplate(organizationId, templateId);
+  if (!template) return null;
+
+  Object.assign(template, normalizeTemplateInput(input));
+
+  if (typeof template.save === 'function') {
+    await template.save();
+  } else {
+    template.updatedAt = new Date();
+  }
+
+  if (template.isDefault) await clearOtherDefaults(template);
+  return template;
+};
+
+// Insert the built-in templates when an organization has none
+export const seedInterviewTemplates = async (organizationId) => {
+  const existing = isMongoConnected()
+    ? await InterviewTemplate.countDocuments({ organizationId })
+    : inMemoryTemplates.filter(template => template.organizationId === organizationId).length;
+
+  if (existing > 0) return;
+
+  for (const templateData of seedTemplates) {
+    await createTemplate(organizationId, templateData);
+  }
+  console.log(`Seeded ${seedTemplates.length} interview templates`);
+};
+
+// The parts of a template stored with each session and candidate, so later
+// edits to the template don't change past interviews
+export const toTemplateSnapshot = (template) => ({
+  id: template._id.toString(),
+  slug: template.slug,
+  name: template.name,
+  roleLabel: template.roleLabel,
+  mode: template.mode || 'fixed'
+});
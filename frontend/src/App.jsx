@@ -1,45 +1,115 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { InterviewProvider } from './context/InterviewContext';
-import { Tabs } from 'antd';
+import { AuthProvider } from './context/AuthContext';
+import { useAuth } from './context/useAuth';
+import { Tabs, Button, Space, Tag, Typography } from 'antd';
+import { LogoutOutlined } from '@ant-design/icons';
 import IntervieweeTab from './components/IntervieweeTab';
 import InterviewerTab from './components/InterviewerTab';
+import QuestionBankTab from './components/QuestionBankTab';
+import LoginScreen from './components/LoginScreen';
 import WelcomeBackModal from './components/WelcomeBackModal';
 import './App.css';
 
+const { Text } = Typography;
+
+const roleColors = { admin: 'red', interviewer: 'blue', viewer: 'default' };
+
+// Coming back from single sign-on, open the dashboard rather than the interview
+const returningFromSso = /[?&]sso(Code|Error)=/.test(window.location.search);
+
+const DEFAULT_APP_TITLE = 'AI Interview Assistant';
+
+// The organization that invited the candidate, kept for the browser session
+// like the invitation itself
+const BRANDING_STORAGE_KEY = 'interviewBranding';
+
+const loadCandidateBranding = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(BRANDING_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Each organization sets its own app title: the signed-in interviewer's, or
+// else the one of the organization that invited the candidate
+const AppTitle = ({ candidateBranding }) => {
+  const { organization } = useAuth();
+  const title = organization?.appTitle || candidateBranding?.appTitle || DEFAULT_APP_TITLE;
+
+  return (
+    <h1 className="text-3xl font-bold text-center text-gray-800">
+      {title}
+    </h1>
+  );
+};
+
+// The interviewer tabs need an account; candidates use the first tab without one
+const AppTabs = ({ onBrandingChange }) => {
+  const { user, logout } = useAuth();
+
+  return (
+    <Tabs
+      defaultActiveKey={returningFromSso ? 'interviewer' : 'interviewee'}
+      tabBarExtraContent={user && (
+        <Space>
+          <Text>{user.name}</Text>
+          <Tag color={roleColors[user.role]}>{user.role}</Tag>
+          <Button size="small" icon={<LogoutOutlined />} onClick={logout}>
+            Sign Out
+          </Button>
+        </Space>
+      )}
+      items={[
+        {
+          key: 'interviewee',
+          label: 'Interviewee',
+          children: <IntervieweeTab onBrandingChange={onBrandingChange} />
+        },
+        {
+          key: 'interviewer',
+          label: 'Interviewer Dashboard',
+          children: user ? <InterviewerTab /> : <LoginScreen />
+        },
+        {
+          key: 'questions',
+          label: 'Question Bank',
+          children: user ? <QuestionBankTab /> : <LoginScreen />
+        }
+      ]}
+      className="p-6"
+    />
+  );
+};
+
 const App = () => {
+  const [candidateBranding, setCandidateBranding] = useState(loadCandidateBranding);
+
+  useEffect(() => {
+    if (candidateBranding) {
+      sessionStorage.setItem(BRANDING_STORAGE_KEY, JSON.stringify(candidateBranding));
+    }
+  }, [candidateBranding]);
+
   return (
-    <InterviewProvider>
-      <div className="min-h-screen bg-gray-50">
-        <div className="container mx-auto px-4 py-8">
-          <div className="bg-white rounded-lg shadow-lg">
-            <div className="p-6 border-b">
-              <h1 className="text-3xl font-bold text-center text-gray-800">
-                AI Interview Assistant
-              </h1>
-            </div>
+    <AuthProvider>
+      <InterviewProvider>
+        <div className="min-h-screen bg-gray-50">
+          <div className="container mx-auto px-4 py-8">
+            <div className="bg-white rounded-lg shadow-lg">
+              <div className="p-6 border-b">
+                <AppTitle candidateBranding={candidateBranding} />
+              </div>
             
-            <Tabs
-              defaultActiveKey="interviewee"
-              items={[
-                {
-                  key: 'interviewee',
-                  label: 'Interviewee',
-                  children: <IntervieweeTab />
-                },
-                {
-                  key: 'interviewer',
-                  label: 'Interviewer Dashboard',
-                  children: <InterviewerTab />
-                }
-              ]}
-              className="p-6"
-            />
+              <AppTabs onBrandingChange={setCandidateBranding} />
+            </div>
           </div>
-        </div>
         
-        <WelcomeBackModal />
-      </div>
-    </InterviewProvider>
+          <WelcomeBackModal />
+        </div>
+      </InterviewProvider>
+    </AuthProvider>
   );
 };
 
@@ -9,6 +9,7 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
   const [inputValue, setInputValue] = useState('');
   const [chatHistory, setChatHistory] = useState([]);
   const [isCompleted, setIsCompleted] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
 
   const fieldPrompts = {
     name: "Hi! I noticed your name wasn't found in the resume. Could you please tell me your full name?",
@@ -22,13 +23,14 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
       return trimmed.length >= 2 && /^[a-zA-Z\s\.]+$/.test(trimmed);
     },
     email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
-    phone: (value) => /^[\+]?[\d\s\-\(\)]{10,}$/.test(value.trim())
+    // Phone numbers are checked by the server, see validatePhone
+    phone: () => true
   };
 
   const fieldExamples = {
     name: "e.g., John Smith",
     email: "e.g., john.smith@email.com",
-    phone: "e.g., +1-555-123-4567"
+    phone: "e.g., +1 415 555 0100 or +44 20 7946 0958 — include the country code if you're outside the default region"
   };
 
   const fieldLabels = {
@@ -40,6 +42,10 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
   // Get current field with safety check
   const currentField = missingFields && missingFields.length > 0 ? missingFields[currentFieldIndex] : null;
 
+  // A low-confidence guess for the current field (e.g. a name from the file
+  // name) is offered as a suggestion but never filled in on its own
+  const guess = currentField && resumeData?.fields?.[currentField]?.value;
+
   // Reset currentFieldIndex if it's out of bounds
   useEffect(() => {
     if (missingFields && missingFields.length > 0 && currentFieldIndex >= missingFields.length) {
@@ -60,7 +66,29 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
     }
   }, [currentField]);
 
-  const handleSubmit = () => {
+  // The server parses the number for any country and explains what's wrong
+  // with it, e.g. too few digits for the region. Returns { valid, e164, error }.
+  const validatePhone = async (phone) => {
+    try {
+      const response = await fetch('http://localhost:3001/api/validate-phone', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        return { valid: false, error: { message: data.error || 'Please provide a valid phone number' } };
+      }
+      return data;
+    } catch (error) {
+      console.error('Phone validation error:', error);
+      return { valid: false, error: { message: 'Could not check the phone number, please try again' } };
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (isChecking) return;
+
     if (!inputValue.trim()) {
       message.warning('Please provide a valid response');
       return;
@@ -76,13 +104,29 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
     if (!isValid) {
       let errorMessage = 'Please provide a valid ';
       if (currentField === 'email') errorMessage += 'email address (e.g., john@example.com)';
-      else if (currentField === 'phone') errorMessage += 'phone number (e.g., +1-555-123-4567)';
       else errorMessage += 'name (e.g., John Smith)';
       
       message.error(errorMessage);
       return;
     }
 
+    // Phone numbers are kept in E.164 (+14155550100) once the server accepts them
+    let value = inputValue.trim();
+    if (currentField === 'phone') {
+      setIsChecking(true);
+      const phone = await validatePhone(value);
+      setIsChecking(false);
+      if (!phone.valid) {
+        setChatHistory([
+          ...chatHistory,
+          { type: 'user', message: value, timestamp: new Date() },
+          { type: 'bot', message: `${phone.error.message}. Could you check it and try again?`, timestamp: new Date() }
+        ]);
+        return;
+      }
+      value = phone.e164;
+    }
+
     // Add user message to chat
     const newChatHistory = [
       ...chatHistory,
@@ -94,7 +138,7 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
     ];
 
     // Update the field
-    onFieldUpdate(currentField, inputValue.trim());
+    onFieldUpdate(currentField, value);
 
     // Move to next field or complete
     const nextIndex = currentFieldIndex + 1;
@@ -199,6 +243,18 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
 
         {!isCompleted && (
           <div className="space-y-2">
+            {guess && (
+              <Alert
+                type="warning"
+                showIcon
+                message={`Our best guess is "${guess}", but we couldn't read it from your resume.`}
+                action={
+                  <Button size="small" onClick={() => setInputValue(guess)}>
+                    Use it
+                  </Button>
+                }
+              />
+            )}
             <Space.Compact style={{ width: '100%' }}>
               <Input
                 value={inputValue}
@@ -211,6 +267,7 @@ const ChatbotCollector = ({ missingFields, resumeData, onFieldUpdate, onComplete
                 type="primary"
                 icon={<SendOutlined />}
                 onClick={handleSubmit}
+                loading={isChecking}
                 disabled={isCompleted}
               >
                 Send
@@ -1,30 +1,103 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useInterview } from '../context/InterviewContext';
-import { Card, Upload, Button, Input, Form, message, Progress, Typography, Space, Spin, Tag, List } from 'antd';
-import { UploadOutlined, SendOutlined, ClockCircleOutlined, RobotOutlined, EyeOutlined, BulbOutlined, ThunderboltOutlined } from '@ant-design/icons';
+import { Card, Upload, Button, Input, Form, message, Progress, Typography, Space, Spin, Tag, List, Result } from 'antd';
+import { UploadOutlined, SendOutlined, ClockCircleOutlined, RobotOutlined, EyeOutlined, BulbOutlined, ThunderboltOutlined, MailOutlined } from '@ant-design/icons';
 import { useTimer } from '../hooks/useTimer';
 import QuestionCard from './QuestionCard';
 import InterviewComplete from './InterviewComplete';
 import ChatbotCollector from './ChatbotCollector';
+import ResumePreview from './ResumePreview';
 
 const { Title, Text } = Typography;
 
-const IntervieweeTab = () => {
+// Shown under fields that weren't read from the resume with high confidence
+const confidenceHints = {
+  medium: 'Read from your resume, please check it is correct',
+  low: 'Guessed from the file name, please confirm'
+};
+
+// The invitation token from the link the candidate followed, kept for the
+// browser session so reloading the page doesn't lose it
+const INVITATION_STORAGE_KEY = 'interviewInvitation';
+
+const readInvitationToken = () => {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('invite');
+  if (token) {
+    sessionStorage.setItem(INVITATION_STORAGE_KEY, token);
+    // Keep the token out of the address bar and the browser history
+    params.delete('invite');
+    window.history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`);
+    return token;
+  }
+  return sessionStorage.getItem(INVITATION_STORAGE_KEY);
+};
+
+// onBrandingChange receives the organization that sent the invitation, whose
+// app title the candidate sees
+const IntervieweeTab = ({ onBrandingChange }) => {
   const { state, dispatch, actions } = useInterview();
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
   const [currentAnswer, setCurrentAnswer] = useState('');
   const timeoutHandledRef = useRef(false);
   const [interviewStarted, setInterviewStarted] = useState(false);
+  // The invitation the interview will be started with: its token, what the
+  // server says about it, and why it can't be used if it can't
+  const [invitationToken] = useState(readInvitationToken);
+  const [invitation, setInvitation] = useState(null);
+  const [invitationError, setInvitationError] = useState(null);
+  // Extracted fields still waiting for the candidate to confirm them, by confidence
+  const [unconfirmedFields, setUnconfirmedFields] = useState({});
+  // The extracted resume text with the spans each field could be filled from,
+  // and the span each field is currently filled from
+  const [resumePreview, setResumePreview] = useState(null);
+  const [selectedSpans, setSelectedSpans] = useState({});
 
   const { timeLeft, isRunning, hasExpired, startTimer, stopTimer, resetTimer } = useTimer();
 
+  // Check the invitation and fill in the email it was sent to
+  useEffect(() => {
+    if (!invitationToken) return;
+
+    const openInvitation = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/invitations/open', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: invitationToken })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          setInvitation(data.invitation);
+          if (data.invitation.organization) onBrandingChange(data.invitation.organization);
+          form.setFieldsValue({
+            email: data.invitation.email,
+            ...(data.invitation.name && !form.getFieldValue('name') ? { name: data.invitation.name } : {})
+          });
+        } else {
+          setInvitationError(data.error || 'This invitation link is not valid');
+        }
+      } catch (error) {
+        console.error('Open invitation error:', error);
+        setInvitationError('Cannot connect to server. Please make sure the backend is running on port 3001');
+      }
+    };
+
+    openInvitation();
+  }, [invitationToken, form, onBrandingChange]);
+
+  // Questions still to come in adaptive interviews aren't in the list yet
+  const totalQuestions = state.interviewState.totalQuestions || state.interviewState.questions.length;
+
   // Handle resume upload
   const handleResumeUpload = async (file) => {
     setLoading(true);
     try {
       const formData = new FormData();
       formData.append('resume', file);
+      formData.append('invitationToken', invitationToken);
 
       const response = await fetch('http://localhost:3001/api/upload-resume', {
         method: 'POST',
@@ -34,13 +107,43 @@ const IntervieweeTab = () => {
       const data = await response.json();
       
       if (data.success) {
-        actions.setResumeData(data.candidateInfo);
-        message.success(data.message);
+        // Keep the resume id so the interview can be personalized from it, and
+        // the extracted fields so guesses can be offered for confirmation
+        // The email is the one the invitation was sent to, whatever the resume says
+        actions.setResumeData({
+          ...data.candidateInfo,
+          ...(invitation ? { email: invitation.email } : {}),
+          resumeId: data.resumeId,
+          fields: data.fields
+        });
+        if (data.warning) {
+          message.warning(data.warning);
+        } else {
+          message.success(data.message);
+        }
         
-        // Pre-fill form with extracted data
-        form.setFieldsValue(data.candidateInfo);
+        // Pre-fill form with extracted data, guesses included, and flag the
+        // values that need confirming
+        const fields = data.fields || {};
+        form.setFieldsValue({
+          ...Object.fromEntries(
+            Object.entries(fields).map(([field, { value, display }]) => [field, display || value || undefined])
+          ),
+          ...(invitation ? { email: invitation.email } : {})
+        });
+        setUnconfirmedFields(Object.fromEntries(
+          Object.entries(fields)
+            .filter(([, { value, confidence }]) => value && confidenceHints[confidence])
+            .map(([field, { confidence }]) => [field, confidence])
+        ));
+        setResumePreview(data.text ? { text: data.text, spans: data.spans || [] } : null);
+        setSelectedSpans(Object.fromEntries(
+          Object.entries(fields)
+            .filter(([, { span }]) => span)
+            .map(([field, { span }]) => [field, span])
+        ));
       } else {
-        message.error('Failed to upload resume');
+        message.error(data.error || 'Failed to upload resume');
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -55,8 +158,48 @@ const IntervieweeTab = () => {
   const handleFieldUpdate = (field, value) => {
     actions.updateMissingField(field, value);
     form.setFieldValue(field, value);
+    confirmFields([field]);
+  };
+
+  // Fill a field from a different value highlighted in the resume preview
+  const handleSpanSelect = (span) => {
+    handleFieldUpdate(span.field, span.display || span.value);
+    setSelectedSpans(prev => ({ ...prev, [span.field]: span }));
+  };
+
+  // A value typed over no longer comes from the resume
+  const handleValuesChange = (changedValues) => {
+    confirmFields(Object.keys(changedValues));
+    setSelectedSpans(prev => Object.fromEntries(
+      Object.entries(prev).filter(([field]) => !(field in changedValues))
+    ));
+  };
+
+  const renderResumePreview = () => resumePreview && (
+    <ResumePreview
+      text={resumePreview.text}
+      spans={resumePreview.spans}
+      selected={selectedSpans}
+      onSelect={handleSpanSelect}
+    />
+  );
+
+  // Values typed or confirmed by the candidate no longer need highlighting
+  const confirmFields = (fields) => {
+    setUnconfirmedFields(prev => Object.fromEntries(
+      Object.entries(prev).filter(([field]) => !fields.includes(field))
+    ));
   };
 
+  const renderConfidenceHint = (field) => unconfirmedFields[field] && (
+    <Space size="small">
+      <Text type="warning">{confidenceHints[unconfirmedFields[field]]}</Text>
+      <Button type="link" size="small" className="p-0" onClick={() => confirmFields([field])}>
+        Confirm
+      </Button>
+    </Space>
+  );
+
   // Handle chatbot completion
   const handleChatbotComplete = () => {
     const completeInfo = {
@@ -87,13 +230,26 @@ const IntervieweeTab = () => {
       const response = await fetch('http://localhost:3001/api/start-interview', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ candidateInfo: values }),
+        body: JSON.stringify({ candidateInfo: values, resumeId: state.resumeData?.resumeId, invitationToken }),
       });
 
       console.log('Response status:', response.status);
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json().catch(() => ({}));
+        // A value the server can't accept, like a phone number it can't parse,
+        // is pointed out on its field
+        if (data.field) {
+          form.setFields([{ name: data.field, errors: [data.error] }]);
+          message.error(data.error);
+          return;
+        }
+        // The invitation expired or ran out of attempts since the page loaded
+        if (data.code && data.code.startsWith('INVITATION_')) {
+          setInvitationError(data.error);
+          return;
+        }
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
 
       const data = await response.json();
@@ -101,7 +257,8 @@ const IntervieweeTab = () => {
       
       if (data.success) {
         console.log('Starting interview with questions:', data.questions);
-        actions.startInterview(data.questions, values);
+        // The server returns the details as stored, with the phone number in E.164
+        actions.startInterview(data.questions, data.candidateInfo || values, data.sessionId, data.startedAt, data.totalQuestions);
         setInterviewStarted(true);
         message.success('Interview started!');
         
@@ -109,9 +266,11 @@ const IntervieweeTab = () => {
         setTimeout(() => {
           const firstQuestion = data.questions[0];
           if (firstQuestion) {
-            console.log(`Starting timer for question 1, time limit: ${firstQuestion.timeLimit}s`);
-            resetTimer(firstQuestion.timeLimit);
-            startTimer(firstQuestion.timeLimit);
+            // The server started the countdown when it created the session
+            const remainingTime = data.currentQuestion ? data.currentQuestion.remainingTime : firstQuestion.timeLimit;
+            console.log(`Starting timer for question 1, time remaining: ${remainingTime}s`);
+            resetTimer(remainingTime);
+            startTimer(remainingTime);
             timeoutHandledRef.current = false;
           }
         }, 500);
@@ -151,18 +310,18 @@ const IntervieweeTab = () => {
     try {
       setLoading(true);
       console.log('Submitting answer:', {
-        question: currentQuestion,
-        answer: currentAnswer,
-        candidateInfo: state.candidateInfo
+        sessionId: state.interviewState.sessionId,
+        questionId: currentQuestion.id,
+        answer: currentAnswer
       });
 
       const response = await fetch('http://localhost:3001/api/submit-answer', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          question: currentQuestion,
-          answer: currentAnswer,
-          candidateInfo: state.candidateInfo
+          sessionId: state.interviewState.sessionId,
+          questionId: currentQuestion.id,
+          answer: currentAnswer
         }),
       });
 
@@ -171,6 +330,10 @@ const IntervieweeTab = () => {
       console.log('Submit answer response:', data);
       
       if (data.success) {
+        if (data.late) {
+          message.warning(data.message);
+        }
+
         // Store current values before clearing
         const submittedAnswer = currentAnswer;
         const submittedScore = data.score;
@@ -178,12 +341,15 @@ const IntervieweeTab = () => {
         
         // Submit to state
         actions.submitAnswer(submittedAnswer, submittedScore, submittedFeedback);
+        if (data.questions) {
+          actions.updateQuestions(data.questions);
+        }
         
         // Clear input
         setCurrentAnswer('');
         
         // Check if this is the last question
-        if (state.interviewState.currentQuestionIndex < state.interviewState.questions.length - 1) {
+        if (state.interviewState.currentQuestionIndex < totalQuestions - 1) {
           // Move to next question
           actions.nextQuestion();
           message.success('Answer submitted! Moving to next question.');
@@ -198,10 +364,7 @@ const IntervieweeTab = () => {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                  candidateInfo: state.candidateInfo,
-                  answers: [...state.interviewState.answers, submittedAnswer],
-                  scores: [...state.interviewState.scores, submittedScore],
-                  questions: state.interviewState.questions
+                  sessionId: state.interviewState.sessionId
                 }),
               });
               
@@ -212,7 +375,9 @@ const IntervieweeTab = () => {
                 actions.completeInterview(
                   completeData.finalScore, 
                   completeData.summary, 
-                  completeData.answerFeedbacks
+                  completeData.answerFeedbacks,
+                  completeData.answers,
+                  completeData.scores
                 );
               } else {
                 message.error('Failed to complete interview');
@@ -245,56 +410,101 @@ const IntervieweeTab = () => {
         feedback: "No answer provided within the time limit. Consider reviewing the fundamental concepts related to this topic.",
         suggestions: ["Review basic concepts", "Practice time management", "Study related materials"]
       };
+
+      const currentQuestion = state.interviewState.questions[state.interviewState.currentQuestionIndex];
       
       // Mark answer as empty with zero score when time runs out
-      actions.submitAnswer('', 0, timeoutFeedback);
+      const recordTimeout = async () => {
+        let feedback = timeoutFeedback;
+        try {
+          // Let the server record the timeout so its clock moves on to the next question
+          const response = await fetch('http://localhost:3001/api/submit-answer', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              sessionId: state.interviewState.sessionId,
+              questionId: currentQuestion.id,
+              answer: ''
+            }),
+          });
+          const data = await response.json();
+          if (data.success && data.feedback) {
+            feedback = data.feedback;
+          }
+          if (data.success && data.questions) {
+            actions.updateQuestions(data.questions);
+          }
+        } catch (error) {
+          console.error('Timeout submit error:', error);
+        }
+        actions.submitAnswer('', 0, feedback);
+      };
+
       setCurrentAnswer('');
       
-      if (state.interviewState.currentQuestionIndex < state.interviewState.questions.length - 1) {
-        actions.nextQuestion();
+      if (state.interviewState.currentQuestionIndex < totalQuestions - 1) {
+        recordTimeout().then(() => actions.nextQuestion());
         message.warning('Time\'s up! Moving to next question.');
       } else {
         // Complete interview with timeout
-        setTimeout(async () => {
+        recordTimeout().then(async () => {
           try {
             const completeResponse = await fetch('http://localhost:3001/api/complete-interview', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify({
-                candidateInfo: state.candidateInfo,
-                answers: state.interviewState.answers,
-                scores: state.interviewState.scores,
-                questions: state.interviewState.questions
+                sessionId: state.interviewState.sessionId
               }),
             });
             
             const completeData = await completeResponse.json();
             if (completeData.success) {
-              actions.completeInterview(completeData.finalScore, completeData.summary, completeData.answerFeedbacks);
+              actions.completeInterview(
+                completeData.finalScore,
+                completeData.summary,
+                completeData.answerFeedbacks,
+                completeData.answers,
+                completeData.scores
+              );
             }
           } catch (error) {
             console.error('Complete interview error:', error);
           }
-        }, 100);
+        });
         
         message.warning('Time\'s up! Interview completed.');
       }
     }
   }, [hasExpired, state.interviewState.isStarted, state.interviewState.isComplete, state.interviewState.currentQuestionIndex]);
 
-  // Start timer when question changes - FIXED VERSION
+  // Start timer when question changes, synced to the server's deadline
   useEffect(() => {
     if (state.interviewState.isStarted && !state.interviewState.isComplete && interviewStarted) {
       const currentQuestion = state.interviewState.questions[state.interviewState.currentQuestionIndex];
       if (currentQuestion) {
-        console.log(`Starting timer for question ${state.interviewState.currentQuestionIndex + 1}, time limit: ${currentQuestion.timeLimit}s`);
+        const syncTimerWithServer = async () => {
+          let remainingTime = currentQuestion.timeLimit;
+          try {
+            const response = await fetch(`http://localhost:3001/api/interview-session/${state.interviewState.sessionId}`);
+            const data = await response.json();
+            if (data.success) {
+              // If the server has already moved past this question its time is up
+              remainingTime = data.currentQuestion && data.currentQuestion.questionId === currentQuestion.id
+                ? data.currentQuestion.remainingTime
+                : 0;
+            }
+          } catch (error) {
+            console.error('Timer sync error:', error);
+          }
+
+          console.log(`Starting timer for question ${state.interviewState.currentQuestionIndex + 1}, time remaining: ${remainingTime}s`);
+          resetTimer(remainingTime);
+          startTimer(remainingTime);
+          timeoutHandledRef.current = false;
+        };
         
         // Add delay to ensure UI is ready
-        setTimeout(() => {
-          resetTimer(currentQuestion.timeLimit);
-          startTimer(currentQuestion.timeLimit);
-          timeoutHandledRef.current = false;
-        }, 300);
+        setTimeout(syncTimerWithServer, 300);
       }
     }
   }, [state.interviewState.currentQuestionIndex, state.interviewState.isStarted, state.interviewState.isComplete, interviewStarted]);
@@ -312,7 +522,7 @@ const IntervieweeTab = () => {
 
   if (state.interviewState.isStarted) {
     const currentQuestion = state.interviewState.questions[state.interviewState.currentQuestionIndex];
-    const progress = ((state.interviewState.currentQuestionIndex + 1) / state.interviewState.questions.length) * 100;
+    const progress = ((state.interviewState.currentQuestionIndex + 1) / totalQuestions) * 100;
 
     return (
       <div className="max-w-4xl mx-auto p-6">
@@ -321,7 +531,7 @@ const IntervieweeTab = () => {
             <Title level={3}>Interview in Progress</Title>
             <Progress percent={progress} />
             <div className="flex justify-between items-center mt-2">
-              <Text>Question {state.interviewState.currentQuestionIndex + 1} of {state.interviewState.questions.length}</Text>
+              <Text>Question {state.interviewState.currentQuestionIndex + 1} of {totalQuestions}</Text>
               <div className="flex items-center space-x-2">
                 <ClockCircleOutlined />
                 <Text strong style={{ fontFamily: 'monospace', color: timeLeft <= 10 ? '#ff4d4f' : '#000' }}>
@@ -356,6 +566,30 @@ const IntervieweeTab = () => {
           onFieldUpdate={handleFieldUpdate}
           onComplete={handleChatbotComplete}
         />
+        {renderResumePreview()}
+      </div>
+    );
+  }
+
+  // Interviews can only be started from an invitation link
+  if (!invitationToken || invitationError) {
+    return (
+      <div className="max-w-2xl mx-auto p-6">
+        <Card>
+          <Result
+            icon={<MailOutlined />}
+            title={invitationError ? 'This invitation can\'t be used' : 'You need an invitation to start an interview'}
+            subTitle={invitationError || 'Open the interview link from your invitation email. If you don\'t have one, ask your recruiter to send it.'}
+          />
+        </Card>
+      </div>
+    );
+  }
+
+  if (!invitation) {
+    return (
+      <div className="text-center py-8">
+        <Spin size="large" />
       </div>
     );
   }
@@ -368,11 +602,16 @@ const IntervieweeTab = () => {
           Upload your resume and we'll extract your information to get started with the interview process.
         </Text>
         
-        <Form form={form} layout="vertical" onFinish={handleStartInterview}>
-          <Form.Item label="Upload Resume (PDF or DOCX)">
+        <Form
+          form={form}
+          layout="vertical"
+          onFinish={handleStartInterview}
+          onValuesChange={handleValuesChange}
+        >
+          <Form.Item label="Upload Resume">
             <Upload
               beforeUpload={handleResumeUpload}
-              accept=".pdf,.docx"
+              accept=".pdf,.docx,.doc,.rtf,.odt,.txt,.md"
               showUploadList={false}
             >
               <Button icon={<UploadOutlined />} loading={loading} className="w-full">
@@ -380,16 +619,19 @@ const IntervieweeTab = () => {
               </Button>
             </Upload>
             <Text type="secondary" className="block mt-2">
-              Supported formats: PDF, DOCX. We'll extract your name, email, and phone number.
+              Supported formats: PDF, DOCX, DOC, RTF, ODT, TXT and Markdown. We'll extract your name, email, and phone number.
             </Text>
           </Form.Item>
 
+          {renderResumePreview()}
+
           <Form.Item
             name="name"
             label="Full Name"
             rules={[{ required: true, message: 'Please enter your name' }]}
+            extra={renderConfidenceHint('name')}
           >
-            <Input placeholder="Enter your full name" />
+            <Input placeholder="Enter your full name" status={unconfirmedFields.name ? 'warning' : undefined} />
           </Form.Item>
 
           <Form.Item
@@ -399,16 +641,25 @@ const IntervieweeTab = () => {
               { required: true, message: 'Please enter your email' },
               { type: 'email', message: 'Please enter a valid email' }
             ]}
+            extra="The address your invitation was sent to"
           >
-            <Input placeholder="Enter your email" />
+            <Input placeholder="Enter your email" disabled />
           </Form.Item>
 
           <Form.Item
             name="phone"
             label="Phone Number"
             rules={[{ required: true, message: 'Please enter your phone number' }]}
+            extra={renderConfidenceHint('phone')}
           >
-            <Input placeholder="Enter your phone number" />
+            <Input placeholder="Enter your phone number" status={unconfirmedFields.phone ? 'warning' : undefined} />
+          </Form.Item>
+
+          <Form.Item label="Position">
+            <Text strong>{invitation.template.name}</Text>
+            <Text type="secondary" className="block">
+              Invitation valid until {new Date(invitation.expiresAt).toLocaleString()}
+            </Text>
           </Form.Item>
 
           <Form.Item>
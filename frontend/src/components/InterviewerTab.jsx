@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useInterview } from '../context/InterviewContext';
+import { useAuth } from '../context/useAuth';
 import { 
   Card, 
   Table, 
@@ -17,7 +18,9 @@ import {
   Spin,
   Divider,
   List,
-  Collapse
+  Collapse,
+  Tooltip,
+  Alert
 } from 'antd';
 import { 
   SearchOutlined, 
@@ -28,16 +31,58 @@ import {
   ReloadOutlined,
   RobotOutlined,
   BulbOutlined,
-  ThunderboltOutlined
+  ThunderboltOutlined,
+  FileTextOutlined,
+  DownloadOutlined
 } from '@ant-design/icons';
+import { parsePhoneNumber } from 'libphonenumber-js';
+import InvitationsPanel from './InvitationsPanel';
 
 const { Title, Text } = Typography;
 const { Search } = Input;
 const { Option } = Select;
 const { Panel } = Collapse;
 
+// How each answer was scored; anything but AI was scored while the LLM was unavailable
+const scoreSourceTags = {
+  ai: { label: 'AI', color: 'purple' },
+  rubric: { label: 'Rubric', color: 'gold' },
+  fallback: { label: 'Fallback', color: 'volcano' }
+};
+
+// "2019-01" -> "Jan 2019"; ongoing jobs have no end date
+const formatResumeDate = (date) => {
+  if (!date) return 'Present';
+  const [year, month] = date.split('-');
+  return month
+    ? new Date(Number(year), Number(month) - 1).toLocaleString('default', { month: 'short', year: 'numeric' })
+    : year;
+};
+
+// Phone numbers are stored in E.164 ("+14155550100"); older records may hold
+// whatever was typed, which is shown as it is
+const formatPhone = (phone) => {
+  try {
+    return parsePhoneNumber(phone).formatInternational();
+  } catch {
+    return phone;
+  }
+};
+
+// Resume formats the browser can show in a tab; others can only be downloaded
+const previewableResumeFormats = ['pdf', 'txt', 'md'];
+
+const resumeLinkLabels = {
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+  portfolio: 'Portfolio'
+};
+
 const InterviewerTab = () => {
   const { state, dispatch, actions } = useInterview();
+  const { authFetch, hasRole } = useAuth();
+  // Viewers can read results but not change them or spend AI calls
+  const canEdit = hasRole('admin', 'interviewer');
   const [searchText, setSearchText] = useState('');
   const [selectedCandidate, setSelectedCandidate] = useState(null);
   const [isModalVisible, setIsModalVisible] = useState(false);
@@ -46,12 +91,14 @@ const InterviewerTab = () => {
   const [candidates, setCandidates] = useState([]);
   const [llmAnswers, setLlmAnswers] = useState({});
   const [loadingLlmAnswer, setLoadingLlmAnswer] = useState({});
+  const [rescoring, setRescoring] = useState(false);
+  const [openingResume, setOpeningResume] = useState(null);
 
   // Fetch candidates from backend
   const fetchCandidates = async () => {
     setLoading(true);
     try {
-      const response = await fetch('http://localhost:3001/api/candidates');
+      const response = await authFetch('http://localhost:3001/api/candidates');
       const data = await response.json();
       
       if (data.success) {
@@ -98,15 +145,28 @@ const InterviewerTab = () => {
       title: 'Phone',
       dataIndex: 'phone',
       key: 'phone',
+      render: (phone) => formatPhone(phone),
+    },
+    {
+      title: 'Position',
+      key: 'template',
+      render: (_, record) => record.template ? <Tag color="purple">{record.template.name}</Tag> : '-',
     },
     {
       title: 'Score',
       dataIndex: 'finalScore',
       key: 'finalScore',
-      render: (score) => (
-        <Tag color={score >= 80 ? 'green' : score >= 60 ? 'orange' : 'red'}>
-          {score}/100
-        </Tag>
+      render: (score, record) => (
+        <Space size={4}>
+          <Tag color={score >= 80 ? 'green' : score >= 60 ? 'orange' : 'red'}>
+            {score}/100
+          </Tag>
+          {record.needsRescore && (
+            <Tooltip title="Some answers were scored offline while the AI was unavailable">
+              <Tag color="gold">Offline scored</Tag>
+            </Tooltip>
+          )}
+        </Space>
       ),
       sorter: (a, b) => a.finalScore - b.finalScore,
       defaultSortOrder: 'descend',
@@ -133,6 +193,41 @@ const InterviewerTab = () => {
     },
   ];
 
+  // Resume files are served through short-lived signed links, so ask for one
+  // and open it. The tab is opened straight away so it isn't blocked as a popup.
+  const openResume = async (candidate, disposition) => {
+    const tab = disposition === 'inline' ? window.open('', '_blank') : null;
+    setOpeningResume(disposition);
+    try {
+      const response = await authFetch(`http://localhost:3001/api/candidates/${candidate._id}/resume-link`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ disposition })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        if (tab) tab.close();
+        message.error(data.error || 'Failed to open resume');
+        return;
+      }
+
+      const url = `http://localhost:3001${data.url}`;
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = url;
+      } else {
+        window.location.assign(url);
+      }
+    } catch (error) {
+      if (tab) tab.close();
+      console.error('Open resume error:', error);
+      message.error('Failed to open resume');
+    } finally {
+      setOpeningResume(null);
+    }
+  };
+
   const handleViewCandidate = (candidate) => {
     setSelectedCandidate(candidate);
     setIsModalVisible(true);
@@ -161,14 +256,38 @@ const InterviewerTab = () => {
     return acc;
   }, {});
 
+  // Re-score answers that were scored offline, now that the LLM may be back
+  const rescoreCandidate = async (candidate) => {
+    setRescoring(true);
+    try {
+      const response = await authFetch(`http://localhost:3001/api/candidates/${candidate._id}/rescore`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSelectedCandidate(data.candidate);
+        setCandidates(prev => prev.map(c => c._id === data.candidate._id ? data.candidate : c));
+        message.success(`Re-scored ${data.rescored} answer${data.rescored === 1 ? '' : 's'}`);
+      } else {
+        message.error(data.error || 'Failed to re-score candidate');
+      }
+    } catch (error) {
+      console.error('Rescore candidate error:', error);
+      message.error('Failed to re-score candidate');
+    } finally {
+      setRescoring(false);
+    }
+  };
+
   const generateLlmAnswer = async (question, questionIndex) => {
     setLoadingLlmAnswer(prev => ({ ...prev, [questionIndex]: true }));
     
     try {
-      const response = await fetch('http://localhost:3001/api/generate-llm-answer', {
+      const response = await authFetch('http://localhost:3001/api/generate-llm-answer', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ question }),
+        body: JSON.stringify({ question, candidateId: selectedCandidate?._id }),
       });
 
       const data = await response.json();
@@ -200,6 +319,8 @@ const InterviewerTab = () => {
             Refresh
           </Button>
         </div>
+
+        <InvitationsPanel />
         
         <div className="flex justify-between items-center mb-4">
           <Search
@@ -239,7 +360,7 @@ const InterviewerTab = () => {
                 <Text type="secondary">
                   Candidates will appear here after they complete their interviews.
                   <br />
-                  Switch to the "Interviewee" tab to start an interview.
+                  Invite a candidate above to send them an interview link.
                 </Text>
               </div>
             }
@@ -287,6 +408,21 @@ const InterviewerTab = () => {
       >
         {selectedCandidate && (
           <div>
+            {selectedCandidate.needsRescore && (
+              <Alert
+                type="warning"
+                showIcon
+                className="mb-4"
+                message="Some answers were scored offline"
+                description="The AI was unavailable when these answers were submitted, so they were scored with the offline rubric. Re-score them once the AI is reachable again."
+                action={canEdit && (
+                  <Button size="small" loading={rescoring} onClick={() => rescoreCandidate(selectedCandidate)}>
+                    Re-score
+                  </Button>
+                )}
+              />
+            )}
+
             <Descriptions bordered column={2}>
               <Descriptions.Item label="Name" span={2}>
                 {selectedCandidate.name}
@@ -295,8 +431,47 @@ const InterviewerTab = () => {
                 {selectedCandidate.email}
               </Descriptions.Item>
               <Descriptions.Item label="Phone">
-                {selectedCandidate.phone}
+                {formatPhone(selectedCandidate.phone)}
               </Descriptions.Item>
+              {selectedCandidate.template && (
+                <Descriptions.Item label="Position" span={2}>
+                  {selectedCandidate.template.name}
+                </Descriptions.Item>
+              )}
+              {selectedCandidate.resumeSkills && selectedCandidate.resumeSkills.length > 0 && !selectedCandidate.resumeProfile && (
+                <Descriptions.Item label="Resume Skills" span={2}>
+                  {selectedCandidate.resumeSkills.map(skill => (
+                    <Tooltip key={skill.name} title={skill.context}>
+                      <Tag>{skill.name}</Tag>
+                    </Tooltip>
+                  ))}
+                </Descriptions.Item>
+              )}
+              {selectedCandidate.resumeFile && (
+                <Descriptions.Item label="Resume" span={2}>
+                  <Space>
+                    <Text>{selectedCandidate.resumeFile.filename}</Text>
+                    {previewableResumeFormats.includes(selectedCandidate.resumeFile.format) && (
+                      <Button
+                        size="small"
+                        icon={<FileTextOutlined />}
+                        loading={openingResume === 'inline'}
+                        onClick={() => openResume(selectedCandidate, 'inline')}
+                      >
+                        View resume
+                      </Button>
+                    )}
+                    <Button
+                      size="small"
+                      icon={<DownloadOutlined />}
+                      loading={openingResume === 'attachment'}
+                      onClick={() => openResume(selectedCandidate, 'attachment')}
+                    >
+                      Download
+                    </Button>
+                  </Space>
+                </Descriptions.Item>
+              )}
               <Descriptions.Item label="Final Score" span={2}>
                 <Progress 
                   percent={selectedCandidate.finalScore} 
@@ -309,6 +484,87 @@ const InterviewerTab = () => {
               </Descriptions.Item>
             </Descriptions>
 
+            {selectedCandidate.resumeProfile && (
+              <div className="mt-6">
+                <Title level={4}>Resume Profile</Title>
+                <Descriptions bordered column={1} size="small">
+                  <Descriptions.Item label="Skills">
+                    {selectedCandidate.resumeProfile.skills && selectedCandidate.resumeProfile.skills.length > 0
+                      ? selectedCandidate.resumeProfile.skills.map(name => {
+                          const detected = (selectedCandidate.resumeSkills || []).find(skill => skill.name === name);
+                          return (
+                            <Tooltip key={name} title={detected && detected.context}>
+                              <Tag>{name}</Tag>
+                            </Tooltip>
+                          );
+                        })
+                      : <Text type="secondary">None detected</Text>}
+                  </Descriptions.Item>
+                  <Descriptions.Item label="Experience">
+                    {selectedCandidate.resumeProfile.yearsOfExperience != null
+                      ? `${selectedCandidate.resumeProfile.yearsOfExperience} years`
+                      : <Text type="secondary">Not found</Text>}
+                  </Descriptions.Item>
+                  <Descriptions.Item label="Employment">
+                    {selectedCandidate.resumeProfile.employment && selectedCandidate.resumeProfile.employment.length > 0 ? (
+                      <List
+                        size="small"
+                        split={false}
+                        dataSource={selectedCandidate.resumeProfile.employment}
+                        renderItem={(job) => (
+                          <List.Item className="px-0">
+                            <div>
+                              <Text strong>{job.title || 'Unknown title'}</Text>
+                              {job.company && <Text> at {job.company}</Text>}
+                              <Text type="secondary" className="ml-2">
+                                {formatResumeDate(job.startDate)} - {job.current ? 'Present' : formatResumeDate(job.endDate)}
+                              </Text>
+                            </div>
+                          </List.Item>
+                        )}
+                      />
+                    ) : <Text type="secondary">Not found</Text>}
+                  </Descriptions.Item>
+                  <Descriptions.Item label="Education">
+                    {selectedCandidate.resumeProfile.education && selectedCandidate.resumeProfile.education.length > 0 ? (
+                      <List
+                        size="small"
+                        split={false}
+                        dataSource={selectedCandidate.resumeProfile.education}
+                        renderItem={(entry) => (
+                          <List.Item className="px-0">
+                            <div>
+                              <Text strong>{entry.degree || 'Degree not found'}</Text>
+                              {entry.institution && <Text>, {entry.institution}</Text>}
+                              {entry.year && <Text type="secondary" className="ml-2">{entry.year}</Text>}
+                            </div>
+                          </List.Item>
+                        )}
+                      />
+                    ) : <Text type="secondary">Not found</Text>}
+                  </Descriptions.Item>
+                  <Descriptions.Item label="Links">
+                    {selectedCandidate.resumeProfile.links &&
+                    (Object.keys(resumeLinkLabels).some(key => selectedCandidate.resumeProfile.links[key]) ||
+                      (selectedCandidate.resumeProfile.links.other || []).length > 0) ? (
+                      <Space wrap>
+                        {Object.entries(resumeLinkLabels)
+                          .filter(([key]) => selectedCandidate.resumeProfile.links[key])
+                          .map(([key, label]) => (
+                            <a key={key} href={selectedCandidate.resumeProfile.links[key]} target="_blank" rel="noopener noreferrer">
+                              {label}
+                            </a>
+                          ))}
+                        {(selectedCandidate.resumeProfile.links.other || []).map(link => (
+                          <a key={link} href={link} target="_blank" rel="noopener noreferrer">{link}</a>
+                        ))}
+                      </Space>
+                    ) : <Text type="secondary">Not found</Text>}
+                  </Descriptions.Item>
+                </Descriptions>
+              </div>
+            )}
+
             <div className="mt-6">
               <Title level={4}>Interview Summary</Title>
               <Text>{selectedCandidate.summary}</Text>
@@ -320,6 +576,8 @@ const InterviewerTab = () => {
                 {selectedCandidate.questions && selectedCandidate.questions.map((question, index) => {
                   const answer = selectedCandidate.answers[index] || 'No answer provided';
                   const score = selectedCandidate.scores[index] || 0;
+                  const scoreSource = selectedCandidate.scoreSources && scoreSourceTags[selectedCandidate.scoreSources[index]];
+                  const redaction = selectedCandidate.redactions && selectedCandidate.redactions[index];
                   const feedback = selectedCandidate.answerFeedbacks && selectedCandidate.answerFeedbacks[index] 
                     ? selectedCandidate.answerFeedbacks[index] 
                     : { 
@@ -336,15 +594,37 @@ const InterviewerTab = () => {
                             <Text strong>Q{index + 1}: {question.question}</Text>
                             <Tag color="blue" className="ml-2">{question.difficulty}</Tag>
                             <Tag color="green" className="ml-1">{question.category}</Tag>
+                            {question.personalization && (
+                              <Tooltip title={question.personalization.reason}>
+                                <Tag color="purple" className="ml-1">Personalized</Tag>
+                              </Tooltip>
+                            )}
+                          </span>
+                          <span>
+                            {redaction && redaction.items.length > 0 && (
+                              <Tooltip title={`Sent to the AI as ${redaction.items.map(item => item.placeholder).join(', ')}`}>
+                                <Tag>PII redacted</Tag>
+                              </Tooltip>
+                            )}
+                            {scoreSource && (
+                              <Tag color={scoreSource.color}>{scoreSource.label}</Tag>
+                            )}
+                            <Tag color={score >= 80 ? 'green' : score >= 60 ? 'orange' : 'red'}>
+                              {score}/100
+                            </Tag>
                           </span>
-                          <Tag color={score >= 80 ? 'green' : score >= 60 ? 'orange' : 'red'}>
-                            {score}/100
-                          </Tag>
                         </div>
                       } 
                       key={index}
                     >
                       <div className="space-y-4">
+                        {question.selectionReason && (
+                          <Text type="secondary">Why this question: {question.selectionReason}</Text>
+                        )}
+                        {question.personalization && (
+                          <Text type="secondary" className="block">Personalized: {question.personalization.reason}</Text>
+                        )}
+
                         {/* Candidate's Answer */}
                         <div>
                           <Title level={5}>
@@ -374,15 +654,17 @@ const InterviewerTab = () => {
                               <ThunderboltOutlined className="mr-2" />
                               Correct Answer:
                             </Title>
-                            <Button
-                              type="primary"
-                              size="small"
-                              icon={<RobotOutlined />}
-                              loading={loadingLlmAnswer[index]}
-                              onClick={() => generateLlmAnswer(question, index)}
-                            >
-                              Generate Correct Answer
-                            </Button>
+                            {canEdit && (
+                              <Button
+                                type="primary"
+                                size="small"
+                                icon={<RobotOutlined />}
+                                loading={loadingLlmAnswer[index]}
+                                onClick={() => generateLlmAnswer(question, index)}
+                              >
+                                Generate Correct Answer
+                              </Button>
+                            )}
                           </div>
                           {llmAnswers[index] ? (
                             <div className="bg-purple-50 p-3 rounded-lg border-l-4 border-purple-400">
@@ -390,7 +672,9 @@ const InterviewerTab = () => {
                             </div>
                           ) : (
                             <div className="bg-gray-50 p-3 rounded-lg border-l-4 border-gray-300 text-center">
-                              <Text type="secondary">Click "Generate Correct Answer" to see the expected response</Text>
+                              <Text type="secondary">
+                                {canEdit ? 'Click "Generate Correct Answer" to see the expected response' : 'No answer generated yet'}
+                              </Text>
                             </div>
                           )}
                         </div>
@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Input,
+  InputNumber,
+  Form,
+  Modal,
+  Select,
+  Tag,
+  Typography,
+  Tooltip,
+  Popconfirm,
+  Alert,
+  message
+} from 'antd';
+import { MailOutlined, PlusOutlined, ReloadOutlined, StopOutlined } from '@ant-design/icons';
+import { useAuth } from '../context/useAuth';
+
+const { Title, Text, Paragraph } = Typography;
+
+const statusTags = {
+  sent: { label: 'Sent', color: 'blue' },
+  opened: { label: 'Opened', color: 'cyan' },
+  started: { label: 'Started', color: 'orange' },
+  completed: { label: 'Completed', color: 'green' },
+  expired: { label: 'Expired', color: 'default' }
+};
+
+const expiryOptions = [1, 3, 7, 14, 30];
+
+const formatDate = (date) => date ? new Date(date).toLocaleString() : '-';
+
+// Invitations sent to candidates, and a form to invite another one. A
+// candidate can only start an interview from the link in their invitation.
+const InvitationsPanel = () => {
+  const { authFetch, hasRole } = useAuth();
+  const canInvite = hasRole('admin', 'interviewer');
+  const [form] = Form.useForm();
+  const [invitations, setInvitations] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isFormVisible, setIsFormVisible] = useState(false);
+  const [creating, setCreating] = useState(false);
+  // The link of the invitation just created, shown once
+  const [createdInvitation, setCreatedInvitation] = useState(null);
+
+  const fetchInvitations = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch('http://localhost:3001/api/invitations');
+      const data = await response.json();
+
+      if (data.success) {
+        setInvitations(data.invitations);
+      } else {
+        message.error(data.error || 'Failed to fetch invitations');
+      }
+    } catch (error) {
+      console.error('Fetch invitations error:', error);
+      message.error('Failed to fetch invitations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load invitations, and the positions candidates can be invited for
+  useEffect(() => {
+    fetchInvitations();
+
+    const fetchTemplates = async () => {
+      try {
+        const response = await authFetch('http://localhost:3001/api/interview-templates?active=true');
+        const data = await response.json();
+        if (data.success) setTemplates(data.templates);
+      } catch (error) {
+        console.error('Fetch interview templates error:', error);
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  const openForm = () => {
+    const defaultTemplate = templates.find(template => template.isDefault) || templates[0];
+    form.setFieldsValue({ templateId: defaultTemplate?._id, expiresInDays: 7, maxAttempts: 1 });
+    setCreatedInvitation(null);
+    setIsFormVisible(true);
+  };
+
+  const closeForm = () => {
+    form.resetFields();
+    setCreatedInvitation(null);
+    setIsFormVisible(false);
+  };
+
+  const handleCreate = async (values) => {
+    setCreating(true);
+    try {
+      const response = await authFetch('http://localhost:3001/api/invitations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setCreatedInvitation({ ...data.invitation, url: data.url });
+        setInvitations(prev => [data.invitation, ...prev]);
+        message.success('Invitation created');
+      } else {
+        message.error(data.details ? data.details.join(', ') : data.error || 'Failed to create invitation');
+      }
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      message.error('Failed to create invitation');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const expireInvitation = async (invitation) => {
+    try {
+      const response = await authFetch(`http://localhost:3001/api/invitations/${invitation._id}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setInvitations(prev => prev.map(item => item._id === data.invitation._id ? data.invitation : item));
+        message.success('Invitation withdrawn');
+      } else {
+        message.error(data.error || 'Failed to withdraw invitation');
+      }
+    } catch (error) {
+      console.error('Expire invitation error:', error);
+      message.error('Failed to withdraw invitation');
+    }
+  };
+
+  // Opens the interviewer's mail client with the link filled in
+  const mailtoLink = (invitation) => {
+    const greeting = invitation.name ? `Hi ${invitation.name},` : 'Hello,';
+    const body = [
+      greeting,
+      '',
+      `You're invited to an interview for the ${invitation.template.name} position.`,
+      `Start it from this link before ${formatDate(invitation.expiresAt)}:`,
+      '',
+      invitation.url
+    ].join('\n');
+    return `mailto:${invitation.email}?subject=${encodeURIComponent(`Interview invitation: ${invitation.template.name}`)}&body=${encodeURIComponent(body)}`;
+  };
+
+  const columns = [
+    {
+      title: 'Candidate',
+      key: 'candidate',
+      render: (_, record) => (
+        <div>
+          {record.name && <div>{record.name}</div>}
+          <Text type="secondary">{record.email}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Position',
+      key: 'template',
+      render: (_, record) => record.template?.name,
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      filters: Object.entries(statusTags).map(([value, { label }]) => ({ text: label, value })),
+      onFilter: (value, record) => record.status === value,
+      render: (status, record) => (
+        <Tooltip title={record.openedAt ? `Opened ${formatDate(record.openedAt)}` : 'Not opened yet'}>
+          <Tag color={statusTags[status].color}>{statusTags[status].label}</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Attempts',
+      key: 'attempts',
+      render: (_, record) => `${record.attempts} / ${record.maxAttempts}`,
+    },
+    {
+      title: 'Expires',
+      dataIndex: 'expiresAt',
+      key: 'expiresAt',
+      render: formatDate,
+    },
+    {
+      title: 'Invited By',
+      dataIndex: 'createdBy',
+      key: 'createdBy',
+    },
+    ...(canInvite ? [{
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => ['sent', 'opened', 'started'].includes(record.status) && (
+        <Popconfirm
+          title="Withdraw this invitation?"
+          description="The link will stop working straight away."
+          onConfirm={() => expireInvitation(record)}
+        >
+          <Button type="link" danger icon={<StopOutlined />}>
+            Withdraw
+          </Button>
+        </Popconfirm>
+      ),
+    }] : []),
+  ];
+
+  return (
+    <Card className="mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <Title level={4} className="mb-0">Invitations</Title>
+        <div className="flex items-center space-x-2">
+          <Button icon={<ReloadOutlined />} onClick={fetchInvitations} loading={loading}>
+            Refresh
+          </Button>
+          {canInvite && (
+            <Button type="primary" icon={<PlusOutlined />} onClick={openForm}>
+              Invite Candidate
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={invitations}
+        rowKey="_id"
+        loading={loading}
+        pagination={{ pageSize: 5 }}
+        size="small"
+      />
+
+      <Modal
+        title="Invite Candidate"
+        open={isFormVisible}
+        onCancel={closeForm}
+        footer={createdInvitation ? [
+          <Button key="email" icon={<MailOutlined />} href={mailtoLink(createdInvitation)}>
+            Email Link
+          </Button>,
+          <Button key="done" type="primary" onClick={closeForm}>
+            Done
+          </Button>
+        ] : [
+          <Button key="cancel" onClick={closeForm}>
+            Cancel
+          </Button>,
+          <Button key="create" type="primary" loading={creating} onClick={() => form.submit()}>
+            Create Invitation
+          </Button>
+        ]}
+      >
+        {createdInvitation ? (
+          <div>
+            <Alert
+              type="success"
+              showIcon
+              className="mb-4"
+              message={`Invitation for ${createdInvitation.email} created`}
+              description="Copy the link now and send it to the candidate. It is only shown once."
+            />
+            <Paragraph copyable={{ text: createdInvitation.url }} code className="break-all">
+              {createdInvitation.url}
+            </Paragraph>
+          </div>
+        ) : (
+          <Form form={form} layout="vertical" onFinish={handleCreate}>
+            <Form.Item
+              name="email"
+              label="Candidate Email"
+              rules={[
+                { required: true, message: 'Please enter the candidate\'s email' },
+                { type: 'email', message: 'Please enter a valid email' }
+              ]}
+            >
+              <Input placeholder="candidate@example.com" />
+            </Form.Item>
+            <Form.Item name="name" label="Candidate Name">
+              <Input placeholder="Optional, used in the email" />
+            </Form.Item>
+            <Form.Item
+              name="templateId"
+              label="Position"
+              rules={[{ required: true, message: 'Please choose a position' }]}
+            >
+              <Select placeholder="Choose the position">
+                {templates.map(template => (
+                  <Select.Option key={template._id} value={template._id}>
+                    {template.name}
+                  </Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <div className="flex space-x-4">
+              <Form.Item name="expiresInDays" label="Expires After" className="flex-1">
+                <Select>
+                  {expiryOptions.map(days => (
+                    <Select.Option key={days} value={days}>
+                      {days} day{days > 1 ? 's' : ''}
+                    </Select.Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item
+                name="maxAttempts"
+                label="Max Attempts"
+                className="flex-1"
+                tooltip="How many times the candidate may start the interview, e.g. after losing their connection"
+              >
+                <InputNumber min={1} max={10} className="w-full" />
+              </Form.Item>
+            </div>
+          </Form>
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default InvitationsPanel;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Input, Button, Typography, Alert, Divider } from 'antd';
+import { LockOutlined, MailOutlined, LoginOutlined } from '@ant-design/icons';
+import { useAuth } from '../context/useAuth';
+
+const { Title, Text } = Typography;
+
+// Shown in place of the interviewer tabs until an interviewer signs in
+const LoginScreen = () => {
+  const { login } = useAuth();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [sso, setSso] = useState(null);
+
+  // Offer single sign-on when the server has an OIDC provider configured
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/auth/providers');
+        const data = await response.json();
+        if (data.success) setSso(data.oidc);
+      } catch (err) {
+        console.error('Fetch sign-in providers error:', err);
+      }
+    };
+    fetchProviders();
+  }, []);
+
+  const handleSubmit = async ({ email, password }) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      setError(await login(email, password));
+    } catch (err) {
+      console.error('Login error:', err);
+      setError('Could not reach the server, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center py-8">
+      <Card className="w-full max-w-md">
+        <Title level={3} className="text-center">Interviewer Sign In</Title>
+        <Text type="secondary" className="block text-center mb-6">
+          Candidate results and the question bank are only available to interviewers.
+        </Text>
+
+        {error && <Alert type="error" message={error} showIcon className="mb-4" />}
+
+        {sso && (
+          <>
+            <Button
+              type="primary"
+              block
+              icon={<LoginOutlined />}
+              onClick={() => window.location.assign('http://localhost:3001/api/auth/oidc/login')}
+            >
+              Sign in with {sso.name}
+            </Button>
+            <Divider plain>or use a password</Divider>
+          </>
+        )}
+
+        <Form layout="vertical" onFinish={handleSubmit} requiredMark={false}>
+          <Form.Item
+            name="email"
+            label="Email"
+            rules={[{ required: true, type: 'email', message: 'Please enter your email' }]}
+          >
+            <Input prefix={<MailOutlined />} autoComplete="username" />
+          </Form.Item>
+          <Form.Item
+            name="password"
+            label="Password"
+            rules={[{ required: true, message: 'Please enter your password' }]}
+          >
+            <Input.Password prefix={<LockOutlined />} autoComplete="current-password" />
+          </Form.Item>
+          <Button type={sso ? 'default' : 'primary'} htmlType="submit" block loading={submitting}>
+            Sign In
+          </Button>
+        </Form>
+      </Card>
+    </div>
+  );
+};
+
+export default LoginScreen;
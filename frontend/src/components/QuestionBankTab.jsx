@@ -0,0 +1,364 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Input,
+  InputNumber,
+  Typography,
+  Tag,
+  Modal,
+  Select,
+  Space,
+  message
+} from 'antd';
+import {
+  EditOutlined,
+  EyeOutlined,
+  SaveOutlined,
+  CloseOutlined,
+  ReloadOutlined,
+  CheckCircleOutlined,
+  StopOutlined
+} from '@ant-design/icons';
+import QuestionCard from './QuestionCard';
+import { useAuth } from '../context/useAuth';
+
+const { Title, Text, Paragraph } = Typography;
+const { TextArea } = Input;
+const { Option } = Select;
+
+const difficultyColors = {
+  easy: 'green',
+  medium: 'orange',
+  hard: 'red'
+};
+
+const QuestionBankTab = () => {
+  const { authFetch, hasRole } = useAuth();
+  // Viewers can browse and preview the bank but not change it
+  const canEdit = hasRole('admin', 'interviewer');
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [difficultyFilter, setDifficultyFilter] = useState('all');
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedRowKeys, setSelectedRowKeys] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [previewQuestion, setPreviewQuestion] = useState(null);
+  const [previewAnswer, setPreviewAnswer] = useState('');
+
+  // Fetch the whole bank; filtering happens client-side
+  const fetchQuestions = async () => {
+    setLoading(true);
+    try {
+      const response = await authFetch('http://localhost:3001/api/questions');
+      const data = await response.json();
+
+      if (data.success) {
+        setQuestions(data.questions);
+      } else {
+        message.error('Failed to fetch questions');
+      }
+    } catch (error) {
+      console.error('Fetch questions error:', error);
+      message.error('Failed to fetch questions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Load questions on component mount
+  useEffect(() => {
+    fetchQuestions();
+  }, []);
+
+  const replaceQuestions = (updated) => {
+    const updatedById = Object.fromEntries(updated.map(question => [question._id, question]));
+    setQuestions(prev => prev.map(question => updatedById[question._id] || question));
+  };
+
+  const startEditing = (question) => {
+    setEditingId(question._id);
+    setEditValues({
+      question: question.question,
+      timeLimit: question.timeLimit,
+      sampleAnswer: question.sampleAnswer || ''
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditValues({});
+  };
+
+  const saveEditing = async () => {
+    setSaving(true);
+    try {
+      const response = await authFetch(`http://localhost:3001/api/questions/${editingId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editValues),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        replaceQuestions([data.question]);
+        cancelEditing();
+        message.success('Question updated');
+      } else {
+        message.error(data.details ? data.details.join(', ') : (data.error || 'Failed to update question'));
+      }
+    } catch (error) {
+      console.error('Update question error:', error);
+      message.error('Failed to update question');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Activate or retire every selected question
+  const setSelectedActive = async (active) => {
+    try {
+      const response = await authFetch('http://localhost:3001/api/questions/bulk-status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: selectedRowKeys, active }),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        replaceQuestions(data.questions);
+        setSelectedRowKeys([]);
+        message.success(`${data.updated} question${data.updated === 1 ? '' : 's'} ${active ? 'activated' : 'retired'}`);
+      } else {
+        message.error(data.error || 'Failed to update questions');
+      }
+    } catch (error) {
+      console.error('Bulk status error:', error);
+      message.error('Failed to update questions');
+    }
+  };
+
+  const openPreview = (question) => {
+    setPreviewAnswer('');
+    setPreviewQuestion(question);
+  };
+
+  const categories = [...new Set(questions.map(question => question.category))].sort();
+
+  const filteredQuestions = questions.filter(question =>
+    (difficultyFilter === 'all' || question.difficulty === difficultyFilter) &&
+    (categoryFilter === 'all' || question.category === categoryFilter) &&
+    (statusFilter === 'all' || (statusFilter === 'active') === question.active)
+  );
+
+  const columns = [
+    {
+      title: 'Question',
+      dataIndex: 'question',
+      key: 'question',
+      render: (text, record) => editingId === record._id ? (
+        <TextArea
+          value={editValues.question}
+          onChange={(e) => setEditValues(prev => ({ ...prev, question: e.target.value }))}
+          autoSize={{ minRows: 2, maxRows: 4 }}
+        />
+      ) : (
+        <Text>{text}</Text>
+      ),
+    },
+    {
+      title: 'Difficulty',
+      dataIndex: 'difficulty',
+      key: 'difficulty',
+      width: 100,
+      render: (difficulty) => (
+        <Tag color={difficultyColors[difficulty] || 'blue'}>{difficulty.toUpperCase()}</Tag>
+      ),
+    },
+    {
+      title: 'Category',
+      dataIndex: 'category',
+      key: 'category',
+      width: 170,
+      render: (category) => <Tag color="blue">{category}</Tag>,
+    },
+    {
+      title: 'Time Limit',
+      dataIndex: 'timeLimit',
+      key: 'timeLimit',
+      width: 120,
+      render: (timeLimit, record) => editingId === record._id ? (
+        <InputNumber
+          min={5}
+          max={3600}
+          value={editValues.timeLimit}
+          onChange={(value) => setEditValues(prev => ({ ...prev, timeLimit: value }))}
+          addonAfter="s"
+        />
+      ) : (
+        <Text>{timeLimit}s</Text>
+      ),
+    },
+    {
+      title: 'Sample Answer',
+      dataIndex: 'sampleAnswer',
+      key: 'sampleAnswer',
+      render: (sampleAnswer, record) => editingId === record._id ? (
+        <TextArea
+          value={editValues.sampleAnswer}
+          onChange={(e) => setEditValues(prev => ({ ...prev, sampleAnswer: e.target.value }))}
+          autoSize={{ minRows: 2, maxRows: 6 }}
+        />
+      ) : sampleAnswer ? (
+        <Paragraph ellipsis={{ rows: 2, expandable: true, symbol: 'more' }} className="mb-0">
+          {sampleAnswer}
+        </Paragraph>
+      ) : (
+        <Text type="secondary">No sample answer</Text>
+      ),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'active',
+      key: 'active',
+      width: 90,
+      render: (active) => (
+        <Tag color={active ? 'green' : 'default'}>{active ? 'Active' : 'Retired'}</Tag>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 170,
+      render: (_, record) => editingId === record._id ? (
+        <Space>
+          <Button type="link" icon={<SaveOutlined />} loading={saving} onClick={saveEditing}>
+            Save
+          </Button>
+          <Button type="link" icon={<CloseOutlined />} onClick={cancelEditing}>
+            Cancel
+          </Button>
+        </Space>
+      ) : (
+        <Space>
+          {canEdit && (
+            <Button type="link" icon={<EditOutlined />} disabled={editingId !== null} onClick={() => startEditing(record)}>
+              Edit
+            </Button>
+          )}
+          <Button type="link" icon={<EyeOutlined />} onClick={() => openPreview(record)}>
+            Preview
+          </Button>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="py-8">
+      <div className="mb-6">
+        <div className="flex justify-between items-center mb-4">
+          <Title level={2}>Question Bank</Title>
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={fetchQuestions}
+            loading={loading}
+          >
+            Refresh
+          </Button>
+        </div>
+
+        <div className="flex justify-between items-center mb-4">
+          <Space wrap>
+            <Select value={difficultyFilter} onChange={setDifficultyFilter} style={{ width: 150 }}>
+              <Option value="all">All difficulties</Option>
+              <Option value="easy">Easy</Option>
+              <Option value="medium">Medium</Option>
+              <Option value="hard">Hard</Option>
+            </Select>
+            <Select value={categoryFilter} onChange={setCategoryFilter} style={{ width: 220 }}>
+              <Option value="all">All categories</Option>
+              {categories.map(category => (
+                <Option key={category} value={category}>{category}</Option>
+              ))}
+            </Select>
+            <Select value={statusFilter} onChange={setStatusFilter} style={{ width: 130 }}>
+              <Option value="all">All statuses</Option>
+              <Option value="active">Active</Option>
+              <Option value="retired">Retired</Option>
+            </Select>
+          </Space>
+          {canEdit && (
+            <Space>
+              <Text type="secondary">{selectedRowKeys.length} selected</Text>
+              <Button
+                icon={<CheckCircleOutlined />}
+                disabled={selectedRowKeys.length === 0}
+                onClick={() => setSelectedActive(true)}
+              >
+                Activate
+              </Button>
+              <Button
+                danger
+                icon={<StopOutlined />}
+                disabled={selectedRowKeys.length === 0}
+                onClick={() => setSelectedActive(false)}
+              >
+                Retire
+              </Button>
+            </Space>
+          )}
+        </div>
+      </div>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={filteredQuestions}
+          rowKey="_id"
+          loading={loading}
+          rowSelection={canEdit ? {
+            selectedRowKeys,
+            onChange: setSelectedRowKeys
+          } : undefined}
+          pagination={{ pageSize: 10 }}
+          size="small"
+        />
+      </Card>
+
+      <Modal
+        title="Question Preview"
+        open={previewQuestion !== null}
+        onCancel={() => setPreviewQuestion(null)}
+        footer={[
+          <Button key="close" onClick={() => setPreviewQuestion(null)}>
+            Close
+          </Button>
+        ]}
+        width={800}
+      >
+        {previewQuestion && (
+          <div>
+            <Text type="secondary" className="block mb-4">
+              This is how candidates see the question during the interview.
+            </Text>
+            <QuestionCard
+              question={previewQuestion}
+              timeLeft={previewQuestion.timeLimit}
+              answer={previewAnswer}
+              onAnswerChange={setPreviewAnswer}
+              onSubmit={() => message.info('Answers are not submitted in preview')}
+              loading={false}
+            />
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default QuestionBankTab;
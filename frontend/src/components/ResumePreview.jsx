@@ -0,0 +1,83 @@
+import React from 'react';
+import { Card, Typography, Space, Tag, Tooltip } from 'antd';
+
+const { Text } = Typography;
+
+// Highlight colours for the values each field could take
+const fieldHighlights = {
+  name: { label: 'name', color: 'blue', background: '#e6f4ff', border: '#1677ff' },
+  email: { label: 'email', color: 'green', background: '#f6ffed', border: '#52c41a' },
+  phone: { label: 'phone number', color: 'orange', background: '#fff7e6', border: '#fa8c16' }
+};
+
+// The resume text as we read it, with every possible name, email and phone
+// number highlighted. Spans in use are solid; clicking a dashed one uses it
+// for its field instead.
+const ResumePreview = ({ text, spans, selected, onSelect }) => {
+  const isSelected = (span) => selected[span.field] &&
+    selected[span.field].start === span.start && selected[span.field].end === span.end;
+
+  // Plain text between the highlighted spans, which never overlap
+  const segments = [];
+  let position = 0;
+  spans.forEach((span, index) => {
+    if (span.start > position) segments.push(text.slice(position, span.start));
+
+    const highlight = fieldHighlights[span.field];
+    const inUse = isSelected(span);
+    segments.push(
+      <Tooltip key={index} title={inUse ? `Used as your ${highlight.label}` : `Use as your ${highlight.label}`}>
+        <mark
+          role="button"
+          tabIndex={0}
+          onClick={() => !inUse && onSelect(span)}
+          onKeyDown={(e) => e.key === 'Enter' && !inUse && onSelect(span)}
+          style={{
+            background: inUse ? highlight.background : 'transparent',
+            border: `1px ${inUse ? 'solid' : 'dashed'} ${highlight.border}`,
+            borderRadius: 3,
+            padding: '0 2px',
+            cursor: inUse ? 'default' : 'pointer'
+          }}
+        >
+          {text.slice(span.start, span.end)}
+        </mark>
+      </Tooltip>
+    );
+    position = span.end;
+  });
+  if (position < text.length) segments.push(text.slice(position));
+
+  return (
+    <Card
+      size="small"
+      title="Resume Preview"
+      className="mb-6"
+      extra={
+        <Space size={0}>
+          {Object.entries(fieldHighlights).map(([field, { label, color }]) => (
+            <Tag key={field} color={color}>{label}</Tag>
+          ))}
+        </Space>
+      }
+    >
+      <Text type="secondary" className="block mb-2">
+        This is what we read from your resume. Highlighted values with a solid outline are filled in below; click a dashed one to use it instead.
+      </Text>
+      <div
+        style={{
+          whiteSpace: 'pre-wrap',
+          maxHeight: 320,
+          overflowY: 'auto',
+          fontFamily: 'monospace',
+          fontSize: 12,
+          lineHeight: 1.8
+        }}
+      >
+        {segments}
+      </div>
+    </Card>
+  );
+};
+
+export default ResumePreview;
@@ -0,0 +1,107 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { message } from 'antd';
+import { AuthContext } from './useAuth';
+
+// Kept for the browser session only, so closing the browser signs out
+const STORAGE_KEY = 'interviewerAuth';
+
+const loadStoredAuth = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (stored && new Date(stored.expiresAt) > new Date()) return stored;
+  } catch {
+    // Ignore unreadable storage and sign in again
+  }
+  sessionStorage.removeItem(STORAGE_KEY);
+  return null;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [auth, setAuth] = useState(loadStoredAuth);
+
+  const saveAuth = (value) => {
+    if (value) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+    setAuth(value);
+  };
+
+  // Resolves to null when signed in, otherwise the error to show
+  const login = async (email, password) => {
+    const response = await fetch('http://localhost:3001/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+    if (!response.ok) return data.error || 'Failed to sign in';
+
+    saveAuth({ token: data.token, expiresAt: data.expiresAt, user: data.user, organization: data.organization });
+    return null;
+  };
+
+  const logout = () => saveAuth(null);
+
+  // Back from the OIDC provider, the URL carries a one-time code for the
+  // access token, or the reason signing in failed
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('ssoCode');
+    const error = params.get('ssoError');
+    if (!code && !error) return;
+
+    // Keep the code out of the browser history
+    window.history.replaceState(null, '', window.location.pathname);
+    if (error) {
+      message.error(error);
+      return;
+    }
+
+    const exchangeCode = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/auth/oidc/exchange', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        if (data.success) {
+          saveAuth({ token: data.token, expiresAt: data.expiresAt, user: data.user, organization: data.organization });
+        } else {
+          message.error(data.error || 'Failed to sign in');
+        }
+      } catch (err) {
+        console.error('SSO exchange error:', err);
+        message.error('Failed to sign in');
+      }
+    };
+    exchangeCode();
+  }, []);
+
+  // fetch() with the access token. An expired or revoked token signs out,
+  // which brings back the login screen.
+  const authFetch = useCallback(async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${auth?.token}` }
+    });
+    if (response.status === 401) {
+      message.warning('Your session has ended, please sign in again');
+      saveAuth(null);
+    }
+    return response;
+  }, [auth]);
+
+  const user = auth ? auth.user : null;
+  // The organization the account belongs to, whose app title is shown
+  const organization = auth ? auth.organization : null;
+  const hasRole = (...roles) => Boolean(user) && roles.includes(user.role);
+
+  return (
+    <AuthContext.Provider value={{ user, organization, login, logout, authFetch, hasRole }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -11,7 +11,9 @@ const initialState = {
     isStarted: false,
     isComplete: false,
     isPaused: false,
+    sessionId: null,
     questions: [],
+    totalQuestions: 0,
     currentQuestionIndex: 0,
     answers: [],
     scores: [],
@@ -63,12 +65,14 @@ const interviewReducer = (state, action) => {
           ...state.interviewState,
           isStarted: true,
           isPaused: false,
+          sessionId: action.payload.sessionId,
           questions: action.payload.questions,
+          totalQuestions: action.payload.totalQuestions || action.payload.questions.length,
           currentQuestionIndex: 0,
           answers: [],
           scores: [],
           answerFeedbacks: [], // Initialize feedback array
-          startedAt: new Date().toISOString()
+          startedAt: action.payload.startedAt || new Date().toISOString()
         }
       };
     
@@ -116,6 +120,16 @@ const interviewReducer = (state, action) => {
         }
       };
     
+    case 'UPDATE_QUESTIONS':
+      // Adaptive interviews reveal each question as the server serves it
+      return {
+        ...state,
+        interviewState: {
+          ...state.interviewState,
+          questions: action.payload
+        }
+      };
+    
     case 'NEXT_QUESTION':
       return {
         ...state,
@@ -131,8 +145,9 @@ const interviewReducer = (state, action) => {
         ...state.candidateInfo,
         finalScore: action.payload.finalScore,
         summary: action.payload.summary,
-        answers: state.interviewState.answers,
-        scores: state.interviewState.scores,
+        // Prefer the answers and scores stored by the server over local state
+        answers: action.payload.answers || state.interviewState.answers,
+        scores: action.payload.scores || state.interviewState.scores,
         answerFeedbacks: action.payload.answerFeedbacks || state.interviewState.answerFeedbacks,
         questions: state.interviewState.questions,
         completedAt: new Date().toISOString(),
@@ -144,6 +159,8 @@ const interviewReducer = (state, action) => {
         interviewState: {
           ...state.interviewState,
           isComplete: true,
+          answers: action.payload.answers || state.interviewState.answers,
+          scores: action.payload.scores || state.interviewState.scores,
           finalScore: action.payload.finalScore,
           summary: action.payload.summary,
           answerFeedbacks: action.payload.answerFeedbacks || state.interviewState.answerFeedbacks,
@@ -220,13 +237,17 @@ export const InterviewProvider = ({ children }) => {
       dispatch({ type: 'UPDATE_MISSING_FIELD', payload: { field, value } });
     },
     
-    startInterview: (questions, candidateInfo) => {
+    startInterview: (questions, candidateInfo, sessionId, startedAt, totalQuestions) => {
       dispatch({ 
         type: 'START_INTERVIEW', 
-        payload: { questions, candidateInfo } 
+        payload: { questions, candidateInfo, sessionId, startedAt, totalQuestions } 
       });
     },
     
+    updateQuestions: (questions) => {
+      dispatch({ type: 'UPDATE_QUESTIONS', payload: questions });
+    },
+    
     pauseInterview: () => {
       dispatch({ type: 'PAUSE_INTERVIEW' });
     },
@@ -251,10 +272,10 @@ export const InterviewProvider = ({ children }) => {
       dispatch({ type: 'NEXT_QUESTION' });
     },
     
-    completeInterview: (finalScore, summary, answerFeedbacks) => {
+    completeInterview: (finalScore, summary, answerFeedbacks, answers, scores) => {
       dispatch({ 
         type: 'COMPLETE_INTERVIEW', 
-        payload: { finalScore, summary, answerFeedbacks } 
+        payload: { finalScore, summary, answerFeedbacks, answers, scores } 
       });
     },
     
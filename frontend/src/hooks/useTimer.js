@@ -10,6 +10,12 @@ export const useTimer = (initialTime = 0) => {
     if (time !== undefined) {
       setTimeLeft(time);
     }
+    // Nothing left to count down, e.g. the server deadline has already passed
+    if (time === 0) {
+      setIsRunning(false);
+      setHasExpired(true);
+      return;
+    }
     setHasExpired(false);
     setIsRunning(true);
   };